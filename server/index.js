@@ -6,6 +6,12 @@ const path = require('path');
 const clusterManager = require('./services/clusterManager');
 const roleDirectory = require('./services/roleDirectory');
 const messageService = require('./services/messageService');
+const trashPurge = require('./services/trashPurge');
+const warrantyAlerts = require('./services/warrantyAlerts');
+const catalogs = require('./services/catalogs');
+const clusterRebalancer = require('./services/clusterRebalancer');
+const archiveScheduler = require('./services/archiveScheduler');
+const MultiClusterEquipment = require('./models/MultiClusterEquipment');
 
 // Load environment variables
 dotenv.config();
@@ -14,7 +20,8 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+// Expose ETag so browser clients can send it back in If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
 const BODY_SIZE_LIMIT = process.env.REQUEST_SIZE_LIMIT || '15mb';
 
 app.use(bodyParser.json({ limit: BODY_SIZE_LIMIT }));
@@ -27,6 +34,9 @@ app.use(express.static(path.join(__dirname, '../client')));
 // Import routes
 const equipmentRoutes = require('./routes/equipment');
 const storageRoutes = require('./routes/storage');
+const customerRoutes = require('./routes/customers');
+const catalogRoutes = require('./routes/catalogs');
+const locationRoutes = require('./routes/locations');
 const { router: authRoutes } = require('./routes/auth');
 const adminRoutes = require('./routes/admin_v2');
 
@@ -34,6 +44,9 @@ const adminRoutes = require('./routes/admin_v2');
 // API Routes
 app.use('/api/equipment', equipmentRoutes);
 app.use('/api/storage', storageRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/catalogs', catalogRoutes);
+app.use('/api/locations', locationRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 
@@ -50,6 +63,7 @@ app.get('/api/health', async (req, res) => {
     success: true,
     message: 'Server is running',
     clusters: report.clusters,
+    health: report.health,
     activeCluster: report.activeCluster
   });
 });
@@ -70,8 +84,23 @@ const startServer = async () => {
     // Initialize multi-cluster manager
   await clusterManager.initialize();
   await roleDirectory.initialize();
+  await catalogs.load();
+  // Flag rebalancing jobs cut off by the last shutdown so they can be resumed
+  await clusterRebalancer.markInterrupted();
+  // Index serial numbers of records saved before serialKey existed
+  MultiClusterEquipment.backfillSerialKeys().catch((error) => {
+    console.error('Serial key backfill failed:', error.message);
+  });
   // Start scheduled message runner
   messageService.startScheduler();
+  // Start trash retention purge
+  trashPurge.startPurgeScheduler();
+  // Start warranty expiry alerts
+  warrantyAlerts.startWarrantyScheduler();
+  // Ping clusters, reconnect dropped ones and trip failing ones out of reads
+  clusterManager.startHealthMonitor();
+  // Archive stale equipment on schedule (AUTO_ARCHIVE_ENABLED)
+  archiveScheduler.startScheduler();
     
     // Start server
     app.listen(PORT, () => {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const clusterCountsSchema = new mongoose.Schema({
+  cluster: { type: String, required: true },
+  candidates: { type: Number, default: 0 },
+  archived: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }
+}, { _id: false });
+
+const failureSchema = new mongoose.Schema({
+  equipmentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  cluster: { type: String, default: '' },
+  message: { type: String, default: '' }
+}, { _id: false });
+
+// One row per archiving run, scheduled or manual
+const archiveRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['scheduler', 'manual']
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedBy: {
+    type: String,
+    default: 'system'
+  },
+  cutoff: {
+    type: Date,
+    default: null
+  },
+  archiveAfterDays: {
+    type: Number,
+    default: null
+  },
+  batchLimit: {
+    type: Number,
+    default: null
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  archived: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  byCluster: {
+    type: [clusterCountsSchema],
+    default: []
+  },
+  // First failures only, see MAX_RECORDED_FAILURES
+  failures: {
+    type: [failureSchema],
+    default: []
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'archiveruns'
+});
+
+archiveRunSchema.index({ createdAt: -1 });
+
+module.exports = archiveRunSchema;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const catalogEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['type', 'status', 'brand']
+  },
+  // Value stored on equipment (types and statuses) or canonical brand name
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Statuses: badge color and whether items in it count as open work
+  color: {
+    type: String,
+    default: ''
+  },
+  open: {
+    type: Boolean,
+    default: false
+  },
+  // Types: reporting group, e.g. desktops and laptops are both "computer"
+  category: {
+    type: String,
+    default: '',
+    trim: true,
+    lowercase: true
+  },
+  // Brands: alternative spellings mapped to the canonical name
+  aliases: {
+    type: [String],
+    default: []
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  updatedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true,
+  collection: 'catalogentries'
+});
+
+catalogEntrySchema.index({ kind: 1, key: 1 }, { unique: true });
+
+module.exports = catalogEntrySchema;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Stored normalized (digits with an optional leading +) so lookups match
+  phones: {
+    type: [String],
+    default: []
+  },
+  email: {
+    type: String,
+    default: '',
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  updatedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true,
+  collection: 'customers'
+});
+
+customerSchema.index({ phones: 1 });
+customerSchema.index({ name: 1 });
+customerSchema.index({ email: 1 });
+
+module.exports = customerSchema;
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
+const catalogs = require('../services/catalogs');
 
 const equipmentSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['computer', 'desktop', 'laptop', 'printer'],
+    validate: { validator: (value) => catalogs.isValid('type', value) },
   },
   brand: {
     type: String,
@@ -21,7 +22,7 @@ const equipmentSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['working', 'maintenance', 'broken', 'done'],
+    validate: { validator: (value) => catalogs.isValid('status', value) },
     default: 'working',
   },
   checkInDate: {
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased, whitespace-collapsed name used to reject look-alike siblings
+  nameKey: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: String,
+    required: true,
+    enum: ['site', 'building', 'room']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Ancestor ids from the site down to the parent
+  ancestors: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  code: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  updatedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true,
+  collection: 'locations'
+});
+
+locationSchema.index({ parent: 1, nameKey: 1 }, { unique: true });
+locationSchema.index({ ancestors: 1 });
+
+module.exports = locationSchema;
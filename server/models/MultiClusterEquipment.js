@@ -1,12 +1,81 @@
 const mongoose = require('mongoose');
 const clusterManager = require('../services/clusterManager');
 const imageStorage = require('../services/imageStorage');
+const {
+  escapeRegex,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  compareBySort,
+  assertPageDepth,
+  MAX_PAGE_DEPTH
+} = require('../services/equipmentQuery');
+const { tokenize, buildSearchFilter, scoreItem } = require('../services/equipmentSearch');
+const statusWorkflow = require('../services/statusWorkflow');
+const revisionLog = require('../services/revisionLog');
+const customerRegistry = require('../services/customerRegistry');
+const catalogs = require('../services/catalogs');
+const locationDirectory = require('../services/locationDirectory');
+const specSchemas = require('../services/specSchemas');
+const { listBuckets, getCompletedStatuses, getBreakdownStatuses } = require('../services/equipmentTrends');
+const { sanitizeMaintenanceEntry, summarizeCosts, roundMoney } = require('../services/maintenanceLog');
+
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  note: { type: String, default: '' },
+  actor: { type: String, default: 'system' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const maintenancePartSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  partNumber: { type: String, default: '' },
+  quantity: { type: Number, min: 0, default: 1 },
+  unitPrice: { type: Number, min: 0, default: 0 },
+  lineTotal: { type: Number, min: 0, default: 0 }
+}, { _id: false });
+
+const maintenanceEntrySchema = new mongoose.Schema({
+  technician: { type: String, default: '' },
+  startedAt: { type: Date, default: Date.now },
+  endedAt: { type: Date, default: null },
+  problem: { type: String, required: true },
+  diagnosis: { type: String, default: '' },
+  actionTaken: { type: String, default: '' },
+  parts: { type: [maintenancePartSchema], default: [] },
+  laborCost: { type: Number, min: 0, default: 0 },
+  partsCost: { type: Number, min: 0, default: 0 },
+  total: { type: Number, min: 0, default: 0 },
+  createdBy: { type: String, default: 'system' },
+  updatedBy: { type: String, default: '' }
+}, {
+  timestamps: true,
+});
+
+// Types and statuses are checked against the admin-managed catalogs
+const catalogValidator = (kind) => ({
+  validator: (value) => catalogs.isValid(kind, value),
+  message: (props) => `"${props.value}" is not a known equipment ${kind}. Valid values: ${catalogs.getKeys(kind).join(', ')}`
+});
+
+const custodySchema = new mongoose.Schema({
+  assignee: { type: String, required: true },
+  checkedOutAt: { type: Date, default: Date.now },
+  checkedOutBy: { type: String, default: 'system' },
+  expectedReturnAt: { type: Date, default: null },
+  conditionOut: { type: String, default: '' },
+  checkedInAt: { type: Date, default: null },
+  checkedInBy: { type: String, default: '' },
+  conditionIn: { type: String, default: '' },
+  notes: { type: String, default: '' }
+}, { _id: false });
 
 const equipmentSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['computer', 'desktop', 'laptop', 'printer'],
+    validate: catalogValidator('type'),
   },
   brand: {
     type: String,
@@ -20,10 +89,15 @@ const equipmentSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Trimmed, lowercased serialNumber so duplicate checks and exact lookups use an index
+  serialKey: {
+    type: String,
+    default: '',
+  },
   status: {
     type: String,
     required: true,
-    enum: ['working', 'maintenance', 'broken', 'done'],
+    validate: catalogValidator('status'),
     default: 'working',
   },
   checkInDate: {
@@ -34,6 +108,15 @@ const equipmentSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  // Set with locationId; `location` then holds the "Site / Building / Room" label
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  locationPath: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+  },
   purchaseDate: {
     type: Date,
     default: null,
@@ -46,6 +129,10 @@ const equipmentSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
   customerId: {
     type: String,
     default: '',
@@ -66,14 +153,43 @@ const equipmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {},
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  },
+  maintenanceLog: {
+    type: [maintenanceEntrySchema],
+    default: [],
+  },
+  // Open check-out, if any; closed ones move to custodyHistory
+  custody: {
+    type: custodySchema,
+    default: null,
+  },
+  custodyHistory: {
+    type: [custodySchema],
+    default: [],
+  },
+  // Equipment or archive cluster from the topology config
   cluster: {
     type: String,
-    default: 'primary',
-    enum: ['primary', 'secondary', 'tertiary', 'archive']
+    default: () => clusterManager.getDefaultCluster(),
+    validate: {
+      validator: (value) => clusterManager.getClusterNames({ categories: ['equipment', 'archive'] }).includes(value),
+      message: (props) => `${props.value} is not an equipment or archive cluster`
+    }
   },
   archivedAt: {
     type: Date,
     default: null,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: String,
+    default: '',
   }
 }, {
   timestamps: true,
@@ -84,9 +200,27 @@ equipmentSchema.index({ type: 1 });
 equipmentSchema.index({ status: 1 });
 equipmentSchema.index({ brand: 1 });
 equipmentSchema.index({ serialNumber: 1 });
+equipmentSchema.index({ serialKey: 1 });
 equipmentSchema.index({ cluster: 1 });
 equipmentSchema.index({ updatedAt: -1 });
 equipmentSchema.index({ checkInDate: -1 });
+equipmentSchema.index({ deletedAt: 1 });
+equipmentSchema.index({ customer: 1 });
+equipmentSchema.index({ locationPath: 1 });
+equipmentSchema.index({ 'custody.assignee': 1 });
+equipmentSchema.index({ 'custody.expectedReturnAt': 1 });
+
+const normalizeSerial = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+equipmentSchema.pre('validate', function setSerialKey() {
+  this.serialKey = normalizeSerial(this.serialNumber);
+});
+
+// Fields captured in the revision log. Attachments live in the image
+// cluster and placement fields change on moves, so neither is tracked.
+// Maintenance entries and custody records keep their own timestamps and authors.
+const UNTRACKED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'imageData', 'serialKey', 'statusHistory', 'maintenanceLog', 'custody', 'custodyHistory', 'locationPath', 'cluster', 'archivedAt', 'deletedAt', 'deletedBy'];
+const TRACKED_FIELDS = Object.keys(equipmentSchema.paths).filter((field) => !UNTRACKED_FIELDS.includes(field));
 
 const normalizeImageArray = (value) => {
   if (Array.isArray(value)) {
@@ -100,6 +234,35 @@ const normalizeImageArray = (value) => {
   return [];
 };
 
+// Soft-deleted records sit in the trash until purged and are hidden from
+// every regular read
+const scopeQuery = (query = {}, { trashed = false } = {}) => {
+  const scope = { deletedAt: trashed ? { $ne: null } : null };
+  return Object.keys(query).length > 0 ? { $and: [query, scope] } : scope;
+};
+
+// Validation-only model on a connection that is never opened, so payload
+// checks work whichever clusters are up
+let payloadModel = null;
+const getPayloadModel = () => {
+  if (!payloadModel) {
+    payloadModel = mongoose.createConnection().model('Equipment', equipmentSchema);
+  }
+  return payloadModel;
+};
+
+// Aggregation pipelines skip mongoose casting, so cast filters up front
+const castQuery = (Model, query = {}, options) => Model.find().cast(Model, scopeQuery(query, options));
+
+const hydrateImages = async (item, imageServiceAvailable) => {
+  if (imageServiceAvailable) {
+    item.imageData = await imageStorage.getAttachments(item._id);
+  } else {
+    item.imageData = normalizeImageArray(item.imageData);
+  }
+  return item;
+};
+
 /**
  * Multi-Cluster Equipment Model Wrapper
  * Provides unified interface for CRUD operations across multiple clusters
@@ -109,7 +272,7 @@ class MultiClusterEquipment {
   /**
    * Get Equipment model for a specific cluster
    */
-  static getModel(clusterName = 'primary') {
+  static getModel(clusterName = clusterManager.getDefaultCluster()) {
     const connection = clusterManager.getConnection(clusterName);
     if (!connection || connection.readyState !== 1) {
       throw new Error(`Cluster ${clusterName} not available`);
@@ -118,18 +281,300 @@ class MultiClusterEquipment {
   }
 
   /**
-   * Create new equipment in active cluster
+   * Run schema validation without writing.
+   * Returns a map of field → message, or null when the payload is valid.
+   */
+  static validatePayload(payload) {
+    const Equipment = getPayloadModel();
+    const error = new Equipment(payload).validateSync();
+    if (!error) {
+      return null;
+    }
+
+    return Object.entries(error.errors).reduce((acc, [field, fieldError]) => {
+      acc[field] = fieldError.message;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Find records with the same serial number (trimmed, case-insensitive)
+   * in every equipment cluster, and in the archive when requested
+   */
+  static async findBySerial(serialNumber, { excludeId = null, includeArchive = false } = {}) {
+    const serial = typeof serialNumber === 'string' ? serialNumber.trim() : '';
+    if (!serial) {
+      return [];
+    }
+
+    const connections = clusterManager.getAllConnections({ category: 'equipment' });
+    if (includeArchive) {
+      connections.push(...clusterManager.getAllConnections({ category: 'archive' }));
+    }
+
+    // Records saved before serialKey existed are matched by pattern until backfilled
+    const query = {
+      $or: [
+        { serialKey: normalizeSerial(serial) },
+        { serialKey: { $exists: false }, serialNumber: new RegExp(`^\\s*${escapeRegex(serial)}\\s*$`, 'i') }
+      ],
+      deletedAt: null
+    };
+    if (excludeId && mongoose.Types.ObjectId.isValid(excludeId)) {
+      query._id = { $ne: new mongoose.Types.ObjectId(String(excludeId)) };
+    }
+
+    const matches = [];
+    for (const { name, connection } of connections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const items = await Equipment.find(query)
+          .select('type brand model serialNumber status checkInDate customerId customerPhone')
+          .lean();
+        items.forEach((item) => matches.push({ ...item, cluster: name }));
+      } catch (error) {
+        console.error(`Error checking serial numbers in ${name} cluster:`, error.message);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Throw a 409 error carrying the conflicting record when the serial
+   * number is already used. DUPLICATE_SERIAL_CHECK_ARCHIVE=true also
+   * checks archived equipment.
+   */
+  static async assertUniqueSerial(serialNumber, { excludeId = null } = {}) {
+    const includeArchive = process.env.DUPLICATE_SERIAL_CHECK_ARCHIVE === 'true';
+    const [conflict] = await this.findBySerial(serialNumber, { excludeId, includeArchive });
+
+    if (conflict) {
+      const error = new Error(`Serial number "${String(serialNumber).trim()}" is already registered in the ${conflict.cluster} cluster`);
+      error.statusCode = 409;
+      error.code = 'duplicate-serial';
+      error.conflict = conflict;
+      throw error;
+    }
+  }
+
+  /**
+   * Report serial numbers shared by more than one record across clusters
+   */
+  static async findDuplicateSerials({ includeArchive = false } = {}) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' });
+    if (includeArchive) {
+      connections.push(...clusterManager.getAllConnections({ category: 'archive' }));
+    }
+
+    const groups = new Map();
+
+    for (const { name, connection } of connections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const rows = await Equipment.aggregate([
+          { $match: { serialNumber: { $type: 'string', $nin: ['', null] }, deletedAt: null } },
+          { $project: {
+            key: { $ifNull: ['$serialKey', { $toLower: { $trim: { input: '$serialNumber' } } }] },
+            type: 1, brand: 1, model: 1, serialNumber: 1, status: 1, checkInDate: 1, customerId: 1
+          } },
+          { $match: { key: { $ne: '' } } },
+          { $group: { _id: '$key', records: { $push: '$$ROOT' } } }
+        ]);
+
+        for (const row of rows) {
+          const records = row.records.map(({ key, ...record }) => ({ ...record, cluster: name }));
+          groups.set(row._id, (groups.get(row._id) || []).concat(records));
+        }
+      } catch (error) {
+        console.error(`Error scanning ${name} cluster for duplicate serials:`, error.message);
+      }
+    }
+
+    return Array.from(groups.entries())
+      .filter(([, records]) => records.length > 1)
+      .map(([serialNumber, records]) => ({
+        serialNumber,
+        count: records.length,
+        clusters: Array.from(new Set(records.map((record) => record.cluster))),
+        records
+      }))
+      .sort((a, b) => b.count - a.count || a.serialNumber.localeCompare(b.serialNumber));
+  }
+
+  /**
+   * Fill serialKey on records saved before it existed (all equipment and
+   * archive clusters). Raw updates, so versions and updatedAt stay as they are.
+   */
+  static async backfillSerialKeys() {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' })
+      .concat(clusterManager.getAllConnections({ category: 'archive' }));
+
+    let updated = 0;
+    for (const { name, connection } of connections) {
+      try {
+        const { collection } = connection.model('Equipment', equipmentSchema);
+        const result = await collection.updateMany({ serialKey: { $exists: false } }, [
+          { $set: { serialKey: { $toLower: { $trim: { input: { $ifNull: ['$serialNumber', ''] } } } } } }
+        ]);
+        updated += result.modifiedCount;
+      } catch (error) {
+        console.error(`Error backfilling serial keys in ${name} cluster:`, error.message);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Check a `customer` reference against the customer registry.
+   * Fills customerPhone from the customer record when it was not sent.
+   */
+  static async applyCustomerReference(data) {
+    if (!('customer' in data)) {
+      return data;
+    }
+
+    if (data.customer === null || data.customer === '') {
+      data.customer = null;
+      return data;
+    }
+
+    const customer = await customerRegistry.get(String(data.customer));
+    if (!customer) {
+      const error = new Error(`Customer ${data.customer} not found`);
+      error.statusCode = 400;
+      error.code = 'unknown-customer';
+      throw error;
+    }
+
+    data.customer = customer._id;
+    if (!data.customerPhone && customer.phones.length > 0) {
+      data.customerPhone = customer.phones[0];
+    }
+    return data;
+  }
+
+  /**
+   * Resolve a `locationId` reference to its hierarchy path and label
+   */
+  static async applyLocationReference(data) {
+    if (!('locationId' in data)) {
+      return data;
+    }
+
+    if (data.locationId === null || data.locationId === '') {
+      data.locationId = null;
+      data.locationPath = [];
+      return data;
+    }
+
+    const resolved = await locationDirectory.resolve(String(data.locationId));
+    if (!resolved) {
+      const error = new Error(`Location ${data.locationId} not found`);
+      error.statusCode = 400;
+      error.code = 'unknown-location';
+      throw error;
+    }
+
+    data.locationId = resolved.location._id;
+    data.locationPath = resolved.path;
+    data.location = resolved.label;
+    return data;
+  }
+
+  /**
+   * Refresh the stored path and label of equipment at the given locations
+   * after they were renamed or moved (all clusters, including the archive)
+   */
+  static async syncLocations(locationIds) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' })
+      .concat(clusterManager.getAllConnections({ category: 'archive' }));
+
+    let updated = 0;
+    for (const locationId of locationIds) {
+      const resolved = await locationDirectory.resolve(String(locationId));
+      if (!resolved) {
+        continue;
+      }
+
+      for (const { name, connection } of connections) {
+        try {
+          const Equipment = connection.model('Equipment', equipmentSchema);
+          const result = await Equipment.updateMany(
+            { locationId: resolved.location._id },
+            { $set: { locationPath: resolved.path, location: resolved.label }, $inc: { __v: 1 } }
+          );
+          updated += result.modifiedCount || 0;
+        } catch (error) {
+          console.error(`Error refreshing locations in ${name} cluster:`, error.message);
+        }
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Every device linked to a customer, across all equipment clusters and
+   * the archive. Older records without a `customer` reference are matched
+   * on customerId or on any of the customer's phone numbers.
+   */
+  static async findByCustomer(customer) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' })
+      .concat(clusterManager.getAllConnections({ category: 'archive' }));
+
+    const conditions = [{ customer: customer._id }, { customerId: String(customer._id) }];
+    (customer.phones || []).forEach((phone) => {
+      const digits = phone.replace(/\D/g, '');
+      // Very short numbers would match unrelated records
+      if (digits.length >= 6) {
+        conditions.push({ customerPhone: new RegExp(`^\\D*${digits.split('').join('\\D*')}\\D*$`) });
+      }
+    });
+
+    const query = { $or: conditions, deletedAt: null };
+    const items = [];
+
+    for (const { name, connection } of connections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const found = await Equipment.find(query).select('-imageData').lean();
+        found.forEach((item) => items.push({ ...item, cluster: name }));
+      } catch (error) {
+        console.error(`Error finding customer equipment in ${name} cluster:`, error.message);
+      }
+    }
+
+    return items.sort((a, b) => new Date(b.checkInDate) - new Date(a.checkInDate));
+  }
+
+  /**
+   * Refresh storage stats and pick the cluster new writes go to, skipping
+   * clusters over STORAGE_THRESHOLD_SWITCH or with an open circuit
    */
-  static async create(equipmentData) {
-    // Update storage stats and determine active cluster
+  static async selectWriteCluster() {
     await clusterManager.updateStorageStats();
     clusterManager.determineActiveCluster();
 
-    const activeConnection = clusterManager.getActiveConnection();
-    if (!activeConnection || activeConnection.readyState !== 1) {
+    const connection = clusterManager.getActiveConnection();
+    if (!connection || connection.readyState !== 1) {
       throw new Error('No active cluster available for writes');
     }
+    return { name: clusterManager.activeCluster, connection };
+  }
+
+  /**
+   * Create new equipment in active cluster
+   */
+  static async create(equipmentData, { actor = 'system' } = {}) {
+    await this.assertUniqueSerial(equipmentData.serialNumber);
+    await this.applyCustomerReference(equipmentData);
+    await this.applyLocationReference(equipmentData);
+    if ('brand' in equipmentData) {
+      equipmentData.brand = catalogs.canonicalBrand(equipmentData.brand);
+    }
 
+    const { connection: activeConnection } = await this.selectWriteCluster();
     const Equipment = activeConnection.model('Equipment', equipmentSchema);
 
     const imageServiceAvailable = imageStorage.isAvailable();
@@ -161,11 +606,42 @@ class MultiClusterEquipment {
       equipment.imageData = normalizeImageArray(equipment.imageData);
     }
 
+    await revisionLog.record({
+      equipmentId: equipment._id,
+      action: 'create',
+      after: equipment.toObject(),
+      fields: TRACKED_FIELDS,
+      actor,
+      cluster: clusterManager.activeCluster
+    });
+
     console.log(`✅ Equipment created in ${clusterManager.activeCluster.toUpperCase()} cluster`);
-    
+
     return equipment;
   }
 
+  /**
+   * Count matching equipment (including trashed) in every equipment
+   * cluster and, when requested, the archive
+   */
+  static async countWhere(query, { includeArchive = false } = {}) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' });
+    if (includeArchive) {
+      connections.push(...clusterManager.getAllConnections({ category: 'archive' }));
+    }
+
+    let total = 0;
+    for (const { name, connection } of connections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        total += await Equipment.countDocuments(query);
+      } catch (error) {
+        console.error(`Error counting equipment in ${name} cluster:`, error.message);
+      }
+    }
+    return total;
+  }
+
   /**
    * Find all equipment across all clusters
    */
@@ -177,7 +653,7 @@ class MultiClusterEquipment {
     for (const { name, connection } of allConnections) {
       try {
         const Equipment = connection.model('Equipment', equipmentSchema);
-        const items = await Equipment.find(query, null, options).lean();
+        const items = await Equipment.find(scopeQuery(query), null, options).lean();
 
         for (const item of items) {
           if (imageServiceAvailable) {
@@ -201,99 +677,150 @@ class MultiClusterEquipment {
   }
 
   /**
-   * Find equipment by ID across all clusters
+   * Find one page of equipment across all clusters.
+   * Each cluster returns its own sorted slice, which is merged in memory so
+   * only the requested page is kept and only its attachments are loaded.
+   * Pass `cursor` (from a previous page) to continue without offset scans.
+   * `archived` pages through the archive clusters instead.
    */
-  static async findById(id) {
-  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+  static async findPage(filter = {}, { sort, page = 1, limit, cursor = null, trashed = false, archived = false } = {}) {
+    const allConnections = clusterManager.getAllConnections({ category: archived ? 'archive' : 'equipment' });
+    const query = scopeQuery(filter, { trashed });
     const imageServiceAvailable = imageStorage.isAvailable();
+    const sortSpec = { [sort.field]: sort.direction, _id: sort.direction };
 
-    for (const { name, connection } of allConnections) {
+    const position = cursor ? decodeCursor(cursor, sort) : null;
+    const pageQuery = position
+      ? { $and: [query, buildCursorFilter(position, sort, (id) => new mongoose.Types.ObjectId(id))] }
+      : query;
+
+    if (!position) {
+      assertPageDepth(page, limit);
+    }
+    const skip = position ? 0 : (page - 1) * limit;
+    const fetchSize = skip + limit + 1;
+
+    const merged = [];
+    let total = 0;
+
+    await Promise.all(allConnections.map(async ({ name, connection }) => {
       try {
         const Equipment = connection.model('Equipment', equipmentSchema);
-        const item = await Equipment.findById(id).lean();
-        
-        if (item) {
-          if (imageServiceAvailable) {
-            item.imageData = await imageStorage.getAttachments(item._id);
-          } else {
-            item.imageData = normalizeImageArray(item.imageData);
-          }
+        const [items, count] = await Promise.all([
+          Equipment.find(pageQuery).sort(sortSpec).limit(fetchSize).lean(),
+          Equipment.countDocuments(query)
+        ]);
+
+        items.forEach((item) => {
           item.cluster = name;
-          return item;
-        }
+        });
+
+        merged.push(...items);
+        total += count;
       } catch (error) {
-        // Continue searching in other clusters
-        continue;
+        console.error(`Error reading from ${name} cluster:`, error.message);
       }
+    }));
+
+    merged.sort(compareBySort(sort));
+
+    const items = merged.slice(skip, skip + limit);
+    const hasNextPage = merged.length > skip + limit;
+
+    for (const item of items) {
+      await hydrateImages(item, imageServiceAvailable);
     }
 
-    return null;
+    return {
+      items,
+      total,
+      page: position ? null : page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      // Past the page-mode depth cap only nextCursor continues
+      nextPage: !position && hasNextPage && (page + 1) * limit <= MAX_PAGE_DEPTH ? page + 1 : null,
+      nextCursor: hasNextPage && items.length > 0
+        ? encodeCursor(items[items.length - 1], sort)
+        : null
+    };
   }
 
   /**
-   * Update equipment by ID
+   * Stream equipment from every cluster in one global sort order.
+   * Each cluster is read through its own sorted cursor and the cursors are
+   * merged one document at a time, so memory stays flat for any export size.
    */
-  static async updateById(id, updateData) {
-  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+  static async *streamSorted(query = {}, { sort, includeArchive = false, includeImages = false } = {}) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' });
+    if (includeArchive) {
+      connections.push(...clusterManager.getAllConnections({ category: 'archive' }));
+    }
+
     const imageServiceAvailable = imageStorage.isAvailable();
+    const sortSpec = { [sort.field]: sort.direction, _id: sort.direction };
+    const compare = compareBySort(sort);
+    const sources = [];
 
-    for (const { name, connection } of allConnections) {
-      try {
-        const Equipment = connection.model('Equipment', equipmentSchema);
+    try {
+      for (const { name, connection } of connections) {
+        try {
+          const Equipment = connection.model('Equipment', equipmentSchema);
+          const cursor = Equipment.find(scopeQuery(query)).sort(sortSpec).lean().cursor();
+          const source = { name, cursor, current: await cursor.next() };
+          sources.push(source);
+        } catch (error) {
+          console.error(`Error reading from ${name} cluster:`, error.message);
+        }
+      }
 
-        const attachments = Array.isArray(updateData.imageData)
-          ? updateData.imageData.filter(Boolean)
-          : null;
+      while (true) {
+        let next = null;
+        for (const source of sources) {
+          if (source.current && (!next || compare(source.current, next.current) < 0)) {
+            next = source;
+          }
+        }
 
-        if (imageServiceAvailable) {
-          delete updateData.imageData;
+        if (!next) {
+          break;
         }
 
-        const updated = await Equipment.findByIdAndUpdate(
-          id,
-          updateData,
-          { new: true, runValidators: true }
-        );
-        
-        if (updated) {
-          if (imageServiceAvailable) {
-            if (attachments !== null) {
-              await imageStorage.replaceAttachments(updated._id, attachments);
-            }
-            updated.imageData = await imageStorage.getAttachments(updated._id);
-          } else {
-            updated.imageData = normalizeImageArray(updated.imageData);
-          }
-          console.log(`✅ Equipment updated in ${name.toUpperCase()} cluster`);
-          return updated;
+        const item = next.current;
+        item.cluster = next.name;
+        if (includeImages) {
+          await hydrateImages(item, imageServiceAvailable);
         }
-      } catch (error) {
-        // Continue searching in other clusters
-        continue;
+
+        yield item;
+        next.current = await next.cursor.next();
       }
+    } finally {
+      await Promise.all(sources.map(({ cursor }) => cursor.close().catch(() => {})));
     }
-
-    throw new Error('Equipment not found in any cluster');
   }
 
   /**
-   * Delete equipment by ID
+   * Find equipment by ID across all clusters.
+   * `archived` looks in the archive clusters instead.
    */
-  static async deleteById(id) {
-  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+  static async findById(id, { archived = false } = {}) {
+  const allConnections = clusterManager.getAllConnections({ category: archived ? 'archive' : 'equipment' });
     const imageServiceAvailable = imageStorage.isAvailable();
 
     for (const { name, connection } of allConnections) {
       try {
         const Equipment = connection.model('Equipment', equipmentSchema);
-        const deleted = await Equipment.findByIdAndDelete(id);
+        const item = await Equipment.findOne({ _id: id, deletedAt: null }).lean();
         
-        if (deleted) {
+        if (item) {
           if (imageServiceAvailable) {
-            await imageStorage.deleteAttachments(id);
+            item.imageData = await imageStorage.getAttachments(item._id);
+          } else {
+            item.imageData = normalizeImageArray(item.imageData);
           }
-          console.log(`✅ Equipment deleted from ${name.toUpperCase()} cluster`);
-          return deleted;
+          item.cluster = name;
+          return item;
         }
       } catch (error) {
         // Continue searching in other clusters
@@ -301,120 +828,1273 @@ class MultiClusterEquipment {
       }
     }
 
-    throw new Error('Equipment not found in any cluster');
+    return null;
   }
 
   /**
-   * Get statistics across all clusters
+   * Update equipment by ID
+   * Records a revision with the before/after values of changed fields.
+   * Every update bumps the document version (`__v`); pass `expectedVersion`
+   * to fail with a 409 instead of overwriting a newer copy. `expectedStatus`
+   * does the same for the status a transition was validated from.
    */
-  static async getStats() {
+  static async updateById(id, updateData, {
+    actor = 'system',
+    action = 'update',
+    restoredFrom = null,
+    expectedVersion,
+    expectedStatus
+  } = {}) {
   const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
-    const stats = {
-      total: 0,
-      computers: 0,
-      desktops: 0,
-      laptops: 0,
-      printers: 0,
-      byType: { computer: 0, desktop: 0, laptop: 0, printer: 0 },
-      byStatus: { working: 0, maintenance: 0, broken: 0, done: 0 },
-      byCluster: {},
-      byBrand: {}
-    };
+    const imageServiceAvailable = imageStorage.isAvailable();
+
+    if ('serialNumber' in updateData) {
+      await this.assertUniqueSerial(updateData.serialNumber, { excludeId: id });
+      updateData.serialKey = normalizeSerial(updateData.serialNumber);
+    }
+    await this.applyCustomerReference(updateData);
+    await this.applyLocationReference(updateData);
+    if ('brand' in updateData) {
+      updateData.brand = catalogs.canonicalBrand(updateData.brand);
+    }
+
+    const attachments = Array.isArray(updateData.imageData)
+      ? updateData.imageData.filter(Boolean)
+      : null;
+
+    if (imageServiceAvailable) {
+      delete updateData.imageData;
+    }
 
     for (const { name, connection } of allConnections) {
+      let before;
       try {
         const Equipment = connection.model('Equipment', equipmentSchema);
-        const items = await Equipment.find().lean();
-        
-        stats.byCluster[name] = items.length;
-        stats.total += items.length;
-
-        items.forEach(item => {
-          const typeKey = item.type || 'unknown';
-          const statusKey = item.status || 'unknown';
-          const brandKey = (typeof item.brand === 'string' && item.brand.trim().length > 0)
-            ? item.brand.trim()
-            : 'Unknown';
-
-          stats.byType[typeKey] = (stats.byType[typeKey] || 0) + 1;
-          stats.byStatus[statusKey] = (stats.byStatus[statusKey] || 0) + 1;
-          stats.byBrand[brandKey] = (stats.byBrand[brandKey] || 0) + 1;
-
-          if (typeKey === 'desktop') {
-            stats.desktops += 1;
-            stats.computers += 1;
-          } else if (typeKey === 'laptop') {
-            stats.laptops += 1;
-            stats.computers += 1;
-          } else if (typeKey === 'computer') {
-            stats.computers += 1;
-          } else if (typeKey === 'printer') {
-            stats.printers += 1;
-          }
-        });
+        before = await Equipment.findOne({ _id: id, deletedAt: null }).lean();
       } catch (error) {
-        console.error(`Error getting stats from ${name} cluster:`, error.message);
+        // Continue searching in other clusters
+        continue;
       }
+
+      if (!before) {
+        continue;
+      }
+
+      if ('assignedTo' in updateData && before.custody && updateData.assignedTo !== before.custody.assignee) {
+        const error = new Error(`Equipment is checked out to ${before.custody.assignee}. Check it in before reassigning.`);
+        error.statusCode = 409;
+        error.code = 'checked-out';
+        throw error;
+      }
+
+      const currentVersion = before.__v === undefined ? null : before.__v;
+      if (expectedVersion !== undefined && (currentVersion || 0) !== expectedVersion) {
+        throw await this.createVersionConflict(before, name);
+      }
+      if (expectedStatus !== undefined && before.status !== expectedStatus) {
+        throw await this.createVersionConflict(before, name);
+      }
+
+      const guard = { _id: before._id, __v: currentVersion, deletedAt: null };
+      if (expectedStatus !== undefined) {
+        guard.status = expectedStatus;
+      }
+
+      const Equipment = connection.model('Equipment', equipmentSchema);
+      const updated = await Equipment.findOneAndUpdate(
+        guard,
+        { ...updateData, $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+      );
+
+      if (!updated) {
+        // Changed between our read and write
+        const latest = await Equipment.findOne({ _id: id, deletedAt: null }).lean();
+        if (!latest) {
+          continue;
+        }
+        if (expectedVersion !== undefined || expectedStatus !== undefined) {
+          throw await this.createVersionConflict(latest, name);
+        }
+        const error = new Error('Equipment was modified concurrently. Reload and try again.');
+        error.statusCode = 409;
+        error.code = 'version-conflict';
+        throw error;
+      }
+
+      await revisionLog.record({
+        equipmentId: updated._id,
+        action,
+        before,
+        after: updated.toObject(),
+        fields: TRACKED_FIELDS,
+        actor,
+        cluster: name,
+        restoredFrom
+      });
+
+      if (imageServiceAvailable) {
+        if (attachments !== null) {
+          await imageStorage.replaceAttachments(updated._id, attachments);
+        }
+        updated.imageData = await imageStorage.getAttachments(updated._id);
+      } else {
+        updated.imageData = normalizeImageArray(updated.imageData);
+      }
+      console.log(`✅ Equipment updated in ${name.toUpperCase()} cluster`);
+      return updated;
+    }
+
+    throw new Error('Equipment not found in any cluster');
+  }
+
+  /**
+   * Build the 409 error returned when a caller's version is stale.
+   * It carries the current server copy so the client can merge.
+   */
+  static async createVersionConflict(current, clusterName) {
+    await hydrateImages(current, imageStorage.isAvailable());
+    current.cluster = clusterName;
+
+    const error = new Error('Equipment was changed by someone else. Review the current copy and try again.');
+    error.statusCode = 409;
+    error.code = 'version-conflict';
+    error.current = current;
+    return error;
+  }
+
+  /**
+   * Restore the tracked fields of an equipment record to their values
+   * right after `revision`. Status is left alone because it only moves
+   * through the status workflow.
+   */
+  static async restoreRevision(id, revision, { actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const state = await revisionLog.getStateAt(current._id, revision);
+    if (!state) {
+      const error = new Error(`Revision ${revision} not found for this equipment`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    delete state.status;
+
+    // Old specs must still pass the current schema for the type, as on PUT
+    if ('specs' in state || 'type' in state) {
+      const type = 'type' in state ? state.type : current.type;
+      const result = await specSchemas.validateSpecs(type, 'specs' in state ? state.specs : current.specs);
+      if (result.errors) {
+        const error = new Error(`Revision ${revision} has specs that are invalid under the current schema`);
+        error.statusCode = 400;
+        error.code = 'invalid-specs';
+        error.errors = result.errors;
+        throw error;
+      }
+      if ('specs' in state) {
+        state.specs = result.specs;
+      }
+    }
+
+    return this.updateById(id, state, { actor, action: 'restore', restoredFrom: revision });
+  }
+
+  /**
+   * Build a status history entry for a workflow-validated status change
+   */
+  static createStatusEntry(from, to, { note = '', actor = 'system' } = {}) {
+    return {
+      from: from || null,
+      to,
+      note: typeof note === 'string' ? note.trim() : '',
+      actor,
+      at: new Date()
+    };
+  }
+
+  /**
+   * Move equipment to a new status through the configured workflow.
+   * The write is conditional on the status read, so two concurrent
+   * transitions cannot both succeed from the same starting point.
+   */
+  static async transitionStatus(id, toStatus, { note = '', actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
     }
 
-    // Ensure status keys exist even if no data was found
-  stats.byStatus.working = stats.byStatus.working || 0;
-  stats.byStatus.maintenance = stats.byStatus.maintenance || 0;
-  stats.byStatus.broken = stats.byStatus.broken || 0;
-  stats.byStatus.done = stats.byStatus.done || 0;
+    statusWorkflow.assertTransition(current.status, toStatus, note);
 
-    // Keep byType totals in sync with convenience fields
-    stats.byType.desktop = stats.byType.desktop || 0;
-    stats.byType.laptop = stats.byType.laptop || 0;
-    stats.byType.computer = stats.byType.computer || 0;
-    stats.byType.printer = stats.byType.printer || 0;
+    const Equipment = this.getModel(current.cluster);
+    const entry = this.createStatusEntry(current.status, toStatus, { note, actor });
 
-    stats.desktops = stats.byType.desktop;
-    stats.laptops = stats.byType.laptop;
-    stats.computers = stats.byType.computer + stats.byType.desktop + stats.byType.laptop;
-    stats.printers = stats.byType.printer || stats.printers;
+    const updated = await Equipment.findOneAndUpdate(
+      { _id: id, status: current.status, deletedAt: null },
+      { $set: { status: toStatus }, $push: { statusHistory: entry }, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!updated) {
+      const error = new Error('Equipment status changed while processing the request. Reload and try again.');
+      error.statusCode = 409;
+      error.code = 'status-conflict';
+      throw error;
+    }
+
+    await revisionLog.record({
+      equipmentId: updated._id,
+      action: 'transition',
+      before: current,
+      after: updated,
+      fields: TRACKED_FIELDS,
+      actor,
+      cluster: current.cluster
+    });
+
+    await hydrateImages(updated, imageStorage.isAvailable());
+    updated.cluster = current.cluster;
+
+    console.log(`🔁 Equipment ${id} moved ${current.status} → ${toStatus} by ${actor}`);
+    return updated;
+  }
+
+  /**
+   * List maintenance entries for an equipment record, newest first
+   */
+  static async listMaintenance(id) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const entries = (current.maintenanceLog || [])
+      .slice()
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+    return { entries, totals: summarizeCosts(entries) };
+  }
+
+  /**
+   * Apply a maintenance log change to the cluster holding the record.
+   * Bumps the document version like any other write.
+   */
+  static async writeMaintenance(current, filter, update) {
+    const Equipment = this.getModel(current.cluster);
+    const updated = await Equipment.findOneAndUpdate(
+      { _id: current._id, deletedAt: null, ...filter },
+      { ...update, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (updated) {
+      updated.cluster = current.cluster;
+    }
+    return updated;
+  }
+
+  static createMaintenanceNotFound(entryId) {
+    const error = new Error(`Maintenance entry ${entryId} not found for this equipment`);
+    error.statusCode = 404;
+    return error;
+  }
+
+  /**
+   * Add a maintenance entry; part line totals and the entry total are computed here
+   */
+  static async addMaintenance(id, data, { actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const entry = { ...sanitizeMaintenanceEntry(data), createdBy: actor };
+    const updated = await this.writeMaintenance(current, {}, { $push: { maintenanceLog: entry } });
+    if (!updated) {
+      return null;
+    }
+
+    console.log(`🔧 Maintenance entry added to equipment ${id} by ${actor}`);
+    return updated.maintenanceLog[updated.maintenanceLog.length - 1];
+  }
+
+  /**
+   * Update a maintenance entry. Omitted fields keep their current values.
+   */
+  static async updateMaintenance(id, entryId, data, { actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const existing = (current.maintenanceLog || []).find((entry) => String(entry._id) === String(entryId));
+    if (!existing) {
+      throw this.createMaintenanceNotFound(entryId);
+    }
+
+    const entry = {
+      ...sanitizeMaintenanceEntry(data, existing),
+      _id: existing._id,
+      createdBy: existing.createdBy,
+      createdAt: existing.createdAt,
+      updatedBy: actor,
+      updatedAt: new Date()
+    };
+
+    const updated = await this.writeMaintenance(
+      current,
+      { 'maintenanceLog._id': existing._id },
+      { $set: { 'maintenanceLog.$': entry } }
+    );
+    if (!updated) {
+      throw this.createMaintenanceNotFound(entryId);
+    }
+
+    return updated.maintenanceLog.find((item) => String(item._id) === String(entryId));
+  }
+
+  /**
+   * Remove a maintenance entry
+   */
+  static async removeMaintenance(id, entryId, { actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const exists = (current.maintenanceLog || []).some((entry) => String(entry._id) === String(entryId));
+    if (!exists) {
+      throw this.createMaintenanceNotFound(entryId);
+    }
+
+    const updated = await this.writeMaintenance(
+      current,
+      { 'maintenanceLog._id': entryId },
+      { $pull: { maintenanceLog: { _id: entryId } } }
+    );
+    if (!updated) {
+      throw this.createMaintenanceNotFound(entryId);
+    }
+
+    console.log(`🗑️  Maintenance entry ${entryId} removed from equipment ${id} by ${actor}`);
+    return true;
+  }
+
+  /**
+   * Check equipment out to a person. Fails with 409 while another
+   * check-out is still open; assignedTo follows the current holder.
+   */
+  static async checkOut(id, { assignee, expectedReturnAt = null, condition = '', notes = '' } = {}, { actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    if (current.custody) {
+      const error = new Error(`Equipment is already checked out to ${current.custody.assignee}`);
+      error.statusCode = 409;
+      error.code = 'already-checked-out';
+      error.custody = current.custody;
+      throw error;
+    }
+
+    const custody = {
+      assignee,
+      checkedOutAt: new Date(),
+      checkedOutBy: actor,
+      expectedReturnAt,
+      conditionOut: condition,
+      notes
+    };
+
+    const Equipment = this.getModel(current.cluster);
+    const updated = await Equipment.findOneAndUpdate(
+      { _id: current._id, custody: null, deletedAt: null },
+      { $set: { custody, assignedTo: assignee }, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!updated) {
+      const error = new Error('Equipment was checked out while processing the request. Reload and try again.');
+      error.statusCode = 409;
+      error.code = 'already-checked-out';
+      throw error;
+    }
+
+    await revisionLog.record({
+      equipmentId: updated._id,
+      action: 'checkout',
+      before: current,
+      after: updated,
+      fields: TRACKED_FIELDS,
+      actor,
+      cluster: current.cluster
+    });
+
+    await hydrateImages(updated, imageStorage.isAvailable());
+    updated.cluster = current.cluster;
+
+    console.log(`📤 Equipment ${id} checked out to ${assignee} by ${actor}`);
+    return updated;
+  }
+
+  /**
+   * Close the open check-out and move it into the custody history
+   */
+  static async checkIn(id, { condition = '', notes = '' } = {}, { actor = 'system' } = {}) {
+    const current = await this.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    if (!current.custody) {
+      const error = new Error('Equipment is not checked out');
+      error.statusCode = 409;
+      error.code = 'not-checked-out';
+      throw error;
+    }
+
+    const closed = {
+      ...current.custody,
+      checkedInAt: new Date(),
+      checkedInBy: actor,
+      conditionIn: condition,
+      notes: [current.custody.notes, notes].filter(Boolean).join('\n')
+    };
+
+    const Equipment = this.getModel(current.cluster);
+    const updated = await Equipment.findOneAndUpdate(
+      { _id: current._id, 'custody.checkedOutAt': current.custody.checkedOutAt, deletedAt: null },
+      { $set: { custody: null, assignedTo: '' }, $push: { custodyHistory: closed }, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!updated) {
+      const error = new Error('Equipment custody changed while processing the request. Reload and try again.');
+      error.statusCode = 409;
+      error.code = 'custody-conflict';
+      throw error;
+    }
+
+    await revisionLog.record({
+      equipmentId: updated._id,
+      action: 'checkin',
+      before: current,
+      after: updated,
+      fields: TRACKED_FIELDS,
+      actor,
+      cluster: current.cluster
+    });
+
+    await hydrateImages(updated, imageStorage.isAvailable());
+    updated.cluster = current.cluster;
+
+    console.log(`📥 Equipment ${id} checked in from ${closed.assignee} by ${actor}`);
+    return updated;
+  }
+
+  /**
+   * Open check-outs across all clusters, without attachments.
+   * `overdueAt` keeps only those whose expected return is before that date.
+   */
+  static async findCheckedOut({ assignee = null, overdueAt = null } = {}) {
+    const query = { custody: { $ne: null } };
+    if (assignee) {
+      query['custody.assignee'] = new RegExp(`^${escapeRegex(assignee)}$`, 'i');
+    }
+    if (overdueAt) {
+      query['custody.expectedReturnAt'] = { $ne: null, $lt: overdueAt };
+    }
+
+    const items = [];
+    const stream = this.streamSorted(query, { sort: { field: 'checkInDate', direction: 1 } });
+    for await (const item of stream) {
+      items.push(item);
+    }
+
+    return items.sort((a, b) => {
+      const aDue = a.custody.expectedReturnAt ? new Date(a.custody.expectedReturnAt).getTime() : Infinity;
+      const bDue = b.custody.expectedReturnAt ? new Date(b.custody.expectedReturnAt).getTime() : Infinity;
+      return aDue - bDue;
+    });
+  }
+
+  /**
+   * Delete equipment by ID
+   * Moves the record to the trash; attachments are kept until it is purged.
+   */
+  static async deleteById(id, { actor = 'system' } = {}) {
+  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+
+    for (const { name, connection } of allConnections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const deleted = await Equipment.findOneAndUpdate(
+          { _id: id, deletedAt: null },
+          { $set: { deletedAt: new Date(), deletedBy: actor }, $inc: { __v: 1 } },
+          { new: true }
+        );
+
+        if (deleted) {
+          await revisionLog.record({
+            equipmentId: deleted._id,
+            action: 'delete',
+            fields: TRACKED_FIELDS,
+            actor,
+            cluster: name
+          });
+          console.log(`🗑️  Equipment moved to trash in ${name.toUpperCase()} cluster`);
+          return deleted;
+        }
+      } catch (error) {
+        // Continue searching in other clusters
+        continue;
+      }
+    }
+
+    throw new Error('Equipment not found in any cluster');
+  }
+
+  /**
+   * Bring a trashed record back. Fails with 409 if its serial number has
+   * been registered again in the meantime.
+   */
+  static async restoreFromTrash(id, { actor = 'system' } = {}) {
+  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+    const imageServiceAvailable = imageStorage.isAvailable();
+
+    for (const { name, connection } of allConnections) {
+      let trashed;
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        trashed = await Equipment.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+      } catch (error) {
+        // Continue searching in other clusters
+        continue;
+      }
+
+      if (!trashed) {
+        continue;
+      }
+
+      await this.assertUniqueSerial(trashed.serialNumber, { excludeId: trashed._id });
+
+      const Equipment = connection.model('Equipment', equipmentSchema);
+      const restored = await Equipment.findOneAndUpdate(
+        { _id: trashed._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: '' }, $inc: { __v: 1 } },
+        { new: true }
+      ).lean();
+
+      if (!restored) {
+        continue;
+      }
+
+      await revisionLog.record({
+        equipmentId: restored._id,
+        action: 'undelete',
+        fields: TRACKED_FIELDS,
+        actor,
+        cluster: name
+      });
+
+      await hydrateImages(restored, imageServiceAvailable);
+      restored.cluster = name;
+      console.log(`♻️  Equipment restored from trash in ${name.toUpperCase()} cluster`);
+      return restored;
+    }
+
+    return null;
+  }
+
+  /**
+   * Permanently remove a trashed record and its attachments
+   */
+  static async purgeById(id, { actor = 'system' } = {}) {
+  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+    const imageServiceAvailable = imageStorage.isAvailable();
+
+    for (const { name, connection } of allConnections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const purged = await Equipment.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+
+        if (purged) {
+          if (imageServiceAvailable) {
+            await imageStorage.deleteAttachments(purged._id);
+          }
+          await revisionLog.record({
+            equipmentId: purged._id,
+            action: 'purge',
+            fields: TRACKED_FIELDS,
+            actor,
+            cluster: name
+          });
+          console.log(`✅ Equipment purged from ${name.toUpperCase()} cluster`);
+          return purged;
+        }
+      } catch (error) {
+        // Continue searching in other clusters
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Purge every record that has been in the trash longer than
+   * `retentionDays`, up to `batchLimit` per cluster
+   */
+  static async purgeExpired({ retentionDays, batchLimit = 500, actor = 'system' } = {}) {
+    const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    let purged = 0;
+    let errors = 0;
+
+    for (const { name, connection } of allConnections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const expired = await Equipment.find({ deletedAt: { $ne: null, $lt: cutoff } })
+          .select('_id')
+          .limit(batchLimit)
+          .lean();
+
+        for (const { _id } of expired) {
+          try {
+            if (await this.purgeById(_id, { actor })) {
+              purged++;
+            }
+          } catch (error) {
+            console.error(`Error purging equipment ${_id}:`, error.message);
+            errors++;
+          }
+        }
+      } catch (error) {
+        console.error(`Error reading trash from ${name} cluster:`, error.message);
+        errors++;
+      }
+    }
+
+    return { purged, errors, cutoff };
+  }
+
+  /**
+   * Count one cluster's equipment with a single aggregation.
+   * Each facet returns small grouped rows that getStats() merges.
+   */
+  static async aggregateClusterStats(Equipment, filter, { topItems = 10 } = {}) {
+    const [result] = await Equipment.aggregate([
+      { $match: castQuery(Equipment, filter) },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byType: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          byBrand: [{ $group: { _id: { $trim: { input: { $ifNull: ['$brand', ''] } } }, count: { $sum: 1 } } }],
+          byLocation: [
+            { $unwind: '$locationPath' },
+            { $group: { _id: { location: '$locationPath', type: '$type', status: '$status' }, count: { $sum: 1 } } }
+          ],
+          maintenanceTotals: [
+            { $match: { 'maintenanceLog.0': { $exists: true } } },
+            {
+              $group: {
+                _id: null,
+                items: { $sum: 1 },
+                entries: { $sum: { $size: '$maintenanceLog' } },
+                partsCost: { $sum: { $sum: '$maintenanceLog.partsCost' } },
+                laborCost: { $sum: { $sum: '$maintenanceLog.laborCost' } },
+                totalCost: { $sum: { $sum: '$maintenanceLog.total' } }
+              }
+            }
+          ],
+          // Only the costliest items; totals above cover the rest
+          maintenanceTop: [
+            { $match: { 'maintenanceLog.0': { $exists: true } } },
+            {
+              $project: {
+                brand: 1,
+                model: 1,
+                serialNumber: 1,
+                entries: { $size: '$maintenanceLog' },
+                partsCost: { $sum: '$maintenanceLog.partsCost' },
+                laborCost: { $sum: '$maintenanceLog.laborCost' },
+                totalCost: { $sum: '$maintenanceLog.total' }
+              }
+            },
+            { $sort: { totalCost: -1, entries: -1, _id: 1 } },
+            { $limit: topItems }
+          ]
+        }
+      }
+    ]);
+
+    return result;
+  }
+
+  /**
+   * Get statistics across all clusters
+   * `filter` narrows the items counted (same shape as list filters).
+   * byLocation rolls each item up to its room, building and site.
+   */
+  static async getStats(filter = {}) {
+  const allConnections = clusterManager.getAllConnections({ category: 'equipment' });
+    const countKeys = (kind) => catalogs.getKeys(kind).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+    const openStatuses = catalogs.getOpenStatuses();
+    const stats = {
+      total: 0,
+      computers: 0,
+      desktops: 0,
+      laptops: 0,
+      printers: 0,
+      open: 0,
+      byType: countKeys('type'),
+      byStatus: countKeys('status'),
+      byCategory: {},
+      byCluster: {},
+      byBrand: {},
+      byLocation: [],
+      maintenance: { items: 0, entries: 0, partsCost: 0, laborCost: 0, totalCost: 0, byItem: [] }
+    };
+    const topItems = parseInt(process.env.STATS_MAINTENANCE_TOP_ITEMS, 10) || 10;
+
+    const locationCounts = new Map();
+    const increment = (counts, key, count) => {
+      counts[key] = (counts[key] || 0) + count;
+    };
+
+    const results = await Promise.all(allConnections.map(async ({ name, connection }) => {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        return { name, result: await this.aggregateClusterStats(Equipment, filter, { topItems }) };
+      } catch (error) {
+        console.error(`Error getting stats from ${name} cluster:`, error.message);
+        return { name, result: null };
+      }
+    }));
+
+    results.forEach(({ name, result }) => {
+      if (!result) {
+        return;
+      }
+
+      const clusterTotal = result.total.length > 0 ? result.total[0].count : 0;
+      stats.byCluster[name] = clusterTotal;
+      stats.total += clusterTotal;
+
+      result.byType.forEach(({ _id, count }) => {
+        const typeKey = _id || 'unknown';
+        increment(stats.byType, typeKey, count);
+        increment(stats.byCategory, catalogs.getTypeCategory(typeKey), count);
+      });
+
+      result.byStatus.forEach(({ _id, count }) => {
+        const statusKey = _id || 'unknown';
+        increment(stats.byStatus, statusKey, count);
+        if (openStatuses.includes(statusKey)) {
+          stats.open += count;
+        }
+      });
+
+      // Older records may still use a brand alias
+      result.byBrand.forEach(({ _id, count }) => {
+        const brandKey = _id ? catalogs.canonicalBrand(_id, { strict: false }) : 'Unknown';
+        increment(stats.byBrand, brandKey, count);
+      });
+
+      result.byLocation.forEach(({ _id, count }) => {
+        const key = String(_id.location);
+        const counts = locationCounts.get(key) || { total: 0, open: 0, byType: {}, byStatus: {} };
+        counts.total += count;
+        counts.open += openStatuses.includes(_id.status) ? count : 0;
+        increment(counts.byType, _id.type || 'unknown', count);
+        increment(counts.byStatus, _id.status || 'unknown', count);
+        locationCounts.set(key, counts);
+      });
+
+      result.maintenanceTotals.forEach((totals) => {
+        stats.maintenance.items += totals.items;
+        stats.maintenance.entries += totals.entries;
+        stats.maintenance.partsCost = roundMoney(stats.maintenance.partsCost + (totals.partsCost || 0));
+        stats.maintenance.laborCost = roundMoney(stats.maintenance.laborCost + (totals.laborCost || 0));
+        stats.maintenance.totalCost = roundMoney(stats.maintenance.totalCost + (totals.totalCost || 0));
+      });
+
+      result.maintenanceTop.forEach((item) => {
+        stats.maintenance.byItem.push({
+          id: item._id,
+          brand: item.brand,
+          model: item.model,
+          serialNumber: item.serialNumber,
+          cluster: name,
+          entries: item.entries,
+          partsCost: roundMoney(item.partsCost || 0),
+          laborCost: roundMoney(item.laborCost || 0),
+          totalCost: roundMoney(item.totalCost || 0)
+        });
+      });
+    });
+
+    // Convenience fields kept for existing dashboards
+    stats.desktops = stats.byType.desktop || 0;
+    stats.laptops = stats.byType.laptop || 0;
+    stats.computers = stats.byCategory.computer || 0;
+    stats.printers = stats.byCategory.printer || 0;
+
+    // Each cluster sent its top items; keep the overall top
+    stats.maintenance.byItem = stats.maintenance.byItem
+      .sort((a, b) => (b.totalCost - a.totalCost) || (b.entries - a.entries))
+      .slice(0, topItems);
+
+    if (locationCounts.size > 0) {
+      const locations = await locationDirectory.list();
+      stats.byLocation = locations
+        .filter((location) => locationCounts.has(String(location._id)))
+        .map((location) => ({
+          id: location._id,
+          name: location.name,
+          level: location.level,
+          parent: location.parent,
+          ...locationCounts.get(String(location._id))
+        }));
+    }
 
     return stats;
   }
 
   /**
-   * Archive old equipment records
+   * Check-ins, completions and breakdowns per time bucket across clusters.
+   * Completions and breakdowns come from status history entries moving to
+   * TREND_COMPLETED_STATUSES / TREND_BREAKDOWN_STATUSES within the range.
    */
-  static async archiveOldRecords() {
-    const oldRecords = await clusterManager.checkArchivingNeeded();
-    
-    if (oldRecords.length === 0) {
-      return { archived: 0, errors: 0, message: 'No records need archiving' };
+  static async getTrends(filter = {}, { from, to, interval, groupBy = null, locationIndex = 0, includeArchive = false } = {}) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' });
+    if (includeArchive) {
+      connections.push(...clusterManager.getAllConnections({ category: 'archive' }));
+    }
+
+    const completed = getCompletedStatuses();
+    const breakdowns = getBreakdownStatuses();
+    const bucketOf = (date) => ({
+      $dateTrunc: { date, unit: interval, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) }
+    });
+    const groupExpressions = {
+      type: '$type',
+      brand: { $trim: { input: { $ifNull: ['$brand', ''] } } },
+      location: { $arrayElemAt: ['$locationPath', locationIndex] }
+    };
+    const group = groupBy ? groupExpressions[groupBy] : null;
+
+    const buckets = new Map(listBuckets(from, to, interval).map((start) => [start.toISOString(), {
+      start,
+      checkIns: 0,
+      completions: 0,
+      breakdowns: 0,
+      groups: new Map()
+    }]));
+
+    const add = (bucketStart, groupKey, metric, count) => {
+      const bucket = buckets.get(new Date(bucketStart).toISOString());
+      if (!bucket) {
+        return;
+      }
+      bucket[metric] += count;
+      if (groupBy) {
+        const key = groupKey === null || groupKey === undefined || groupKey === '' ? null : String(groupKey);
+        const counts = bucket.groups.get(key) || { checkIns: 0, completions: 0, breakdowns: 0 };
+        counts[metric] += count;
+        bucket.groups.set(key, counts);
+      }
+    };
+
+    for (const { name, connection } of connections) {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const [result] = await Equipment.aggregate([
+          { $match: castQuery(Equipment, filter) },
+          {
+            $facet: {
+              checkIns: [
+                { $match: { checkInDate: { $gte: from, $lt: to } } },
+                { $group: { _id: { bucket: bucketOf('$checkInDate'), group }, count: { $sum: 1 } } }
+              ],
+              transitions: [
+                { $unwind: '$statusHistory' },
+                {
+                  $match: {
+                    'statusHistory.at': { $gte: from, $lt: to },
+                    'statusHistory.to': { $in: completed.concat(breakdowns) }
+                  }
+                },
+                {
+                  $group: {
+                    _id: { bucket: bucketOf('$statusHistory.at'), to: '$statusHistory.to', group },
+                    count: { $sum: 1 }
+                  }
+                }
+              ]
+            }
+          }
+        ]);
+
+        result.checkIns.forEach(({ _id, count }) => add(_id.bucket, _id.group, 'checkIns', count));
+        result.transitions.forEach(({ _id, count }) => {
+          if (completed.includes(_id.to)) {
+            add(_id.bucket, _id.group, 'completions', count);
+          }
+          if (breakdowns.includes(_id.to)) {
+            add(_id.bucket, _id.group, 'breakdowns', count);
+          }
+        });
+      } catch (error) {
+        console.error(`Error computing trends in ${name} cluster:`, error.message);
+      }
+    }
+
+    const labelGroup = await this.createGroupLabeler(groupBy);
+    const totals = { checkIns: 0, completions: 0, breakdowns: 0 };
+
+    const series = Array.from(buckets.values()).map((bucket) => {
+      totals.checkIns += bucket.checkIns;
+      totals.completions += bucket.completions;
+      totals.breakdowns += bucket.breakdowns;
+
+      const entry = {
+        start: bucket.start,
+        checkIns: bucket.checkIns,
+        completions: bucket.completions,
+        breakdowns: bucket.breakdowns
+      };
+
+      if (groupBy) {
+        // Brand aliases collapse into their canonical name here
+        const merged = new Map();
+        bucket.groups.forEach((counts, key) => {
+          const { key: groupKey, label } = labelGroup(key);
+          const current = merged.get(groupKey) || { key: groupKey, label, checkIns: 0, completions: 0, breakdowns: 0 };
+          current.checkIns += counts.checkIns;
+          current.completions += counts.completions;
+          current.breakdowns += counts.breakdowns;
+          merged.set(groupKey, current);
+        });
+        entry.groups = Array.from(merged.values()).sort((a, b) => String(a.label).localeCompare(String(b.label)));
+      }
+
+      return entry;
+    });
+
+    return { interval, from, to, groupBy, totals, buckets: series };
+  }
+
+  /**
+   * Map raw trend group keys to stable keys and display labels
+   */
+  static async createGroupLabeler(groupBy) {
+    if (groupBy === 'location') {
+      const names = new Map((await locationDirectory.list()).map((location) => [String(location._id), location.name]));
+      return (key) => (key === null
+        ? { key: null, label: 'No location' }
+        : { key, label: names.get(key) || key });
+    }
+
+    if (groupBy === 'brand') {
+      return (key) => {
+        const brand = key === null ? 'Unknown' : catalogs.canonicalBrand(key, { strict: false });
+        return { key: brand, label: brand };
+      };
+    }
+
+    return (key) => {
+      const entry = key === null ? null : catalogs.getEntry('type', key);
+      return { key, label: entry ? entry.label : (key || 'Unknown') };
+    };
+  }
+
+  /**
+   * Records due for archiving in every writable equipment cluster: not
+   * updated since `cutoff`, not in the trash and not checked out.
+   * Oldest first, at most `batchLimit` in total.
+   */
+  static async findArchiveCandidates({ cutoff, batchLimit }) {
+    const connections = clusterManager.getAllConnections({ category: 'equipment' })
+      .filter(({ name }) => (clusterManager.getDescriptor(name) || {}).writable);
+    const candidates = [];
+
+    await Promise.all(connections.map(async ({ name, connection }) => {
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const items = await Equipment.find({ updatedAt: { $lt: cutoff }, deletedAt: null, custody: null })
+          .sort({ updatedAt: 1, _id: 1 })
+          .limit(batchLimit)
+          .select('_id type brand model serialNumber status updatedAt')
+          .lean();
+        items.forEach((item) => candidates.push({ ...item, cluster: name }));
+      } catch (error) {
+        console.error(`Error finding archive candidates in ${name} cluster:`, error.message);
+      }
+    }));
+
+    return candidates
+      .sort((a, b) => (new Date(a.updatedAt) - new Date(b.updatedAt)) || String(a._id).localeCompare(String(b._id)))
+      .slice(0, batchLimit);
+  }
+
+  /**
+   * Move one candidate into the archive cluster. The source copy is only
+   * removed if it still matches what was copied; returns false otherwise.
+   */
+  static async archiveRecord(candidate, { cutoff, actor = 'system' }) {
+    const [archive] = clusterManager.getAllConnections({ category: 'archive' });
+    if (!archive) {
+      throw new Error('Archive cluster not configured');
+    }
+
+    const Source = this.getModel(candidate.cluster).collection;
+    const Archive = archive.connection.model('Equipment', equipmentSchema).collection;
+
+    // Re-check: the record may have been edited since it was selected
+    const doc = await Source.findOne({ _id: candidate._id, updatedAt: { $lt: cutoff }, deletedAt: null, custody: null });
+    if (!doc) {
+      return false;
+    }
+
+    await Archive.replaceOne({ _id: doc._id }, { ...doc, cluster: archive.name, archivedAt: new Date() }, { upsert: true });
+
+    const guard = { _id: doc._id, updatedAt: doc.updatedAt };
+    if ('__v' in doc) {
+      guard.__v = doc.__v;
+    }
+    const { deletedCount } = await Source.deleteOne(guard);
+    if (deletedCount === 0) {
+      await Archive.deleteOne({ _id: doc._id });
+      return false;
+    }
+
+    await revisionLog.record({
+      equipmentId: doc._id,
+      action: 'archive',
+      fields: TRACKED_FIELDS,
+      actor,
+      cluster: candidate.cluster
+    });
+    return true;
+  }
+
+  /**
+   * Archive records not updated for `archiveAfterDays` across all writable
+   * equipment clusters. With `dryRun` nothing moves and the candidates that
+   * would be archived are returned instead.
+   */
+  static async archiveOldRecords({
+    archiveAfterDays = parseInt(process.env.ARCHIVE_AFTER_DAYS, 10) || 180,
+    batchLimit = parseInt(process.env.ARCHIVE_BATCH_LIMIT, 10) || 100,
+    dryRun = false,
+    actor = 'system'
+  } = {}) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - archiveAfterDays);
+
+    const candidates = await this.findArchiveCandidates({ cutoff, batchLimit });
+    const byCluster = {};
+    candidates.forEach(({ cluster }) => {
+      byCluster[cluster] = byCluster[cluster] || { candidates: 0, archived: 0, skipped: 0, failed: 0 };
+      byCluster[cluster].candidates += 1;
+    });
+
+    const result = { cutoff, archiveAfterDays, batchLimit, processed: candidates.length, byCluster };
+
+    if (dryRun) {
+      return {
+        ...result,
+        dryRun: true,
+        candidates,
+        message: `${candidates.length} record(s) would be archived`
+      };
+    }
+
+    if (candidates.length > 0 && !clusterManager.getConnectionForCategory('archive')) {
+      throw new Error('Archive cluster not configured');
+    }
+
+    let archived = 0;
+    let skipped = 0;
+    const failures = [];
+
+    for (const candidate of candidates) {
+      const counts = byCluster[candidate.cluster];
+      try {
+        if (await this.archiveRecord(candidate, { cutoff, actor })) {
+          archived++;
+          counts.archived += 1;
+        } else {
+          skipped++;
+          counts.skipped += 1;
+        }
+      } catch (error) {
+        console.error(`Error archiving record ${candidate._id}:`, error.message);
+        counts.failed += 1;
+        failures.push({ equipmentId: candidate._id, cluster: candidate.cluster, message: error.message });
+      }
+    }
+
+    if (archived > 0) {
+      console.log(`📦 Archived ${archived} records to ARCHIVE cluster`);
     }
 
-    const recordIds = oldRecords.map(r => r._id);
-    const result = await clusterManager.archiveRecords(recordIds);
-    
-    console.log(`📦 Archived ${result.archived} records to ARCHIVE cluster`);
-    
     return {
       ...result,
-      message: `Archived ${result.archived} old records`
+      dryRun: false,
+      archived,
+      skipped,
+      errors: failures.length,
+      failures,
+      message: candidates.length === 0 ? 'No records need archiving' : `Archived ${archived} old records`
     };
   }
 
   /**
-   * Search equipment across all clusters
+   * Move an archived record back into the active cluster.
+   * The record keeps its _id, so attachments and revisions still match.
+   * Fails with 409 if its serial number has been registered again meanwhile.
    */
-  static async search(searchTerm) {
-    const query = {
-      $or: [
-        { brand: new RegExp(searchTerm, 'i') },
-        { model: new RegExp(searchTerm, 'i') },
-        { serialNumber: new RegExp(searchTerm, 'i') },
-        { location: new RegExp(searchTerm, 'i') },
-        { assignedTo: new RegExp(searchTerm, 'i') },
-        { customerId: new RegExp(searchTerm, 'i') },
-        { customerPhone: new RegExp(searchTerm, 'i') }
-      ]
-    };
+  static async unarchive(id, { actor = 'system' } = {}) {
+    const archiveConnections = clusterManager.getAllConnections({ category: 'archive' });
+    const imageServiceAvailable = imageStorage.isAvailable();
+
+    for (const { name, connection } of archiveConnections) {
+      const Archive = connection.model('Equipment', equipmentSchema);
+      let archived;
+      try {
+        archived = await Archive.findOne({ _id: id }).lean();
+      } catch (error) {
+        // Continue searching in other clusters
+        continue;
+      }
+
+      if (!archived) {
+        continue;
+      }
+
+      await this.assertUniqueSerial(archived.serialNumber, { excludeId: archived._id });
+
+      // Same target selection as create: storage thresholds and circuit state
+      const { name: activeCluster, connection: activeConnection } = await this.selectWriteCluster();
+      const Equipment = activeConnection.model('Equipment', equipmentSchema);
+
+      // A fresh updatedAt keeps the auto-archiver from moving it straight back
+      const restored = {
+        ...archived,
+        cluster: activeCluster,
+        archivedAt: null,
+        updatedAt: new Date(),
+        __v: (archived.__v || 0) + 1
+      };
+
+      // Copy before deleting so an interruption leaves a duplicate, never a loss
+      await Equipment.collection.replaceOne({ _id: archived._id }, restored, { upsert: true });
+      await Archive.collection.deleteOne({ _id: archived._id });
+
+      await revisionLog.record({
+        equipmentId: archived._id,
+        action: 'unarchive',
+        fields: TRACKED_FIELDS,
+        actor,
+        cluster: activeCluster
+      });
+
+      await hydrateImages(restored, imageServiceAvailable);
+      console.log(`📤 Equipment restored from ${name.toUpperCase()} to ${activeCluster.toUpperCase()} cluster`);
+      return restored;
+    }
+
+    return null;
+  }
 
-    return await this.findAll(query);
+  /**
+   * Search equipment across all clusters.
+   * Tokens are escaped before matching; results are ranked with exact
+   * serial matches first and carry highlight ranges per matched field.
+   */
+  static async search(searchTerm, { filter = {}, limit = 50, archived = false } = {}) {
+    const tokens = tokenize(searchTerm);
+    if (tokens.length === 0) {
+      return { items: [], total: 0, truncated: false, clusters: [] };
+    }
+
+    const allConnections = clusterManager.getAllConnections({ category: archived ? 'archive' : 'equipment' });
+    const imageServiceAvailable = imageStorage.isAvailable();
+    const candidateLimit = parseInt(process.env.SEARCH_CANDIDATE_LIMIT, 10) || 500;
+
+    const searchFilter = buildSearchFilter(tokens);
+    const query = scopeQuery(Object.keys(filter).length > 0
+      ? { $and: [filter, searchFilter] }
+      : searchFilter);
+    // Exact serial hits are fetched on their own so the candidate window
+    // below can never push them out of the results
+    const serialKey = normalizeSerial(searchTerm);
+    const serialQuery = scopeQuery(Object.keys(filter).length > 0
+      ? { $and: [filter, { serialKey }] }
+      : { serialKey });
+
+    const clusters = [];
+    const candidates = [];
+    let truncated = false;
+
+    await Promise.all(allConnections.map(async ({ name, connection }) => {
+      const startedAt = Date.now();
+      try {
+        const Equipment = connection.model('Equipment', equipmentSchema);
+        const [serialMatches, items] = await Promise.all([
+          Equipment.find(serialQuery).lean(),
+          Equipment.find(query)
+            .sort({ updatedAt: -1 })
+            .limit(candidateLimit)
+            .lean()
+        ]);
+
+        if (items.length >= candidateLimit) {
+          truncated = true;
+        }
+
+        const seen = new Set(items.map((item) => String(item._id)));
+        const merged = serialMatches
+          .filter((item) => !seen.has(String(item._id)))
+          .concat(items);
+
+        merged.forEach((item) => {
+          item.cluster = name;
+          candidates.push(item);
+        });
+
+        clusters.push({ cluster: name, count: merged.length, durationMs: Date.now() - startedAt });
+      } catch (error) {
+        console.error(`Error searching ${name} cluster:`, error.message);
+        clusters.push({ cluster: name, count: 0, durationMs: Date.now() - startedAt, error: error.message });
+      }
+    }));
+
+    const ranked = candidates
+      .map((item) => ({ item, ...scoreItem(item, tokens, searchTerm) }))
+      .sort((a, b) => (b.score - a.score) || (new Date(b.item.updatedAt) - new Date(a.item.updatedAt)));
+
+    const items = ranked.slice(0, limit);
+    for (const entry of items) {
+      await hydrateImages(entry.item, imageServiceAvailable);
+    }
+
+    return {
+      items: items.map(({ item, score, exactSerial, highlights }) => ({
+        ...item,
+        search: { score, exactSerial, highlights }
+      })),
+      total: ranked.length,
+      truncated,
+      clusters: clusters.sort((a, b) => a.cluster.localeCompare(b.cluster))
+    };
   }
 }
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One source → destination leg of a rebalancing plan
+const transferSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  bytesPlanned: {
+    type: Number,
+    default: 0
+  },
+  bytesMoved: {
+    type: Number,
+    default: 0
+  },
+  moved: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Checkpoint: documents are moved in _id order, resuming after this id
+  lastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  done: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const rebalanceJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: ['running', 'paused', 'interrupted', 'completed', 'failed', 'cancelled'],
+    default: 'running'
+  },
+  // Target fill level per cluster, in percent of CLUSTER_STORAGE_LIMIT_MB
+  targets: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  transfers: {
+    type: [transferSchema],
+    default: []
+  },
+  startedBy: {
+    type: String,
+    default: 'system'
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  collection: 'rebalancejobs'
+});
+
+rebalanceJobSchema.index({ createdAt: -1 });
+rebalanceJobSchema.index({ status: 1 });
+
+module.exports = rebalanceJobSchema;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const specFieldSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, default: '' },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['string', 'number', 'boolean', 'enum', 'date']
+  },
+  required: { type: Boolean, default: false },
+  unit: { type: String, default: '' },
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  options: { type: [String], default: [] }
+}, { _id: false });
+
+const specSchemaSchema = new mongoose.Schema({
+  // Equipment type the schema applies to
+  type: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  fields: {
+    type: [specFieldSchema],
+    default: []
+  },
+  // Reject spec keys that are not defined in `fields`
+  strict: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  updatedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true,
+  collection: 'specschemas'
+});
+
+module.exports = specSchemaSchema;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One row per (equipment, warranty expiry, alert window) so each window alerts once
+const warrantyAlertSchema = new mongoose.Schema({
+  equipmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  warrantyExpiry: { type: Date, required: true },
+  windowDays: { type: Number, required: true },
+  cluster: { type: String, default: '' },
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  createdBy: { type: String, default: 'system' }
+}, {
+  timestamps: true,
+  collection: 'warrantyalerts'
+});
+
+warrantyAlertSchema.index({ equipmentId: 1, warrantyExpiry: 1, windowDays: 1 }, { unique: true });
+
+module.exports = warrantyAlertSchema;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const catalogs = require('../services/catalogs');
+const statusWorkflow = require('../services/statusWorkflow');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+const { requireAuth, requireAdmin } = require('./auth');
+
+// URL segment → catalog kind
+const CATALOGS = {
+  types: 'type',
+  statuses: 'status',
+  brands: 'brand'
+};
+
+const resolveKind = (req, res) => {
+  const kind = CATALOGS[req.params.catalog];
+  if (!kind) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown catalog "${req.params.catalog}". Use one of: ${Object.keys(CATALOGS).join(', ')}`
+    });
+    return null;
+  }
+  return kind;
+};
+
+router.use(requireAuth);
+
+/**
+ * GET /api/catalogs - All catalogs
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: catalogs.getEntries('type'),
+      statuses: catalogs.getEntries('status'),
+      brands: catalogs.getEntries('brand')
+    }
+  });
+});
+
+/**
+ * GET /api/catalogs/:catalog - Entries of one catalog (types, statuses or brands)
+ */
+router.get('/:catalog', (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) return;
+
+  const entries = catalogs.getEntries(kind);
+  res.json({
+    success: true,
+    data: entries,
+    count: entries.length
+  });
+});
+
+/**
+ * POST /api/catalogs/:catalog - Add an entry
+ * Body: key, label, sortOrder; statuses: color, open; types: category; brands: aliases
+ */
+router.post('/:catalog', requireAdmin, async (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) return;
+
+  try {
+    const entry = await catalogs.create(kind, req.body || {}, { actor: req.session.username });
+
+    res.status(201).json({
+      success: true,
+      message: `${kind} "${entry.key}" added`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error adding catalog entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add catalog entry',
+      error: error.code || error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/catalogs/:catalog/:key - Update an entry (the key itself cannot change)
+ */
+router.put('/:catalog/:key', requireAdmin, async (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) return;
+
+  try {
+    const entry = await catalogs.update(kind, req.params.key, req.body || {}, { actor: req.session.username });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `${kind} "${req.params.key}" not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${kind} "${entry.key}" updated`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error updating catalog entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update catalog entry',
+      error: error.code || error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/catalogs/:catalog/:key - Remove an entry.
+ * Types and statuses still used by equipment (or the workflow file) are kept.
+ */
+router.delete('/:catalog/:key', requireAdmin, async (req, res) => {
+  const kind = resolveKind(req, res);
+  if (!kind) return;
+
+  const { key } = req.params;
+
+  try {
+    if (!catalogs.getEntry(kind, key)) {
+      return res.status(404).json({
+        success: false,
+        message: `${kind} "${key}" not found`
+      });
+    }
+
+    if (kind === 'status' && statusWorkflow.getConfig().statuses.includes(key)) {
+      return res.status(409).json({
+        success: false,
+        message: `Status "${key}" is part of the status workflow file. Remove it there first.`,
+        error: 'status-in-workflow'
+      });
+    }
+
+    if (kind !== 'brand') {
+      const count = await MultiClusterEquipment.countWhere({ [kind]: key }, { includeArchive: true });
+      if (count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${kind} "${key}" is used by ${count} equipment record(s)`,
+          error: 'catalog-entry-in-use',
+          count
+        });
+      }
+    }
+
+    await catalogs.remove(kind, key);
+
+    res.json({
+      success: true,
+      message: `${kind} "${key}" removed`
+    });
+  } catch (error) {
+    console.error('Error removing catalog entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to remove catalog entry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const customerRegistry = require('../services/customerRegistry');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+const { parsePagination } = require('../services/equipmentQuery');
+const { requireAuth, requireAdmin } = require('./auth');
+
+router.use(requireAuth);
+
+/**
+ * GET /api/customers - List customers (?q= name/email/phone search, ?phone= exact)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await customerRegistry.list({ q: req.query.q, phone: req.query.phone, page, limit });
+
+    res.json({
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch customers',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/customers/:id - Get one customer
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await customerRegistry.get(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch customer',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/customers/:id/equipment - Every device the customer has brought in,
+ * from all equipment clusters and the archive (newest check-in first)
+ */
+router.get('/:id/equipment', async (req, res) => {
+  try {
+    const customer = await customerRegistry.get(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const items = await MultiClusterEquipment.findByCustomer(customer);
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length,
+      customer
+    });
+  } catch (error) {
+    console.error('Error fetching customer equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch customer equipment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/customers - Create a customer
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const customer = await customerRegistry.create(req.body || {}, { actor: req.session.username });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create customer',
+      error: error.code || error.message,
+      conflict: error.conflict
+    });
+  }
+});
+
+/**
+ * PUT /api/customers/:id - Update a customer (omitted fields are kept)
+ */
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const customer = await customerRegistry.update(req.params.id, req.body || {}, { actor: req.session.username });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Customer updated',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update customer',
+      error: error.code || error.message,
+      conflict: error.conflict
+    });
+  }
+});
+
+/**
+ * DELETE /api/customers/:id - Delete a customer no equipment points at
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const customer = await customerRegistry.get(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const linked = (await MultiClusterEquipment.findByCustomer(customer))
+      .filter((item) => item.customer && String(item.customer) === String(customer._id));
+    if (linked.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Customer is referenced by ${linked.length} equipment record(s)`,
+        error: 'customer-in-use',
+        count: linked.length
+      });
+    }
+
+    await customerRegistry.remove(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Customer deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete customer',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,34 +1,27 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+const statusWorkflow = require('../services/statusWorkflow');
+const specSchemas = require('../services/specSchemas');
+const catalogs = require('../services/catalogs');
+const revisionLog = require('../services/revisionLog');
+const locationDirectory = require('../services/locationDirectory');
+const { parseImportFile, buildColumnMap, mapRow } = require('../services/equipmentImport');
+const { parseFormat, parseColumns, createExportWriter, streamExport } = require('../services/equipmentExport');
+const { renderReceipt, renderSummaryReport } = require('../services/pdfReports');
+const { parseLabelOptions, renderCode, renderLabelSheet } = require('../services/equipmentLabels');
+const { parseTrendOptions } = require('../services/equipmentTrends');
+const trashPurge = require('../services/trashPurge');
+const warrantyAlerts = require('../services/warrantyAlerts');
 const { requireAuth, requireAdmin } = require('./auth');
-
-const parseDateValue = (value) => {
-  if (value === null) {
-    return null;
-  }
-
-  if (value === undefined) {
-    return undefined;
-  }
-
-  if (value instanceof Date) {
-    return Number.isNaN(value.getTime()) ? null : value;
-  }
-
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (trimmed.length === 0) {
-      return null;
-    }
-
-    const parsed = new Date(trimmed);
-    return Number.isNaN(parsed.getTime()) ? null : parsed;
-  }
-
-  const parsed = new Date(value);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-};
+const {
+  parseDateValue,
+  buildEquipmentFilter,
+  parseSort,
+  parsePagination,
+  toList
+} = require('../services/equipmentQuery');
 
 const MAX_IMAGE_ATTACHMENTS = 5;
 
@@ -51,6 +44,20 @@ const normalizeImageAttachments = (value) => {
 const sanitizeEquipmentPayload = (input, { isUpdate = false } = {}) => {
   const payload = { ...input };
 
+  // Status history is only written through the status workflow
+  delete payload.statusHistory;
+  // Derived from locationId
+  delete payload.locationPath;
+  // Derived from serialNumber
+  delete payload.serialKey;
+  // Maintenance entries and custody have their own endpoints
+  delete payload.maintenanceLog;
+  delete payload.custody;
+  delete payload.custodyHistory;
+  // Versions are managed server-side; callers send them via If-Match
+  delete payload.__v;
+  delete payload.version;
+
   ['purchaseDate', 'warrantyExpiry'].forEach((field) => {
     if (field in payload) {
       const parsed = parseDateValue(payload[field]);
@@ -92,20 +99,287 @@ const sanitizeEquipmentPayload = (input, { isUpdate = false } = {}) => {
   return payload;
 };
 
+/**
+ * Validate a status change carried by a full update and queue its
+ * history entry. Resolves the updateById options that keep the write on
+ * the status that was validated, or null when the equipment does not exist.
+ */
+const applyStatusChange = async (id, payload, actor) => {
+  const note = payload.statusNote;
+  delete payload.statusNote;
+
+  if (payload.status === undefined) {
+    return {};
+  }
+
+  const current = await MultiClusterEquipment.findById(id);
+  if (!current) {
+    return null;
+  }
+
+  if (current.status !== payload.status) {
+    statusWorkflow.assertTransition(current.status, payload.status, note);
+    payload.$push = {
+      statusHistory: MultiClusterEquipment.createStatusEntry(current.status, payload.status, { note, actor })
+    };
+  }
+
+  return { expectedStatus: current.status };
+};
+
+/**
+ * Validate specs against the admin-defined schema for the equipment type.
+ * On update, a type change re-checks the stored specs. Coerced values
+ * (numbers, booleans, dates, enum casing) replace the submitted ones.
+ */
+const applySpecSchema = async (id, payload) => {
+  if (!('specs' in payload) && !('type' in payload)) {
+    return true;
+  }
+
+  let current = null;
+  if (id && (!('specs' in payload) || !('type' in payload))) {
+    current = await MultiClusterEquipment.findById(id);
+    if (!current) {
+      return false;
+    }
+  }
+
+  const type = 'type' in payload ? payload.type : current && current.type;
+  const specs = 'specs' in payload ? payload.specs : current && current.specs;
+  const result = await specSchemas.validateSpecs(type, specs);
+
+  if (result.errors) {
+    const error = new Error('Equipment specs are invalid');
+    error.statusCode = 400;
+    error.code = 'invalid-specs';
+    error.errors = result.errors;
+    throw error;
+  }
+
+  if ('specs' in payload) {
+    payload.specs = result.specs;
+  }
+  return true;
+};
+
+const buildEtag = (item) => `W/"${item._id}-${item.__v || 0}"`;
+
+const setVersionHeaders = (res, item) => {
+  res.set('ETag', buildEtag(item));
+};
+
+const ETAG_PATTERN = /^(?:W\/)?"([a-f0-9]{24})-(\d+)"$/i;
+const BARE_VERSION_PATTERN = /^"?(\d+)"?$/;
+
+/**
+ * Read the caller's expected version from If-Match (an ETag we issued, or
+ * a bare number) or from a `version`/`__v` body field.
+ * An ETag issued for another item fails with 412.
+ * Returns undefined when the caller did not send one.
+ */
+const parseExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  if (header && header.trim() !== '*') {
+    const tag = header.trim();
+    const etag = tag.match(ETAG_PATTERN);
+    if (etag) {
+      if (etag[1].toLowerCase() !== String(req.params.id).toLowerCase()) {
+        const error = new Error('If-Match is an ETag for a different item');
+        error.statusCode = 412;
+        error.code = 'etag-mismatch';
+        throw error;
+      }
+      return Number(etag[2]);
+    }
+
+    const bare = tag.match(BARE_VERSION_PATTERN);
+    if (!bare) {
+      const error = new Error('If-Match must be an ETag returned by this API');
+      error.statusCode = 400;
+      throw error;
+    }
+    return Number(bare[1]);
+  }
+
+  const bodyVersion = req.body?.version ?? req.body?.__v;
+  if (bodyVersion === undefined || bodyVersion === null || bodyVersion === '') {
+    return undefined;
+  }
+
+  const parsed = Number(bodyVersion);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    const error = new Error('version must be a non-negative integer');
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed;
+};
+
+const buildCheckInHistory = (payload, actor) => [
+  MultiClusterEquipment.createStatusEntry(null, payload.status || 'working', {
+    note: 'Checked in',
+    actor
+  })
+];
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 5) * 1024 * 1024,
+    files: 1
+  }
+});
+
+const handleImportUpload = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload failed: ${error.message}`
+      });
+    }
+    next();
+  });
+};
+
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 500;
+const BULK_OPERATIONS = ['status', 'location', 'assignedTo', 'delete'];
+
+/**
+ * Resolve the ids targeted by a bulk request, either listed explicitly or
+ * matched by the same filters the list endpoint accepts
+ */
+const resolveBulkTargets = async ({ ids, filter }) => {
+  if (Array.isArray(ids) && ids.length > 0) {
+    return Array.from(new Set(ids.map((id) => String(id).trim()).filter(Boolean)));
+  }
+
+  if (!filter || typeof filter !== 'object' || Object.keys(filter).length === 0) {
+    const error = new Error('Provide a non-empty "ids" array or a "filter" object');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = buildEquipmentFilter(filter);
+  const matched = [];
+  for await (const item of MultiClusterEquipment.streamSorted(query, { sort: parseSort({}) })) {
+    matched.push(String(item._id));
+    if (matched.length > BULK_MAX_ITEMS) {
+      break;
+    }
+  }
+  return matched;
+};
+
+/**
+ * Apply one bulk operation to one id through the same model methods the
+ * single-item routes use
+ */
+const applyBulkOperation = async (id, { operation, value, note }, actor) => {
+  if (operation === 'delete') {
+    const deleted = await MultiClusterEquipment.deleteById(id, { actor });
+    return { cluster: deleted.cluster };
+  }
+
+  if (operation === 'status') {
+    const updated = await MultiClusterEquipment.transitionStatus(id, value, { note, actor });
+    if (!updated) {
+      throw new Error('Equipment not found in any cluster');
+    }
+    return { cluster: updated.cluster, status: updated.status };
+  }
+
+  if (operation === 'location') {
+    // Same as a single-item PUT with locationId: the model resolves the
+    // path and label. An empty value clears the location.
+    const payload = value ? { locationId: value } : { locationId: null, location: '' };
+    const updated = await MultiClusterEquipment.updateById(id, payload, { actor });
+    return { cluster: updated.cluster, location: updated.location };
+  }
+
+  const payload = sanitizeEquipmentPayload({ [operation]: value }, { isUpdate: true });
+  const updated = await MultiClusterEquipment.updateById(id, payload, { actor });
+  return { cluster: updated.cluster };
+};
+
+/**
+ * Validate a check-out request body
+ */
+const parseCheckOutRequest = (body = {}) => {
+  const assignee = typeof body.assignee === 'string' ? body.assignee.trim() : '';
+  if (!assignee) {
+    const error = new Error('assignee is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const expectedReturnAt = parseDateValue(body.expectedReturnAt);
+  if (expectedReturnAt === null && body.expectedReturnAt) {
+    const error = new Error('expectedReturnAt must be a valid date');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    assignee,
+    expectedReturnAt: expectedReturnAt || null,
+    condition: typeof body.condition === 'string' ? body.condition.trim() : '',
+    notes: typeof body.notes === 'string' ? body.notes.trim() : ''
+  };
+};
+
+const summarizeCustody = (item) => ({
+  _id: item._id,
+  type: item.type,
+  brand: item.brand,
+  model: item.model,
+  serialNumber: item.serialNumber,
+  status: item.status,
+  cluster: item.cluster,
+  custody: item.custody
+});
+
+const LABEL_SHEET_MAX_ITEMS = parseInt(process.env.LABEL_SHEET_MAX_ITEMS, 10) || 240;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const parseBooleanFlag = (value) => value === true || value === 'true' || value === '1';
+
 router.use(requireAuth);
 
-// Get all equipment (computers and printers) from all clusters
+// Get a page of equipment (computers and printers) from all clusters
+// Query: page, limit or cursor; type, status, brand, location, assignedTo;
+// locationId (includes nested locations); customer;
+// checkInFrom/checkInTo, warrantyFrom/warrantyTo; specs[field][op]=value
+// (op: eq, ne, lt, lte, gt, gte, in, exists); sort=field or sort=-field
 router.get('/', async (req, res) => {
   try {
-    const data = await MultiClusterEquipment.findAll();
+    const filter = buildEquipmentFilter(req.query);
+    const sort = parseSort(req.query);
+    const { page, limit, cursor } = parsePagination(req.query);
+
+    const result = await MultiClusterEquipment.findPage(filter, { sort, page, limit, cursor });
+
     res.json({
       success: true,
-      data: data,
-      count: data.length
+      data: result.items,
+      count: result.items.length,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        hasNextPage: result.hasNextPage,
+        nextPage: result.nextPage,
+        nextCursor: result.nextCursor,
+        sort: `${sort.direction === -1 ? '-' : ''}${sort.field}`
+      }
     });
   } catch (error) {
     console.error('Error fetching equipment:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to fetch equipment data',
       error: error.message
@@ -114,9 +388,10 @@ router.get('/', async (req, res) => {
 });
 
 // Get statistics across all clusters
+// Query: any list filter, e.g. locationId=<site>&type=printer&status=broken
 router.get('/stats/summary', async (req, res) => {
   try {
-    const stats = await MultiClusterEquipment.getStats();
+    const stats = await MultiClusterEquipment.getStats(buildEquipmentFilter(req.query));
 
     res.json({
       success: true,
@@ -124,88 +399,1596 @@ router.get('/stats/summary', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting statistics:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to get statistics',
+      message: error.statusCode ? error.message : 'Failed to get statistics',
       error: error.message
     });
   }
 });
 
-// Get equipment by ID from any cluster
-router.get('/:id', async (req, res) => {
+// Check-ins, completions and breakdowns over time
+// Query: from, to (default: recent range), interval=day|week|month,
+// groupBy=type|brand|location (locationLevel=site|building|room),
+// includeArchived, plus list filters. Buckets are in UTC.
+router.get('/stats/trends', async (req, res) => {
   try {
-    const item = await MultiClusterEquipment.findById(req.params.id);
-    
-    if (!item) {
-      return res.status(404).json({
+    const options = parseTrendOptions(req.query);
+    const filter = buildEquipmentFilter(req.query);
+
+    const trends = await MultiClusterEquipment.getTrends(filter, {
+      ...options,
+      includeArchive: parseBooleanFlag(req.query.includeArchived)
+    });
+
+    res.json({
+      success: true,
+      data: trends
+    });
+  } catch (error) {
+    console.error('Error getting trends:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get trends',
+      error: error.message
+    });
+  }
+});
+
+// Export equipment as CSV, XLSX or JSON, streamed row by row
+// Query: format, columns, includeImages, includeArchived plus list filters
+router.get('/export', async (req, res) => {
+  let format;
+  let columns;
+  let filter;
+  let sort;
+
+  try {
+    format = parseFormat(req.query.format);
+    columns = parseColumns(req.query);
+    filter = buildEquipmentFilter(req.query);
+    sort = parseSort(req.query);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const writer = createExportWriter(format, res, columns);
+    const items = MultiClusterEquipment.streamSorted(filter, {
+      sort,
+      includeArchive: parseBooleanFlag(req.query.includeArchived),
+      includeImages: columns.includes('imageData')
+    });
+
+    await streamExport(res, writer, items);
+  } catch (error) {
+    console.error('Error exporting equipment:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
         success: false,
-        message: 'Equipment not found'
+        message: 'Failed to export equipment',
+        error: error.message
       });
     }
-    
+    res.destroy(error);
+  }
+});
+
+// Full-text search across all clusters
+// Query: q (required), limit, plus any list filter (type, status, ...)
+router.get('/search', async (req, res) => {
+  const searchTerm = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+  if (!searchTerm) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query "q" is required'
+    });
+  }
+
+  try {
+    const filter = buildEquipmentFilter(req.query);
+    const { limit } = parsePagination(req.query);
+    const startedAt = Date.now();
+
+    const result = await MultiClusterEquipment.search(searchTerm, { filter, limit });
+
     res.json({
       success: true,
-      data: item
+      data: result.items,
+      count: result.items.length,
+      total: result.total,
+      truncated: result.truncated,
+      query: searchTerm,
+      timing: {
+        totalMs: Date.now() - startedAt,
+        clusters: result.clusters
+      }
     });
   } catch (error) {
-    console.error('Error fetching equipment:', error);
+    console.error('Error searching equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to search equipment',
+      error: error.message
+    });
+  }
+});
+
+// Describe the repair status workflow (statuses, transitions, note rules)
+router.get('/workflow', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...statusWorkflow.getConfig(),
+        statuses: statusWorkflow.getStatuses(),
+        statusCatalog: catalogs.getEntries('status')
+      }
+    });
+  } catch (error) {
+    console.error('Error loading status workflow:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch equipment data',
+      message: 'Failed to load status workflow',
       error: error.message
     });
   }
 });
 
-// Add new equipment to active cluster
-router.post('/', requireAdmin, async (req, res) => {
+// Serial numbers registered more than once across clusters
+// Query: includeArchived=true to also scan the archive cluster
+router.get('/duplicates', async (req, res) => {
   try {
-    const payload = sanitizeEquipmentPayload(req.body);
-    const savedEquipment = await MultiClusterEquipment.create(payload);
+    const groups = await MultiClusterEquipment.findDuplicateSerials({
+      includeArchive: parseBooleanFlag(req.query.includeArchived)
+    });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Equipment added successfully',
-      data: savedEquipment,
-      cluster: savedEquipment.cluster
+      data: groups,
+      count: groups.length
     });
   } catch (error) {
-    console.error('Error adding equipment:', error);
+    console.error('Error finding duplicate serial numbers:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add equipment',
+      message: 'Failed to find duplicate serial numbers',
       error: error.message
     });
   }
 });
 
-// Update equipment in any cluster
-router.put('/:id', requireAdmin, async (req, res) => {
+// Download a PDF summary report built from the cross-cluster statistics
+router.get('/reports/summary.pdf', async (req, res) => {
   try {
-    const payload = sanitizeEquipmentPayload(req.body, { isUpdate: true });
-    const updatedEquipment = await MultiClusterEquipment.updateById(
-      req.params.id,
-      payload
-    );
+    const stats = await MultiClusterEquipment.getStats();
+    const stamp = new Date().toISOString().slice(0, 10);
 
-    if (!updatedEquipment) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="equipment-summary-${stamp}.pdf"`);
+    renderSummaryReport(stats, res);
+  } catch (error) {
+    console.error('Error generating summary report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate summary report',
+      error: error.message
+    });
+  }
+});
+
+// Spec schemas per equipment type
+router.get('/spec-schemas', async (req, res) => {
+  try {
+    const schemas = await specSchemas.list();
+
+    res.json({
+      success: true,
+      data: schemas,
+      count: schemas.length
+    });
+  } catch (error) {
+    console.error('Error fetching spec schemas:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch spec schemas',
+      error: error.message
+    });
+  }
+});
+
+router.get('/spec-schemas/:type', async (req, res) => {
+  try {
+    const schema = await specSchemas.get(req.params.type);
+    if (!schema) {
       return res.status(404).json({
         success: false,
-        message: 'Equipment not found'
+        message: `No spec schema defined for ${req.params.type}`
       });
     }
 
     res.json({
       success: true,
-      message: 'Equipment updated successfully',
-      data: updatedEquipment
+      data: schema
     });
   } catch (error) {
-    console.error('Error updating equipment:', error);
+    console.error('Error fetching spec schema:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update equipment',
+      message: 'Failed to fetch spec schema',
+      error: error.message
+    });
+  }
+});
+
+// Create or replace the spec schema for a type
+// Body: { fields: [{ key, label, kind, required, unit, min, max, options }], strict }
+router.put('/spec-schemas/:type', requireAdmin, async (req, res) => {
+  try {
+    const schema = await specSchemas.save(req.params.type, req.body || {}, { actor: req.session.username });
+
+    res.json({
+      success: true,
+      message: `Spec schema saved for ${schema.type}`,
+      data: schema
+    });
+  } catch (error) {
+    console.error('Error saving spec schema:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to save spec schema',
+      error: error.code || error.message,
+      errors: error.errors
+    });
+  }
+});
+
+router.delete('/spec-schemas/:type', requireAdmin, async (req, res) => {
+  try {
+    const removed = await specSchemas.remove(req.params.type);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: `No spec schema defined for ${req.params.type}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Spec schema removed for ${removed.type}. Specs for this type are free-form again.`
+    });
+  } catch (error) {
+    console.error('Error deleting spec schema:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete spec schema',
+      error: error.message
+    });
+  }
+});
+
+// Resolve a scanned label (equipment id or serial number) to the record
+router.get('/lookup', async (req, res) => {
+  const code = typeof req.query.code === 'string' ? req.query.code.trim() : '';
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'code is required'
+    });
+  }
+
+  try {
+    if (OBJECT_ID_PATTERN.test(code)) {
+      const item = await MultiClusterEquipment.findById(code);
+      if (item) {
+        setVersionHeaders(res, item);
+        return res.json({ success: true, data: item, matchedBy: 'id' });
+      }
+    }
+
+    const matches = await MultiClusterEquipment.findBySerial(code);
+    if (matches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No equipment found for code ${code}`
+      });
+    }
+
+    if (matches.length > 1) {
+      return res.status(409).json({
+        success: false,
+        message: `Code ${code} matches ${matches.length} equipment records`,
+        error: 'ambiguous-code',
+        matches
+      });
+    }
+
+    const item = await MultiClusterEquipment.findById(matches[0]._id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `No equipment found for code ${code}`
+      });
+    }
+
+    setVersionHeaders(res, item);
+    res.json({ success: true, data: item, matchedBy: 'serial' });
+  } catch (error) {
+    console.error('Error looking up equipment code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up equipment',
+      error: error.message
+    });
+  }
+});
+
+// Printable A4 label sheet for a list of equipment
+// Query: ids (comma separated, in print order), type=qr|code128, encode=id|serial
+router.get('/labels.pdf', async (req, res) => {
+  try {
+    const options = parseLabelOptions(req.query);
+    const ids = toList(req.query.ids);
+
+    if (ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids is required'
+      });
+    }
+    if (ids.length > LABEL_SHEET_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A label sheet can include at most ${LABEL_SHEET_MAX_ITEMS} items`
+      });
+    }
+
+    const items = [];
+    const missing = [];
+    for (const id of ids) {
+      const item = OBJECT_ID_PATTERN.test(id) ? await MultiClusterEquipment.findById(id) : null;
+      if (item) {
+        items.push(item);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some equipment was not found',
+        missing
+      });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="equipment-labels-${stamp}.pdf"`);
+    // Codes are encoded before anything is written, so errors still return JSON
+    await renderLabelSheet(items, res, options);
+  } catch (error) {
+    console.error('Error generating label sheet:', error);
+    res.removeHeader('Content-Disposition');
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate label sheet',
+      error: error.message
+    });
+  }
+});
+
+// Checked-out equipment past its expected return date (most overdue first)
+// Query: asOf (defaults to now), assignee
+router.get('/custody/overdue', async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? parseDateValue(req.query.asOf) : new Date();
+    if (!(asOf instanceof Date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be a valid date'
+      });
+    }
+
+    const items = await MultiClusterEquipment.findCheckedOut({
+      assignee: typeof req.query.assignee === 'string' ? req.query.assignee.trim() : null,
+      overdueAt: asOf
+    });
+
+    res.json({
+      success: true,
+      data: items.map((item) => ({
+        ...summarizeCustody(item),
+        daysOverdue: Math.floor((asOf - new Date(item.custody.expectedReturnAt)) / (24 * 60 * 60 * 1000))
+      })),
+      count: items.length,
+      asOf
+    });
+  } catch (error) {
+    console.error('Error fetching overdue returns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch overdue returns',
+      error: error.message
+    });
+  }
+});
+
+// Equipment currently held by each person
+// Query: assignee to report on one person only
+router.get('/custody/holders', async (req, res) => {
+  try {
+    const items = await MultiClusterEquipment.findCheckedOut({
+      assignee: typeof req.query.assignee === 'string' ? req.query.assignee.trim() : null
+    });
+
+    const now = new Date();
+    const holders = new Map();
+    items.forEach((item) => {
+      const key = item.custody.assignee;
+      const holder = holders.get(key) || { assignee: key, count: 0, overdue: 0, items: [] };
+      holder.count += 1;
+      if (item.custody.expectedReturnAt && new Date(item.custody.expectedReturnAt) < now) {
+        holder.overdue += 1;
+      }
+      holder.items.push(summarizeCustody(item));
+      holders.set(key, holder);
+    });
+
+    const data = Array.from(holders.values()).sort((a, b) => b.count - a.count || a.assignee.localeCompare(b.assignee));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error fetching equipment holders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch equipment holders',
+      error: error.message
+    });
+  }
+});
+
+// Equipment whose warranty expires within `days` (default: largest alert window)
+// Query: days, includeExpired, page/limit/cursor plus list filters
+router.get('/warranty/expiring', async (req, res) => {
+  try {
+    const windows = warrantyAlerts.getAlertWindows();
+    const days = req.query.days === undefined
+      ? (windows[windows.length - 1] || 30)
+      : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a non-negative integer'
+      });
+    }
+
+    const today = warrantyAlerts.startOfDay();
+    const range = { $lt: new Date(today.getTime() + (days + 1) * 24 * 60 * 60 * 1000) };
+    if (!parseBooleanFlag(req.query.includeExpired)) {
+      range.$gte = today;
+    } else {
+      range.$ne = null;
+    }
+
+    const filter = buildEquipmentFilter(req.query);
+    const query = Object.keys(filter).length > 0
+      ? { $and: [filter, { warrantyExpiry: range }] }
+      : { warrantyExpiry: range };
+    const { page, limit, cursor } = parsePagination(req.query);
+
+    const result = await MultiClusterEquipment.findPage(query, {
+      sort: { field: 'warrantyExpiry', direction: 1 },
+      page,
+      limit,
+      cursor
+    });
+
+    res.json({
+      success: true,
+      data: result.items.map((item) => ({
+        ...item,
+        daysRemaining: warrantyAlerts.daysUntil(item.warrantyExpiry, today)
+      })),
+      count: result.items.length,
+      days,
+      windows,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        hasNextPage: result.hasNextPage,
+        nextPage: result.nextPage,
+        nextCursor: result.nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching expiring warranties:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch expiring warranties',
+      error: error.message
+    });
+  }
+});
+
+// Run the warranty alert check now instead of waiting for the scheduler
+router.post('/warranty/alerts/run', requireAdmin, async (req, res) => {
+  try {
+    const result = await warrantyAlerts.runWarrantyAlerts(req.session.username);
+    res.json({
+      success: true,
+      message: `Queued ${result.alerted} warranty alert(s)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error running warranty alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run warranty alerts',
+      error: error.message
+    });
+  }
+});
+
+// List equipment in the trash (most recently deleted first)
+router.get('/trash', requireAdmin, async (req, res) => {
+  try {
+    const { page, limit, cursor } = parsePagination(req.query);
+    const sort = { field: 'deletedAt', direction: -1 };
+
+    const result = await MultiClusterEquipment.findPage(buildEquipmentFilter(req.query), {
+      sort,
+      page,
+      limit,
+      cursor,
+      trashed: true
+    });
+
+    const retentionDays = trashPurge.getRetentionDays();
+    const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+
+    res.json({
+      success: true,
+      data: result.items.map((item) => ({
+        ...item,
+        purgeAfter: new Date(new Date(item.deletedAt).getTime() + retentionMs)
+      })),
+      count: result.items.length,
+      retentionDays,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        hasNextPage: result.hasNextPage,
+        nextPage: result.nextPage,
+        nextCursor: result.nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch trash',
+      error: error.message
+    });
+  }
+});
+
+// Purge everything past the retention period now
+router.post('/trash/purge', requireAdmin, async (req, res) => {
+  try {
+    const result = await trashPurge.purgeExpiredTrash(req.session.username);
+
+    res.json({
+      success: true,
+      message: `Purged ${result.purged} expired item(s) from trash`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge trash',
+      error: error.message
+    });
+  }
+});
+
+// Restore one item from the trash
+router.post('/trash/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    const restored = await MultiClusterEquipment.restoreFromTrash(req.params.id, {
+      actor: req.session.username
+    });
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found in trash'
+      });
+    }
+
+    setVersionHeaders(res, restored);
+    res.json({
+      success: true,
+      message: 'Equipment restored from trash',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring equipment from trash:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to restore equipment',
+      error: error.code || error.message,
+      conflict: error.conflict
+    });
+  }
+});
+
+// Permanently delete one trashed item and its attachments
+router.delete('/trash/:id', requireAdmin, async (req, res) => {
+  try {
+    const purged = await MultiClusterEquipment.purgeById(req.params.id, { actor: req.session.username });
+
+    if (!purged) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Equipment permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error purging equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to permanently delete equipment',
+      error: error.message
+    });
+  }
+});
+
+// Browse archived equipment
+// Query: the list filters plus archivedFrom/archivedTo; page, limit or cursor;
+// sort defaults to -archivedAt
+router.get('/archive', async (req, res) => {
+  try {
+    const filter = buildEquipmentFilter(req.query);
+    const sort = req.query.sort ? parseSort(req.query) : { field: 'archivedAt', direction: -1 };
+    const { page, limit, cursor } = parsePagination(req.query);
+
+    const result = await MultiClusterEquipment.findPage(filter, { sort, page, limit, cursor, archived: true });
+
+    res.json({
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        hasNextPage: result.hasNextPage,
+        nextPage: result.nextPage,
+        nextCursor: result.nextCursor,
+        sort: `${sort.direction === -1 ? '-' : ''}${sort.field}`
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching archived equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch archived equipment',
+      error: error.message
+    });
+  }
+});
+
+// Search archived equipment, ranked like /search
+router.get('/archive/search', async (req, res) => {
+  const searchTerm = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+  if (!searchTerm) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query "q" is required'
+    });
+  }
+
+  try {
+    const filter = buildEquipmentFilter(req.query);
+    const { limit } = parsePagination(req.query);
+
+    const result = await MultiClusterEquipment.search(searchTerm, { filter, limit, archived: true });
+
+    res.json({
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      total: result.total,
+      truncated: result.truncated,
+      query: searchTerm
+    });
+  } catch (error) {
+    console.error('Error searching archived equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to search archived equipment',
+      error: error.message
+    });
+  }
+});
+
+// Restore several archived items into the active cluster
+// Body: { ids: [...] }
+router.post('/archive/restore', requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const ids = Array.from(new Set(Array.isArray(body.ids) ? body.ids.map(String) : toList(body.ids)));
+
+  if (ids.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'ids must list at least one archived equipment id'
+    });
+  }
+
+  if (ids.length > BULK_MAX_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      message: `Bulk operations are limited to ${BULK_MAX_ITEMS} items per request`
+    });
+  }
+
+  const results = [];
+  for (const id of ids) {
+    try {
+      const restored = await MultiClusterEquipment.unarchive(id, { actor: req.session.username });
+      results.push(restored
+        ? { id, success: true, cluster: restored.cluster }
+        : { id, success: false, error: 'not-found', message: 'Equipment not found in archive' });
+    } catch (error) {
+      results.push({ id, success: false, error: error.code || 'failed', message: error.message, conflict: error.conflict });
+    }
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+
+  res.json({
+    success: true,
+    message: `Restored ${succeeded} of ${results.length} archived items`,
+    requested: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+});
+
+// Get one archived item
+router.get('/archive/:id', async (req, res) => {
+  try {
+    const item = await MultiClusterEquipment.findById(req.params.id, { archived: true });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found in archive'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Error fetching archived equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch archived equipment',
+      error: error.message
+    });
+  }
+});
+
+// Restore one archived item into the active cluster, clearing archivedAt
+router.post('/archive/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    const restored = await MultiClusterEquipment.unarchive(req.params.id, {
+      actor: req.session.username
+    });
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found in archive'
+      });
+    }
+
+    setVersionHeaders(res, restored);
+    res.json({
+      success: true,
+      message: `Equipment restored to the ${restored.cluster} cluster`,
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring archived equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to restore archived equipment',
+      error: error.code || error.message,
+      conflict: error.conflict
+    });
+  }
+});
+
+// Get equipment by ID from any cluster
+router.get('/:id', async (req, res) => {
+  try {
+    const item = await MultiClusterEquipment.findById(req.params.id);
+    
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+    
+    setVersionHeaders(res, item);
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Error fetching equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch equipment data',
+      error: error.message
+    });
+  }
+});
+
+// Add new equipment to active cluster
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const payload = sanitizeEquipmentPayload(req.body);
+    delete payload.statusNote;
+    payload.statusHistory = buildCheckInHistory(payload, req.session.username);
+    await applySpecSchema(null, payload);
+    const savedEquipment = await MultiClusterEquipment.create(payload, { actor: req.session.username });
+
+    setVersionHeaders(res, savedEquipment);
+    res.status(201).json({
+      success: true,
+      message: 'Equipment added successfully',
+      data: savedEquipment,
+      cluster: savedEquipment.cluster
+    });
+  } catch (error) {
+    console.error('Error adding equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add equipment',
+      error: error.code || error.message,
+      errors: error.errors,
+      conflict: error.conflict
+    });
+  }
+});
+
+// Bulk import equipment from a CSV or XLSX upload (multipart field "file")
+// Query/body: dryRun (validate only), skipInvalid (commit valid rows even if
+// some fail), mapping (JSON object of header → field overrides)
+router.post('/import', requireAdmin, handleImportUpload, async (req, res) => {
+  const dryRun = parseBooleanFlag(req.query.dryRun ?? req.body?.dryRun);
+  const skipInvalid = parseBooleanFlag(req.query.skipInvalid ?? req.body?.skipInvalid);
+
+  try {
+    let overrides = {};
+    if (req.body?.mapping) {
+      try {
+        overrides = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'mapping must be a JSON object of column header to field name'
+        });
+      }
+    }
+
+    const { format, headers, rows } = await parseImportFile(req.file);
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import file has no data rows'
+      });
+    }
+
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import is limited to ${IMPORT_MAX_ROWS} rows per file (got ${rows.length})`
+      });
+    }
+
+    const { columns, ignoredColumns } = buildColumnMap(headers, overrides);
+
+    // Spreadsheet row numbers: header is row 1
+    const results = rows.map((values, index) => {
+      const payload = sanitizeEquipmentPayload(mapRow(values, columns));
+      delete payload.statusNote;
+      payload.statusHistory = buildCheckInHistory(payload, req.session.username);
+
+      const errors = MultiClusterEquipment.validatePayload(payload);
+      return { row: index + 2, valid: !errors, errors: errors || undefined, payload };
+    });
+
+    for (const result of results) {
+      try {
+        await applySpecSchema(null, result.payload);
+      } catch (error) {
+        if (!error.errors) {
+          throw error;
+        }
+        result.valid = false;
+        result.errors = { ...(result.errors || {}), ...error.errors };
+      }
+    }
+
+    // Flag serial numbers repeated within the file or already registered
+    const seenSerials = new Map();
+    for (const result of results) {
+      const serial = typeof result.payload.serialNumber === 'string'
+        ? result.payload.serialNumber.trim().toLowerCase()
+        : '';
+      if (!serial) {
+        continue;
+      }
+
+      let message = null;
+      if (seenSerials.has(serial)) {
+        message = `Serial number repeats row ${seenSerials.get(serial)}`;
+      } else {
+        seenSerials.set(serial, result.row);
+        const [conflict] = await MultiClusterEquipment.findBySerial(serial, {
+          includeArchive: process.env.DUPLICATE_SERIAL_CHECK_ARCHIVE === 'true'
+        });
+        if (conflict) {
+          message = `Serial number already registered (${conflict._id} in ${conflict.cluster} cluster)`;
+        }
+      }
+
+      if (message) {
+        result.valid = false;
+        result.errors = { ...(result.errors || {}), serialNumber: message };
+      }
+    }
+
+    const invalid = results.filter((result) => !result.valid);
+    const summary = {
+      format,
+      totalRows: results.length,
+      validRows: results.length - invalid.length,
+      invalidRows: invalid.length,
+      columns: columns.map(({ header, field }) => ({ header, field })),
+      ignoredColumns
+    };
+
+    if (dryRun || (invalid.length > 0 && !skipInvalid)) {
+      const status = dryRun ? 200 : 422;
+      return res.status(status).json({
+        success: dryRun,
+        dryRun,
+        message: dryRun
+          ? 'Dry run complete. No records were written.'
+          : 'Import rejected: some rows are invalid. Fix them or pass skipInvalid=true.',
+        summary,
+        rows: results.map(({ row, valid, errors, payload }) => ({
+          row,
+          valid,
+          errors,
+          data: dryRun ? payload : undefined
+        }))
+      });
+    }
+
+    // Write one row at a time so create() re-checks storage thresholds
+    const written = [];
+    for (const result of results) {
+      if (!result.valid) {
+        written.push({ row: result.row, success: false, errors: result.errors });
+        continue;
+      }
+
+      try {
+        const saved = await MultiClusterEquipment.create(result.payload, { actor: req.session.username });
+        written.push({ row: result.row, success: true, id: saved._id, cluster: saved.cluster });
+      } catch (error) {
+        written.push({ row: result.row, success: false, errors: { _: error.message } });
+      }
+    }
+
+    const imported = written.filter((entry) => entry.success).length;
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      message: `Imported ${imported} of ${results.length} rows`,
+      summary: { ...summary, imported, failed: written.length - imported },
+      rows: written
+    });
+  } catch (error) {
+    console.error('Error importing equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to import equipment',
+      error: error.message
+    });
+  }
+});
+
+// Bulk status change, reassignment or delete
+// Body: { ids: [...] | filter: { ...list filters }, operation, value, note }
+// For operation=location, value is a location id ("" clears the location)
+router.post('/bulk', requireAdmin, async (req, res) => {
+  const { ids, filter, operation, value, note } = req.body || {};
+
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return res.status(400).json({
+      success: false,
+      message: `operation must be one of: ${BULK_OPERATIONS.join(', ')}`
+    });
+  }
+
+  if (operation !== 'delete' && (typeof value !== 'string' || (operation === 'status' && value.trim().length === 0))) {
+    return res.status(400).json({
+      success: false,
+      message: `A string "value" is required for the ${operation} operation`
+    });
+  }
+
+  if (operation === 'location' && value.trim() && !OBJECT_ID_PATTERN.test(value.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'value must be a location id (or empty to clear) for the location operation'
+    });
+  }
+
+  try {
+    if (operation === 'location' && value.trim() && !(await locationDirectory.resolve(value.trim()))) {
+      return res.status(400).json({
+        success: false,
+        message: `Location ${value.trim()} not found`,
+        error: 'unknown-location'
+      });
+    }
+
+    const targets = await resolveBulkTargets({ ids, filter });
+
+    if (targets.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No equipment matched the request'
+      });
+    }
+
+    if (targets.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Bulk operations are limited to ${BULK_MAX_ITEMS} items per request`
+      });
+    }
+
+    const results = [];
+    for (const id of targets) {
+      try {
+        const outcome = await applyBulkOperation(id, {
+          operation,
+          value: typeof value === 'string' ? value.trim() : value,
+          note
+        }, req.session.username);
+        results.push({ id, success: true, ...outcome });
+      } catch (error) {
+        results.push({ id, success: false, error: error.code || 'failed', message: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      message: `${operation} applied to ${succeeded} of ${results.length} items`,
+      operation,
+      requested: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Error running bulk operation:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to run bulk operation',
+      error: error.message
+    });
+  }
+});
+
+// Update equipment in any cluster
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const expectedVersion = parseExpectedVersion(req);
+    if (expectedVersion === undefined && process.env.REQUIRE_IF_MATCH === 'true') {
+      return res.status(428).json({
+        success: false,
+        error: 'precondition-required',
+        message: 'Send If-Match (or a version field) with the version you are editing'
+      });
+    }
+
+    const payload = sanitizeEquipmentPayload(req.body, { isUpdate: true });
+
+    const statusGuard = await applyStatusChange(req.params.id, payload, req.session.username);
+    const exists = statusGuard && await applySpecSchema(req.params.id, payload);
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    const updatedEquipment = await MultiClusterEquipment.updateById(
+      req.params.id,
+      payload,
+      { actor: req.session.username, expectedVersion, ...statusGuard }
+    );
+
+    if (!updatedEquipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    setVersionHeaders(res, updatedEquipment);
+    res.json({
+      success: true,
+      message: 'Equipment updated successfully',
+      data: updatedEquipment
+    });
+  } catch (error) {
+    console.error('Error updating equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update equipment',
+      error: error.code || error.message,
+      errors: error.errors,
+      allowed: error.allowed,
+      conflict: error.conflict,
+      current: error.current
+    });
+  }
+});
+
+// Move equipment to a new status through the workflow
+// Body: { status, note }
+router.post('/:id/transition', requireAdmin, async (req, res) => {
+  const { status, note } = req.body || {};
+
+  if (typeof status !== 'string' || status.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Target status is required'
+    });
+  }
+
+  try {
+    const updatedEquipment = await MultiClusterEquipment.transitionStatus(req.params.id, status.trim(), {
+      note,
+      actor: req.session.username
+    });
+
+    if (!updatedEquipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    setVersionHeaders(res, updatedEquipment);
+    res.json({
+      success: true,
+      message: `Equipment moved to ${updatedEquipment.status}`,
+      data: updatedEquipment
+    });
+  } catch (error) {
+    console.error('Error changing equipment status:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to change equipment status',
+      error: error.code || error.message,
+      allowed: error.allowed
+    });
+  }
+});
+
+// Download a printable PDF repair receipt for one equipment record
+router.get('/:id/receipt.pdf', async (req, res) => {
+  try {
+    const item = await MultiClusterEquipment.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="receipt-${item._id}.pdf"`);
+    renderReceipt(item, res);
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: error.message
+    });
+  }
+});
+
+// QR code or Code128 barcode for one equipment record as PNG or SVG
+// Query: type=qr|code128, encode=id|serial
+router.get('/:id/label.:format', async (req, res) => {
+  try {
+    const options = parseLabelOptions(req.query);
+    const item = await MultiClusterEquipment.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    const { contentType, body } = await renderCode(item, { ...options, format: req.params.format.toLowerCase() });
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.send(body);
+  } catch (error) {
+    console.error('Error generating equipment label:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate equipment label',
+      error: error.message
+    });
+  }
+});
+
+// Field-level change history for one equipment record (newest first)
+router.get('/:id/history', async (req, res) => {
+  try {
+    if (!revisionLog.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Revision history cluster is not currently available'
+      });
+    }
+
+    const item = await MultiClusterEquipment.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    const { limit } = parsePagination(req.query);
+    const revisions = await revisionLog.list(item._id, { limit });
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('Error fetching equipment history:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch equipment history',
+      error: error.message
+    });
+  }
+});
+
+// Restore equipment fields to their values as of a past revision
+router.post('/:id/history/:revision/restore', requireAdmin, async (req, res) => {
+  const revision = Number(req.params.revision);
+  if (!Number.isInteger(revision) || revision < 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'Revision must be a positive integer'
+    });
+  }
+
+  try {
+    if (!revisionLog.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Revision history cluster is not currently available'
+      });
+    }
+
+    const restored = await MultiClusterEquipment.restoreRevision(req.params.id, revision, {
+      actor: req.session.username
+    });
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    setVersionHeaders(res, restored);
+    res.json({
+      success: true,
+      message: `Equipment restored to revision ${revision}`,
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring equipment revision:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to restore equipment revision',
+      error: error.code || error.message,
+      errors: error.errors
+    });
+  }
+});
+
+// Check equipment out to a person
+// Body: assignee (required), expectedReturnAt, condition, notes
+router.post('/:id/checkout', requireAdmin, async (req, res) => {
+  try {
+    const request = parseCheckOutRequest(req.body);
+    const updated = await MultiClusterEquipment.checkOut(req.params.id, request, { actor: req.session.username });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    setVersionHeaders(res, updated);
+    res.json({
+      success: true,
+      message: `Equipment checked out to ${request.assignee}`,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error checking out equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to check out equipment',
+      error: error.code || error.message,
+      custody: error.custody
+    });
+  }
+});
+
+// Check equipment back in. Body: condition, notes
+router.post('/:id/checkin', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updated = await MultiClusterEquipment.checkIn(req.params.id, {
+      condition: typeof body.condition === 'string' ? body.condition.trim() : '',
+      notes: typeof body.notes === 'string' ? body.notes.trim() : ''
+    }, { actor: req.session.username });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    setVersionHeaders(res, updated);
+    res.json({
+      success: true,
+      message: 'Equipment checked in',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error checking in equipment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to check in equipment',
+      error: error.code || error.message
+    });
+  }
+});
+
+// Custody history for one equipment record: the open check-out plus closed ones (newest first)
+router.get('/:id/custody', async (req, res) => {
+  try {
+    const item = await MultiClusterEquipment.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    const history = (item.custodyHistory || [])
+      .slice()
+      .sort((a, b) => new Date(b.checkedOutAt) - new Date(a.checkedOutAt));
+
+    res.json({
+      success: true,
+      data: {
+        current: item.custody || null,
+        history
+      },
+      count: history.length + (item.custody ? 1 : 0)
+    });
+  } catch (error) {
+    console.error('Error fetching custody history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch custody history',
+      error: error.message
+    });
+  }
+});
+
+// Maintenance log for one equipment record (newest first) with cost totals
+router.get('/:id/maintenance', async (req, res) => {
+  try {
+    const result = await MultiClusterEquipment.listMaintenance(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.entries,
+      count: result.entries.length,
+      totals: result.totals
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance log:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch maintenance log',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:id/maintenance/:entryId', async (req, res) => {
+  try {
+    const result = await MultiClusterEquipment.listMaintenance(req.params.id);
+    const entry = result && result.entries.find((item) => String(item._id) === req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: result ? 'Maintenance entry not found' : 'Equipment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error fetching maintenance entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to fetch maintenance entry',
+      error: error.message
+    });
+  }
+});
+
+router.post('/:id/maintenance', requireAdmin, async (req, res) => {
+  try {
+    const entry = await MultiClusterEquipment.addMaintenance(req.params.id, req.body || {}, {
+      actor: req.session.username
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance entry added',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error adding maintenance entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add maintenance entry',
+      error: error.message,
+      field: error.field
+    });
+  }
+});
+
+router.put('/:id/maintenance/:entryId', requireAdmin, async (req, res) => {
+  try {
+    const entry = await MultiClusterEquipment.updateMaintenance(req.params.id, req.params.entryId, req.body || {}, {
+      actor: req.session.username
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Maintenance entry updated',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error updating maintenance entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update maintenance entry',
+      error: error.message,
+      field: error.field
+    });
+  }
+});
+
+router.delete('/:id/maintenance/:entryId', requireAdmin, async (req, res) => {
+  try {
+    const removed = await MultiClusterEquipment.removeMaintenance(req.params.id, req.params.entryId, {
+      actor: req.session.username
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Maintenance entry deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting maintenance entry:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete maintenance entry',
       error: error.message
     });
   }
@@ -214,7 +1997,7 @@ router.put('/:id', requireAdmin, async (req, res) => {
 // Delete equipment from any cluster
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
-    const deletedEquipment = await MultiClusterEquipment.deleteById(req.params.id);
+    const deletedEquipment = await MultiClusterEquipment.deleteById(req.params.id, { actor: req.session.username });
 
     if (!deletedEquipment) {
       return res.status(404).json({
@@ -225,7 +2008,8 @@ router.delete('/:id', requireAdmin, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Equipment deleted successfully'
+      message: 'Equipment moved to trash',
+      retentionDays: trashPurge.getRetentionDays()
     });
   } catch (error) {
     console.error('Error deleting equipment:', error);
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const locationDirectory = require('../services/locationDirectory');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+const { requireAuth, requireAdmin } = require('./auth');
+
+router.use(requireAuth);
+
+/**
+ * GET /api/locations - All locations (?tree=true nests them site → building → room)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const locations = await locationDirectory.list();
+    const asTree = req.query.tree === 'true' || req.query.tree === '1';
+
+    res.json({
+      success: true,
+      data: asTree ? locationDirectory.buildTree(locations) : locations,
+      count: locations.length
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch locations',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/locations/:id - One location with its full path label
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const resolved = await locationDirectory.resolve(req.params.id);
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...resolved.location, path: resolved.path, label: resolved.label }
+    });
+  } catch (error) {
+    console.error('Error fetching location:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch location',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/locations - Create a site, building or room
+ * Body: name, level, parent (building → site, room → building), code, notes
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const location = await locationDirectory.create(req.body || {}, { actor: req.session.username });
+
+    res.status(201).json({
+      success: true,
+      message: `${location.level} "${location.name}" created`,
+      data: location
+    });
+  } catch (error) {
+    console.error('Error creating location:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create location',
+      error: error.code || error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/locations/:id - Rename, annotate or move a location.
+ * Equipment at the location (or below it) gets its path and label refreshed.
+ */
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await locationDirectory.update(req.params.id, req.body || {}, { actor: req.session.username });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const equipmentUpdated = result.affected.length > 0
+      ? await MultiClusterEquipment.syncLocations(result.affected)
+      : 0;
+
+    res.json({
+      success: true,
+      message: 'Location updated',
+      data: result.location,
+      equipmentUpdated
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update location',
+      error: error.code || error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/locations/:id - Delete a location with no children and no equipment
+ */
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const location = await locationDirectory.get(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const count = await MultiClusterEquipment.countWhere({ locationId: location._id }, { includeArchive: true });
+    if (count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Location is used by ${count} equipment record(s)`,
+        error: 'location-in-use',
+        count
+      });
+    }
+
+    await locationDirectory.remove(location._id);
+
+    res.json({
+      success: true,
+      message: `${location.level} "${location.name}" deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to delete location',
+      error: error.code || error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const clusterManager = require('../services/clusterManager');
-const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+const clusterRebalancer = require('../services/clusterRebalancer');
+const archiveScheduler = require('../services/archiveScheduler');
 const { requireAuth, requireAdmin } = require('./auth');
 
 router.use(requireAuth);
@@ -12,6 +13,7 @@ router.use(requireAuth);
 router.get('/', async (req, res) => {
   try {
     const report = await clusterManager.getStorageReport();
+    report.rebalance = await clusterRebalancer.getStatus();
     res.json(report);
   } catch (error) {
     console.error('Error getting storage report:', error);
@@ -27,13 +29,13 @@ router.get('/', async (req, res) => {
  */
 router.get('/check-archive', requireAdmin, async (req, res) => {
   try {
-    const oldRecords = await clusterManager.checkArchivingNeeded();
+    const preview = await archiveScheduler.preview();
 
     res.json({
-      count: oldRecords.length,
-      records: oldRecords,
-      archiveAfterDays: parseInt(process.env.ARCHIVE_AFTER_DAYS, 10) || 180,
-      autoArchiveEnabled: process.env.AUTO_ARCHIVE_ENABLED === 'true'
+      count: preview.candidates.length,
+      records: preview.candidates,
+      archiveAfterDays: preview.archiveAfterDays,
+      autoArchiveEnabled: archiveScheduler.getSettings().enabled
     });
   } catch (error) {
     console.error('Error checking archive needs:', error);
@@ -44,6 +46,97 @@ router.get('/check-archive', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/storage/health - Ping results and circuit state per cluster
+ * ?refresh=true runs a check now instead of returning the last results
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const health = req.query.refresh === 'true'
+      ? await clusterManager.checkHealth()
+      : clusterManager.getHealthReport();
+    res.json({ activeCluster: clusterManager.activeCluster, clusters: health });
+  } catch (error) {
+    console.error('Error getting cluster health:', error);
+    res.status(500).json({
+      error: 'Failed to get cluster health',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/storage/rebalance - Progress of the latest rebalancing job
+ */
+router.get('/rebalance', async (req, res) => {
+  try {
+    const job = await clusterRebalancer.getStatus();
+    res.json({ job });
+  } catch (error) {
+    console.error('Error getting rebalance status:', error);
+    res.status(500).json({
+      error: 'Failed to get rebalance status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/storage/rebalance - Start moving equipment between clusters
+ * Body: { targetPercent?, targets?: { primary: 60, ... }, dryRun? }
+ */
+router.post('/rebalance', requireAdmin, async (req, res) => {
+  try {
+    const { targetPercent, targets, dryRun } = req.body || {};
+    const result = await clusterRebalancer.start(
+      { targetPercent, targets, dryRun: dryRun === true || dryRun === 'true' },
+      { actor: req.session.username }
+    );
+
+    const message = result.dryRun
+      ? 'Rebalancing plan (nothing moved)'
+      : (result.job ? 'Rebalancing started' : 'Clusters are already within their target fill levels');
+
+    res.status(result.job ? 202 : 200).json({ message, ...result });
+  } catch (error) {
+    console.error('Error starting rebalance:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.code || 'Failed to start rebalancing',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/storage/rebalance/pause - Stop the running job after the current document
+ */
+router.post('/rebalance/pause', requireAdmin, (req, res) => {
+  try {
+    res.json({ message: 'Rebalancing will pause after the current document', job: clusterRebalancer.pause() });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      error: error.code || 'Failed to pause rebalancing',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/storage/rebalance/resume - Continue a paused or interrupted job
+ */
+router.post('/rebalance/resume', requireAdmin, async (req, res) => {
+  try {
+    const job = await clusterRebalancer.resume();
+    res.status(202).json({ message: 'Rebalancing resumed', job });
+  } catch (error) {
+    console.error('Error resuming rebalance:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.code || 'Failed to resume rebalancing',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/storage/:cluster - Get storage info for specific cluster
  */
@@ -51,8 +144,7 @@ router.get('/:cluster', async (req, res) => {
   try {
     const { cluster } = req.params;
 
-    const allowedClusters = ['primary', 'secondary', 'tertiary', 'archive', 'images', 'roles'];
-    if (!allowedClusters.includes(cluster)) {
+    if (!clusterManager.getClusterNames().includes(cluster)) {
       return res.status(400).json({ error: 'Invalid cluster name' });
     }
 
@@ -93,12 +185,61 @@ router.post('/refresh', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/storage/archive/preview - Dry run: the records the next run would archive
+ */
+router.get('/archive/preview', requireAdmin, async (req, res) => {
+  try {
+    const [preview, schedule] = await Promise.all([
+      archiveScheduler.preview(),
+      archiveScheduler.getSchedule()
+    ]);
+
+    res.json({
+      success: true,
+      ...preview,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error previewing archive run:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to preview archiving',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/storage/archive/runs - Schedule and recent archiving runs
+ */
+router.get('/archive/runs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const [schedule, runs] = await Promise.all([
+      archiveScheduler.getSchedule(),
+      archiveScheduler.listRuns({ limit })
+    ]);
+
+    res.json({ schedule, runs });
+  } catch (error) {
+    console.error('Error listing archive runs:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to list archive runs',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/storage/archive - Manually trigger archiving
+ * ?dryRun=true returns the preview instead
  */
 router.post('/archive', requireAdmin, async (req, res) => {
   try {
-    const result = await MultiClusterEquipment.archiveOldRecords();
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+    const result = dryRun
+      ? await archiveScheduler.preview()
+      : await archiveScheduler.run({ trigger: 'manual', actor: req.session.username });
     
     res.json({
       success: true,
@@ -106,8 +247,8 @@ router.post('/archive', requireAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error archiving records:', error);
-    res.status(500).json({ 
-      error: 'Failed to archive records',
+    res.status(error.statusCode || 500).json({ 
+      error: error.code || 'Failed to archive records',
       message: error.message 
     });
   }
@@ -0,0 +1,268 @@
+'use strict';
+
+const clusterManager = require('./clusterManager');
+const archiveRunSchema = require('../models/ArchiveRun');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const MAX_RECORDED_FAILURES = 50;
+const TICK_MS = 60 * 1000;
+const WINDOW_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+const createArchiveError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+/**
+ * Parse ARCHIVE_WINDOW ("HH:MM-HH:MM", server local time, may wrap past
+ * midnight) into minutes of the day. Blank means any time.
+ */
+const parseWindow = (raw) => {
+  const text = String(raw || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(WINDOW_PATTERN);
+  const start = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  const end = match ? Number(match[3]) * 60 + Number(match[4]) : NaN;
+  const valid = match
+    && Number(match[1]) < 24 && Number(match[3]) < 24
+    && Number(match[2]) < 60 && Number(match[4]) < 60
+    && start !== end;
+
+  if (!valid) {
+    throw new Error(`Invalid ARCHIVE_WINDOW "${text}". Use HH:MM-HH:MM, e.g. 01:00-05:00`);
+  }
+  return { start, end, label: text };
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const isWithinWindow = (date, window) => {
+  if (!window) {
+    return true;
+  }
+  const minutes = minutesOfDay(date);
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+};
+
+// First window opening after `date` (which is outside the window)
+const nextWindowStart = (date, window) => {
+  const start = new Date(date);
+  start.setHours(Math.floor(window.start / 60), window.start % 60, 0, 0);
+  if (start <= date) {
+    start.setDate(start.getDate() + 1);
+  }
+  return start;
+};
+
+/**
+ * Built-in archiving schedule. When AUTO_ARCHIVE_ENABLED=true the scheduler
+ * archives every ARCHIVE_INTERVAL_MINUTES, only inside ARCHIVE_WINDOW if set.
+ * Every run, scheduled or manual, is recorded on ARCHIVE_RUN_CLUSTER_NAME
+ * (default: the first writable equipment cluster).
+ */
+class ArchiveSchedulerService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+  }
+
+  getClusterName() {
+    return process.env.ARCHIVE_RUN_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('ArchiveRun', archiveRunSchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  requireModel() {
+    const ArchiveRun = this.getModel();
+    if (!ArchiveRun) {
+      throw createArchiveError('Archive run cluster is not currently available', 503);
+    }
+    return ArchiveRun;
+  }
+
+  getSettings() {
+    return {
+      enabled: process.env.AUTO_ARCHIVE_ENABLED === 'true',
+      intervalMinutes: parseInt(process.env.ARCHIVE_INTERVAL_MINUTES, 10) || 24 * 60,
+      window: parseWindow(process.env.ARCHIVE_WINDOW),
+      archiveAfterDays: parseInt(process.env.ARCHIVE_AFTER_DAYS, 10) || 180,
+      batchLimit: parseInt(process.env.ARCHIVE_BATCH_LIMIT, 10) || 100
+    };
+  }
+
+  async getLastRun() {
+    const ArchiveRun = this.getModel();
+    if (!ArchiveRun) {
+      return null;
+    }
+    return ArchiveRun.findOne().sort({ createdAt: -1 }).select('-__v').lean();
+  }
+
+  /**
+   * When the scheduler will next archive, or null when it is disabled
+   */
+  getNextRunAt(lastRunAt, settings, now = new Date()) {
+    if (!settings.enabled) {
+      return null;
+    }
+
+    let next = lastRunAt ? new Date(lastRunAt.getTime() + settings.intervalMinutes * 60 * 1000) : now;
+    if (next < now) {
+      next = now;
+    }
+    if (!isWithinWindow(next, settings.window)) {
+      next = nextWindowStart(next, settings.window);
+    }
+    return next;
+  }
+
+  getLastRunAt(lastRun) {
+    const recorded = lastRun ? new Date(lastRun.createdAt) : null;
+    if (!recorded || (this.lastRunAt && this.lastRunAt > recorded)) {
+      return this.lastRunAt;
+    }
+    return recorded;
+  }
+
+  async getSchedule() {
+    const settings = this.getSettings();
+    const lastRun = await this.getLastRun();
+
+    return {
+      enabled: settings.enabled,
+      intervalMinutes: settings.intervalMinutes,
+      window: settings.window ? settings.window.label : null,
+      archiveAfterDays: settings.archiveAfterDays,
+      batchLimit: settings.batchLimit,
+      running: this.running,
+      lastRun,
+      nextRunAt: this.getNextRunAt(this.getLastRunAt(lastRun), settings)
+    };
+  }
+
+  /**
+   * Exactly what a run started now would archive, without moving anything
+   */
+  async preview() {
+    const { archiveAfterDays, batchLimit } = this.getSettings();
+    return MultiClusterEquipment.archiveOldRecords({ archiveAfterDays, batchLimit, dryRun: true });
+  }
+
+  async run({ trigger = 'manual', actor = 'system' } = {}) {
+    if (this.running) {
+      throw createArchiveError('An archiving run is already in progress', 409, 'archive-running');
+    }
+
+    this.running = true;
+    const ArchiveRun = this.getModel();
+    const { archiveAfterDays, batchLimit } = this.getSettings();
+    let record = null;
+
+    try {
+      if (ArchiveRun) {
+        record = await ArchiveRun.create({ trigger, startedBy: actor, archiveAfterDays, batchLimit });
+      }
+      this.lastRunAt = new Date();
+
+      const result = await MultiClusterEquipment.archiveOldRecords({ archiveAfterDays, batchLimit, actor });
+
+      if (record) {
+        Object.assign(record, {
+          status: 'completed',
+          cutoff: result.cutoff,
+          processed: result.processed,
+          archived: result.archived,
+          skipped: result.skipped,
+          failed: result.errors,
+          byCluster: Object.entries(result.byCluster).map(([cluster, counts]) => ({ cluster, ...counts })),
+          failures: result.failures.slice(0, MAX_RECORDED_FAILURES),
+          finishedAt: new Date()
+        });
+        await record.save();
+      }
+
+      return { ...result, runId: record ? record._id : null };
+    } catch (error) {
+      if (record) {
+        record.status = 'failed';
+        record.error = error.message;
+        record.finishedAt = new Date();
+        await record.save().catch(() => {});
+      }
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async listRuns({ limit = 20 } = {}) {
+    const ArchiveRun = this.requireModel();
+    return ArchiveRun.find().sort({ createdAt: -1 }).limit(limit).select('-__v').lean();
+  }
+
+  /**
+   * Start a scheduled run if archiving is enabled, inside the window and due
+   */
+  async tick(now = new Date()) {
+    const settings = this.getSettings();
+    if (!settings.enabled || this.running || !isWithinWindow(now, settings.window)) {
+      return null;
+    }
+
+    const lastRunAt = this.getLastRunAt(await this.getLastRun());
+    if (lastRunAt && now - lastRunAt < settings.intervalMinutes * 60 * 1000) {
+      return null;
+    }
+
+    return this.run({ trigger: 'scheduler', actor: 'scheduler' });
+  }
+
+  startScheduler(tickMs = TICK_MS) {
+    // Fail startup on a malformed window rather than never archiving
+    this.getSettings();
+    this.stopScheduler();
+    this.timer = setInterval(async () => {
+      try {
+        await this.tick();
+      } catch (err) {
+        console.error('Scheduled archiving failed:', err.message);
+      }
+    }, tickMs);
+  }
+
+  stopScheduler() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ArchiveSchedulerService();
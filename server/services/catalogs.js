@@ -0,0 +1,325 @@
+'use strict';
+
+const clusterManager = require('./clusterManager');
+const catalogEntrySchema = require('../models/CatalogEntry');
+
+const CATALOG_KINDS = ['type', 'status', 'brand'];
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// How long to wait before retrying a catalog load that fell back to the defaults
+const RELOAD_RETRY_MS = 30 * 1000;
+
+// Seeded on first start and used whenever the catalog cluster is unreachable
+const DEFAULT_ENTRIES = {
+  type: [
+    { key: 'computer', label: 'Computer', category: 'computer', sortOrder: 1 },
+    { key: 'desktop', label: 'Desktop', category: 'computer', sortOrder: 2 },
+    { key: 'laptop', label: 'Laptop', category: 'computer', sortOrder: 3 },
+    { key: 'printer', label: 'Printer', category: 'printer', sortOrder: 4 }
+  ],
+  status: [
+    { key: 'working', label: 'Working', color: '#16a34a', open: false, sortOrder: 1 },
+    { key: 'maintenance', label: 'Maintenance', color: '#f59e0b', open: true, sortOrder: 2 },
+    { key: 'broken', label: 'Broken', color: '#dc2626', open: true, sortOrder: 3 },
+    { key: 'done', label: 'Done', color: '#2563eb', open: false, sortOrder: 4 }
+  ],
+  brand: []
+};
+
+const createCatalogError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+const sortEntries = (entries) => entries
+  .slice()
+  .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.key.localeCompare(b.key));
+
+const normalizeBrandName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Admin-managed catalogs of equipment types, statuses and brands.
+ * Entries live on one cluster (CATALOG_CLUSTER_NAME, default: first writable equipment cluster) and
+ * are cached in memory so schema validators can check them synchronously.
+ */
+class CatalogService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+    // Connection the entries were last loaded from; null while on the built-in defaults
+    this.loadedConnection = null;
+    this.lastLoadAttemptAt = 0;
+    this.reloading = null;
+    this.entries = {
+      type: sortEntries(DEFAULT_ENTRIES.type),
+      status: sortEntries(DEFAULT_ENTRIES.status),
+      brand: []
+    };
+  }
+
+  getClusterName() {
+    return process.env.CATALOG_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('CatalogEntry', catalogEntrySchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  requireModel() {
+    const CatalogEntry = this.getModel();
+    if (!CatalogEntry) {
+      throw createCatalogError('Catalog cluster is not currently available', 503);
+    }
+    return CatalogEntry;
+  }
+
+  /**
+   * Load all catalogs into memory, seeding the defaults for empty kinds
+   */
+  async load() {
+    this.lastLoadAttemptAt = Date.now();
+    const CatalogEntry = this.getModel();
+    if (!CatalogEntry) {
+      console.warn(`⚠️  Catalog cluster (${this.getClusterName()}) not available. Using built-in types and statuses.`);
+      return this.entries;
+    }
+
+    try {
+      for (const kind of ['type', 'status']) {
+        const count = await CatalogEntry.countDocuments({ kind });
+        if (count === 0) {
+          await CatalogEntry.insertMany(DEFAULT_ENTRIES[kind].map((entry) => ({ ...entry, kind })));
+          console.log(`📚 Seeded default equipment ${kind} catalog`);
+        }
+      }
+
+      const entries = await CatalogEntry.find().select('-__v').lean();
+      this.entries = CATALOG_KINDS.reduce((acc, kind) => {
+        acc[kind] = sortEntries(entries.filter((entry) => entry.kind === kind));
+        return acc;
+      }, {});
+      this.loadedConnection = this.cachedConnection;
+    } catch (error) {
+      console.error('Failed to load catalogs:', error.message);
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Reload in the background when the entries did not come from the current catalog
+   * connection, e.g. the cluster was down at startup and has since reconnected
+   */
+  refreshIfStale() {
+    if (this.reloading || Date.now() - this.lastLoadAttemptAt < RELOAD_RETRY_MS) {
+      return;
+    }
+    if (!this.getModel() || this.loadedConnection === this.cachedConnection) {
+      return;
+    }
+
+    this.reloading = this.load().finally(() => {
+      this.reloading = null;
+    });
+  }
+
+  getEntries(kind) {
+    this.refreshIfStale();
+    return this.entries[kind] || [];
+  }
+
+  getKeys(kind) {
+    return this.getEntries(kind).map((entry) => entry.key);
+  }
+
+  getEntry(kind, key) {
+    return this.getEntries(kind).find((entry) => entry.key === key) || null;
+  }
+
+  isValid(kind, value) {
+    return this.getKeys(kind).includes(value);
+  }
+
+  getOpenStatuses() {
+    return this.getEntries('status').filter((entry) => entry.open).map((entry) => entry.key);
+  }
+
+  getTypeCategory(type) {
+    const entry = this.getEntry('type', type);
+    return entry && entry.category ? entry.category : type;
+  }
+
+  /**
+   * Map a brand spelling to its canonical name. Unknown brands are
+   * returned trimmed, or rejected when BRAND_CATALOG_STRICT=true.
+   */
+  canonicalBrand(value, { strict = process.env.BRAND_CATALOG_STRICT === 'true' } = {}) {
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    const normalized = normalizeBrandName(trimmed);
+    if (!normalized) {
+      return trimmed;
+    }
+
+    const match = this.getEntries('brand').find((entry) => (
+      normalizeBrandName(entry.key) === normalized
+      || entry.aliases.some((alias) => normalizeBrandName(alias) === normalized)
+    ));
+
+    if (match) {
+      return match.key;
+    }
+    if (strict) {
+      throw createCatalogError(`Unknown brand "${trimmed}". Add it to the brand catalog first.`, 400, 'unknown-brand');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Validate an admin-supplied entry. `existing` is the stored entry on update.
+   */
+  sanitizeEntry(kind, input = {}, existing = null) {
+    if (!CATALOG_KINDS.includes(kind)) {
+      throw createCatalogError(`Unknown catalog "${kind}"`, 404);
+    }
+
+    const entry = {};
+    if (!existing) {
+      const rawKey = typeof input.key === 'string' ? input.key.trim() : '';
+      entry.key = kind === 'brand' ? rawKey : rawKey.toLowerCase();
+      if (!entry.key) {
+        throw createCatalogError('key is required');
+      }
+      if (kind !== 'brand' && !KEY_PATTERN.test(entry.key)) {
+        throw createCatalogError('key must contain only lowercase letters, digits, - and _');
+      }
+    }
+
+    if ('label' in input || !existing) {
+      entry.label = typeof input.label === 'string' && input.label.trim()
+        ? input.label.trim()
+        : (existing ? existing.key : entry.key);
+    }
+
+    if ('sortOrder' in input) {
+      const sortOrder = Number(input.sortOrder);
+      if (!Number.isFinite(sortOrder)) {
+        throw createCatalogError('sortOrder must be a number');
+      }
+      entry.sortOrder = sortOrder;
+    }
+
+    if (kind === 'status') {
+      if ('color' in input) {
+        const color = typeof input.color === 'string' ? input.color.trim() : '';
+        if (color && !COLOR_PATTERN.test(color)) {
+          throw createCatalogError('color must be a hex value like #16a34a');
+        }
+        entry.color = color;
+      }
+      if ('open' in input) {
+        entry.open = input.open === true || input.open === 'true';
+      }
+    }
+
+    if (kind === 'type' && 'category' in input) {
+      entry.category = typeof input.category === 'string' ? input.category.trim().toLowerCase() : '';
+    }
+
+    if (kind === 'brand' && ('aliases' in input || !existing)) {
+      const aliases = Array.isArray(input.aliases) ? input.aliases : [];
+      const ownKey = normalizeBrandName(existing ? existing.key : entry.key);
+      entry.aliases = Array.from(new Set(aliases.map((alias) => String(alias).trim()).filter(Boolean)))
+        .filter((alias) => normalizeBrandName(alias) !== ownKey);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Reject brand names or aliases already used by another brand
+   */
+  assertUniqueBrandNames(names, excludeKey = null) {
+    const wanted = new Set(names.map(normalizeBrandName));
+    for (const entry of this.getEntries('brand')) {
+      if (entry.key === excludeKey) {
+        continue;
+      }
+      const taken = [entry.key, ...entry.aliases].find((name) => wanted.has(normalizeBrandName(name)));
+      if (taken) {
+        throw createCatalogError(`"${taken}" is already used by brand "${entry.key}"`, 409, 'duplicate-brand');
+      }
+    }
+  }
+
+  async create(kind, input, { actor = 'system' } = {}) {
+    const CatalogEntry = this.requireModel();
+    const entry = this.sanitizeEntry(kind, input);
+
+    if (kind === 'brand') {
+      await this.load();
+      this.assertUniqueBrandNames([entry.key, ...entry.aliases]);
+    }
+
+    try {
+      const created = await CatalogEntry.create({ ...entry, kind, createdBy: actor, updatedBy: actor });
+      await this.load();
+      return created.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createCatalogError(`${kind} "${entry.key}" already exists`, 409, 'duplicate-entry');
+      }
+      throw error;
+    }
+  }
+
+  async update(kind, key, input, { actor = 'system' } = {}) {
+    const CatalogEntry = this.requireModel();
+    const existing = await CatalogEntry.findOne({ kind, key }).lean();
+    if (!existing) {
+      return null;
+    }
+
+    const entry = this.sanitizeEntry(kind, input, existing);
+    if (kind === 'brand' && entry.aliases) {
+      await this.load();
+      this.assertUniqueBrandNames(entry.aliases, existing.key);
+    }
+
+    const updated = await CatalogEntry.findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { ...entry, updatedBy: actor } },
+      { new: true, runValidators: true }
+    ).select('-__v').lean();
+
+    await this.load();
+    return updated;
+  }
+
+  async remove(kind, key) {
+    const CatalogEntry = this.requireModel();
+    const removed = await CatalogEntry.findOneAndDelete({ kind, key }).lean();
+    await this.load();
+    return removed;
+  }
+}
+
+module.exports = new CatalogService();
@@ -1,43 +1,110 @@
 const mongoose = require('mongoose');
+const clusterTopology = require('./clusterTopology');
+
+const getHealthSettings = () => ({
+    intervalMs: parseInt(process.env.CLUSTER_HEALTH_INTERVAL_MS, 10) || 30000,
+    pingTimeoutMs: parseInt(process.env.CLUSTER_PING_TIMEOUT_MS, 10) || 3000,
+    slowPingMs: parseInt(process.env.CLUSTER_SLOW_PING_MS, 10) || 2000,
+    failureThreshold: parseInt(process.env.CLUSTER_FAILURE_THRESHOLD, 10) || 2,
+    reconnectBaseMs: parseInt(process.env.CLUSTER_RECONNECT_BASE_MS, 10) || 5000,
+    reconnectMaxMs: parseInt(process.env.CLUSTER_RECONNECT_MAX_MS, 10) || 5 * 60 * 1000
+});
+
+const withTimeout = (promise, timeoutMs, message) => {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
 
 class ClusterManager {
     constructor() {
-        this.clusterDescriptors = [
-            { name: 'primary', envKey: 'MONGODB_URI_PRIMARY', required: true, writable: true, category: 'equipment' },
-            { name: 'secondary', envKey: 'MONGODB_URI_SECONDARY', required: false, writable: true, category: 'equipment' },
-            { name: 'tertiary', envKey: 'MONGODB_URI_TERTIARY', required: false, writable: true, category: 'equipment' },
-            { name: 'archive', envKey: 'MONGODB_URI_ARCHIVE', required: false, writable: false, category: 'archive' },
-            { name: 'images', envKey: 'MONGODB_URI_IMAGES', required: false, writable: false, category: 'images', dbNameEnvKey: 'MONGODB_IMAGE_DB_NAME' },
-            { name: 'roles', envKey: 'MONGODB_URI_ROLES', required: false, writable: true, category: 'roles', dbNameEnvKey: 'MONGODB_ROLE_DB_NAME' },
-            // Additional named role cluster for compatibility with deployments that prefer a custom name
-            { name: 'ApsaraRole', envKey: 'MONGODB_URI_APSARAROLE', required: false, writable: true, category: 'roles', dbNameEnvKey: 'MONGODB_APSARAROLE_DB_NAME' }
-        ];
+        // Loaded from the topology file, see loadTopology()
+        this.clusterDescriptors = [];
+        this.clusters = {};
+        this.topologyLoaded = false;
 
-        this.clusters = this.clusterDescriptors.reduce((acc, descriptor) => {
-            acc[descriptor.name] = null;
-            return acc;
-        }, {});
+        // Per-cluster ping results and circuit state, see checkClusterHealth()
+        this.health = {};
+        this.healthTimer = null;
+        this.healthCheckRunning = false;
 
-        this.activeCluster = 'primary';
+        this.activeCluster = null;
         this.storageStats = {};
         this.maxStorageMB = parseInt(process.env.CLUSTER_STORAGE_LIMIT_MB, 10) || 512;
         this.initialized = false;
     }
 
+    /**
+     * Read and validate the cluster topology (CLUSTER_TOPOLOGY_CONFIG).
+     * Throws with every problem found so startup fails loudly.
+     */
+    loadTopology() {
+        this.clusterDescriptors = clusterTopology.loadTopology();
+        this.clusters = this.clusterDescriptors.reduce((acc, descriptor) => {
+            acc[descriptor.name] = this.clusters[descriptor.name] || null;
+            return acc;
+        }, {});
+        this.maxStorageMB = parseInt(process.env.CLUSTER_STORAGE_LIMIT_MB, 10) || 512;
+        this.topologyLoaded = true;
+        this.activeCluster = this.getDefaultCluster();
+        return this.clusterDescriptors;
+    }
+
+    ensureTopology() {
+        if (!this.topologyLoaded) {
+            this.loadTopology();
+        }
+        return this.clusterDescriptors;
+    }
+
+    getDescriptor(name) {
+        return this.ensureTopology().find((descriptor) => descriptor.name === name) || null;
+    }
+
+    /**
+     * Cluster names in priority order, optionally limited to some categories
+     */
+    getClusterNames({ categories = null } = {}) {
+        return this.ensureTopology()
+            .filter((descriptor) => !categories || categories.includes(descriptor.category))
+            .map((descriptor) => descriptor.name);
+    }
+
+    /**
+     * Highest-priority writable equipment cluster; the fallback for writes
+     */
+    getDefaultCluster() {
+        const descriptor = this.ensureTopology()
+            .find(({ category, writable }) => category === 'equipment' && writable);
+        return descriptor ? descriptor.name : null;
+    }
+
+    getUri(descriptor) {
+        return descriptor.uri || (descriptor.envKey ? process.env[descriptor.envKey] : null) || null;
+    }
+
+    getStorageLimit(clusterName) {
+        const descriptor = this.getDescriptor(clusterName);
+        return (descriptor && descriptor.storageLimitMB) || this.maxStorageMB;
+    }
+
     /**
      * Initialize all configured clusters
      */
     async initialize() {
         console.log('🔗 Initializing Multi-Cluster Manager...');
 
+        this.loadTopology();
         const connections = [];
 
         for (const descriptor of this.clusterDescriptors) {
-            const uri = process.env[descriptor.envKey];
+            const uri = this.getUri(descriptor);
 
             if (!uri) {
                 if (descriptor.required) {
-                    throw new Error(`${descriptor.envKey} is required but missing in environment variables`);
+                    throw new Error(`${descriptor.envKey} is required for the ${descriptor.name} cluster but missing in environment variables`);
                 }
 
                 console.log(`   ⏭️  Skipping ${descriptor.name.toUpperCase()} cluster (no URI configured)`);
@@ -47,20 +114,25 @@ class ClusterManager {
             try {
                 console.log(`   📍 Connecting to ${descriptor.name.toUpperCase()} cluster...`);
                 this.clusters[descriptor.name] = await this.createConnection(uri, descriptor);
+                this.getClusterHealth(descriptor.name).state = 'up';
                 console.log(`   ✅ ${descriptor.name.toUpperCase()} cluster ready`);
                 connections.push(descriptor.name);
             } catch (error) {
                 const message = `   ❌ ${descriptor.name.toUpperCase()} cluster failed: ${error.message}`;
                 if (descriptor.required) {
                     console.error(message);
-                    throw new Error('Primary cluster connection required');
+                    throw new Error(`${descriptor.name} cluster connection required`);
                 }
                 console.warn(message);
+                // Retried by the health monitor with backoff
+                this.recordFailure(descriptor.name, error);
+                this.scheduleReconnect(descriptor.name);
             }
         }
 
-        if (!connections.includes('primary')) {
-            throw new Error('No primary cluster connected. Check MONGODB_URI_PRIMARY.');
+        const equipmentClusters = this.getClusterNames({ categories: ['equipment'] });
+        if (!connections.some((name) => equipmentClusters.includes(name))) {
+            throw new Error(`No equipment cluster connected. Check the URIs for: ${equipmentClusters.join(', ')}.`);
         }
 
         console.log(`\n✅ Cluster Manager initialized with ${connections.length} cluster(s): ${connections.join(', ')}`);
@@ -76,17 +148,15 @@ class ClusterManager {
      * Create a connection to a cluster
      */
     async createConnection(uri, descriptor) {
-        const { name, dbNameEnvKey } = descriptor;
+        const { name, dbName: configuredDbName, dbNameEnvKey } = descriptor;
         const connectionOptions = {
             serverSelectionTimeoutMS: parseInt(process.env.CLUSTER_SERVER_SELECTION_TIMEOUT_MS, 10) || 10000,
             maxPoolSize: parseInt(process.env.CLUSTER_MAX_POOL_SIZE, 10) || 10
         };
 
-        if (dbNameEnvKey) {
-            const dbName = process.env[dbNameEnvKey];
-            if (dbName && dbName.trim().length > 0) {
-                connectionOptions.dbName = dbName.trim();
-            }
+        const dbName = configuredDbName || (dbNameEnvKey ? process.env[dbNameEnvKey] : null);
+        if (dbName && dbName.trim().length > 0) {
+            connectionOptions.dbName = dbName.trim();
         }
 
         const connection = mongoose.createConnection(uri, connectionOptions);
@@ -101,12 +171,225 @@ class ClusterManager {
 
         connection.on('disconnected', () => {
             console.log(`   ⚠️ ${name.toUpperCase()} cluster disconnected`);
+            if (this.clusters[name] === connection) {
+                this.getClusterHealth(name).state = 'down';
+            }
         });
 
-        await connection.asPromise();
+        try {
+            await connection.asPromise();
+        } catch (error) {
+            connection.close(true).catch(() => {});
+            throw error;
+        }
+        return connection;
+    }
+
+    getClusterHealth(name) {
+        if (!this.health[name]) {
+            this.health[name] = {
+                state: 'unknown',
+                circuitOpen: false,
+                latencyMs: null,
+                lastCheckedAt: null,
+                lastSuccessAt: null,
+                lastError: null,
+                lastErrorAt: null,
+                consecutiveFailures: 0,
+                reconnectAttempts: 0,
+                nextReconnectAt: null
+            };
+        }
+        return this.health[name];
+    }
+
+    /**
+     * Whether reads should currently skip a cluster
+     */
+    isCircuitOpen(name) {
+        return Boolean(this.health[name] && this.health[name].circuitOpen);
+    }
+
+    recordFailure(name, error) {
+        const health = this.getClusterHealth(name);
+        const { failureThreshold } = getHealthSettings();
+
+        health.state = 'down';
+        health.lastError = error.message;
+        health.lastErrorAt = new Date();
+        health.consecutiveFailures += 1;
+
+        if (!health.circuitOpen && health.consecutiveFailures >= failureThreshold) {
+            health.circuitOpen = true;
+            console.warn(`   🚧 ${name.toUpperCase()} cluster removed from reads after ${health.consecutiveFailures} failed check(s): ${error.message}`);
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess(name, latencyMs) {
+        const health = this.getClusterHealth(name);
+        const recovered = health.circuitOpen;
+
+        health.state = 'up';
+        health.circuitOpen = false;
+        health.latencyMs = latencyMs;
+        health.lastSuccessAt = new Date();
+        health.consecutiveFailures = 0;
+        health.reconnectAttempts = 0;
+        health.nextReconnectAt = null;
+
+        if (recovered) {
+            console.log(`   ✅ ${name.toUpperCase()} cluster recovered (${latencyMs} ms)`);
+        }
+        return recovered;
+    }
+
+    /**
+     * Exponential backoff: base, 2x base, 4x base ... capped at the max
+     */
+    scheduleReconnect(name) {
+        const health = this.getClusterHealth(name);
+        const { reconnectBaseMs, reconnectMaxMs } = getHealthSettings();
+        const delay = Math.min(reconnectBaseMs * (2 ** health.reconnectAttempts), reconnectMaxMs);
+
+        health.reconnectAttempts += 1;
+        health.nextReconnectAt = new Date(Date.now() + delay);
+        return delay;
+    }
+
+    async pingCluster(name) {
+        const connection = this.clusters[name];
+        if (!connection || connection.readyState !== 1) {
+            throw new Error('Not connected');
+        }
+
+        const { pingTimeoutMs } = getHealthSettings();
+        const startedAt = Date.now();
+        await withTimeout(
+            connection.db.command({ ping: 1 }),
+            pingTimeoutMs,
+            `Ping timed out after ${pingTimeoutMs} ms`
+        );
+        return Date.now() - startedAt;
+    }
+
+    /**
+     * Replace a cluster's connection with a fresh one
+     */
+    async reconnectCluster(descriptor) {
+        const { name } = descriptor;
+        const uri = this.getUri(descriptor);
+        const previous = this.clusters[name];
+
+        console.log(`   🔄 Reconnecting to ${name.toUpperCase()} cluster (attempt ${this.getClusterHealth(name).reconnectAttempts})...`);
+        const connection = await this.createConnection(uri, descriptor);
+        this.clusters[name] = connection;
+
+        if (previous && previous !== connection) {
+            previous.close(true).catch(() => {});
+        }
         return connection;
     }
 
+    /**
+     * Ping one configured cluster, updating its health and circuit state.
+     * Unreachable clusters are reconnected once their backoff has elapsed.
+     * Returns true when the cluster's circuit opened or closed.
+     */
+    async checkClusterHealth(descriptor) {
+        const { name } = descriptor;
+        const health = this.getClusterHealth(name);
+        const { slowPingMs } = getHealthSettings();
+        health.lastCheckedAt = new Date();
+
+        try {
+            const latencyMs = await this.pingCluster(name);
+            if (latencyMs > slowPingMs) {
+                health.latencyMs = latencyMs;
+                const changed = this.recordFailure(name, new Error(`Ping took ${latencyMs} ms (limit ${slowPingMs} ms)`));
+                health.state = 'slow';
+                return changed;
+            }
+            return this.recordSuccess(name, latencyMs);
+        } catch (error) {
+            const changed = this.recordFailure(name, error);
+            const connection = this.clusters[name];
+            const connected = connection && connection.readyState === 1;
+            const due = !health.nextReconnectAt || health.nextReconnectAt <= new Date();
+
+            if (connected || !due) {
+                return changed;
+            }
+
+            this.scheduleReconnect(name);
+            try {
+                await this.reconnectCluster(descriptor);
+                return this.recordSuccess(name, await this.pingCluster(name)) || changed;
+            } catch (reconnectError) {
+                console.warn(`   ❌ ${name.toUpperCase()} reconnect failed: ${reconnectError.message}. Next attempt at ${health.nextReconnectAt.toISOString()}`);
+                health.lastError = reconnectError.message;
+                health.lastErrorAt = new Date();
+                return changed;
+            }
+        }
+    }
+
+    /**
+     * Check every configured cluster once
+     */
+    async checkHealth() {
+        if (this.healthCheckRunning) {
+            return this.getHealthReport();
+        }
+
+        this.healthCheckRunning = true;
+        try {
+            const configured = this.clusterDescriptors.filter((descriptor) => this.getUri(descriptor));
+            const changes = await Promise.all(configured.map((descriptor) => this.checkClusterHealth(descriptor)));
+
+            if (changes.some(Boolean)) {
+                await this.updateStorageStats();
+                this.determineActiveCluster();
+            }
+        } finally {
+            this.healthCheckRunning = false;
+        }
+
+        return this.getHealthReport();
+    }
+
+    getHealthReport() {
+        return this.clusterDescriptors
+            .filter((descriptor) => this.getUri(descriptor))
+            .reduce((acc, { name, category }) => {
+                const connection = this.clusters[name];
+                acc[name] = {
+                    cluster: name,
+                    category,
+                    connected: Boolean(connection && connection.readyState === 1),
+                    ...this.getClusterHealth(name)
+                };
+                return acc;
+            }, {});
+    }
+
+    startHealthMonitor(intervalMs = getHealthSettings().intervalMs) {
+        this.stopHealthMonitor();
+        this.healthTimer = setInterval(async () => {
+            try {
+                await this.checkHealth();
+            } catch (err) {
+                console.error('Cluster health check failed:', err.message);
+            }
+        }, intervalMs);
+    }
+
+    stopHealthMonitor() {
+        if (this.healthTimer) clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
     /**
      * Get storage statistics for a cluster
      */
@@ -116,24 +399,26 @@ class ClusterManager {
             return null;
         }
 
+        const maxStorageMB = this.getStorageLimit(clusterName);
+
         try {
             const stats = await connection.db.stats();
             
             const storageMB = stats.dataSize / (1024 * 1024);
-            const percentUsed = this.maxStorageMB > 0
-                ? (storageMB / this.maxStorageMB) * 100
+            const percentUsed = maxStorageMB > 0
+                ? (storageMB / maxStorageMB) * 100
                 : 0;
             
             return {
                 cluster: clusterName,
                 dataSize: stats.dataSize,
                 storageMB: parseFloat(storageMB.toFixed(2)),
-                maxStorageMB: this.maxStorageMB,
+                maxStorageMB,
                 percentUsed: parseFloat(percentUsed.toFixed(2)),
                 collections: stats.collections,
                 documents: stats.objects,
                 indexes: stats.indexes,
-                available: this.maxStorageMB - storageMB,
+                available: maxStorageMB - storageMB,
                 status: this.getStorageStatus(percentUsed)
             };
         } catch (error) {
@@ -161,7 +446,8 @@ class ClusterManager {
      */
     async updateStorageStats() {
         for (const [name, connection] of Object.entries(this.clusters)) {
-            if (connection && connection.readyState === 1) {
+            // Skip clusters with an open circuit so a slow node cannot stall the report
+            if (connection && connection.readyState === 1 && !this.isCircuitOpen(name)) {
                 const stats = await this.getClusterStorage(name);
                 if (stats) {
                     this.storageStats[name] = stats;
@@ -179,15 +465,16 @@ class ClusterManager {
     determineActiveCluster() {
         const switchThreshold = parseInt(process.env.STORAGE_THRESHOLD_SWITCH, 10) || 90;
 
-        for (const descriptor of this.clusterDescriptors) {
-            if (descriptor.writable === false) {
+        // Only writable equipment clusters take equipment writes, same as getDefaultCluster
+        for (const descriptor of this.ensureTopology()) {
+            if (descriptor.category !== 'equipment' || !descriptor.writable) {
                 continue;
             }
             const { name } = descriptor;
             const connection = this.clusters[name];
             const stats = this.storageStats[name];
 
-            const canWrite = connection && connection.readyState === 1;
+            const canWrite = connection && connection.readyState === 1 && !this.isCircuitOpen(name);
             const underThreshold = !stats || stats.percentUsed < switchThreshold;
 
             if (canWrite && underThreshold) {
@@ -199,9 +486,10 @@ class ClusterManager {
             }
         }
 
-        console.warn('🚨 ALL CLUSTERS ARE FULL OR UNAVAILABLE! Defaulting to PRIMARY.');
-        this.activeCluster = 'primary';
-        return 'primary';
+        const fallback = this.getDefaultCluster();
+        console.warn(`🚨 ALL CLUSTERS ARE FULL OR UNAVAILABLE! Defaulting to ${String(fallback).toUpperCase()}.`);
+        this.activeCluster = fallback;
+        return fallback;
     }
 
     /**
@@ -219,7 +507,8 @@ class ClusterManager {
     }
 
     /**
-     * Get all available cluster connections for reads
+     * Get all available cluster connections for reads.
+     * Clusters whose circuit is open are left out until a health check succeeds.
      */
     getAllConnections(options = {}) {
         const { category = 'equipment' } = options;
@@ -231,7 +520,7 @@ class ClusterManager {
                 return descriptor.category === category;
             })
             .map(({ name }) => ({ name, connection: this.clusters[name] }))
-            .filter(({ connection }) => connection && connection.readyState === 1);
+            .filter(({ name, connection }) => connection && connection.readyState === 1 && !this.isCircuitOpen(name));
     }
 
     getConnectionForCategory(category) {
@@ -242,7 +531,7 @@ class ClusterManager {
         const descriptors = this.clusterDescriptors.filter((descriptor) => descriptor.category === category);
         for (const descriptor of descriptors) {
             const connection = this.clusters[descriptor.name];
-            if (connection && connection.readyState === 1) {
+            if (connection && connection.readyState === 1 && !this.isCircuitOpen(descriptor.name)) {
                 return connection;
             }
         }
@@ -265,6 +554,7 @@ class ClusterManager {
         const report = {
             activeCluster: this.activeCluster,
             clusters: this.storageStats,
+            health: this.getHealthReport(),
             totalStorage: 0,
             totalUsed: 0,
             totalAvailable: 0,
@@ -290,88 +580,12 @@ class ClusterManager {
         return report;
     }
 
-    /**
-     * Check if archiving is needed
-     */
-    async checkArchivingNeeded() {
-        const archiveDays = parseInt(process.env.ARCHIVE_AFTER_DAYS) || 180;
-        const autoArchiveEnabled = process.env.AUTO_ARCHIVE_ENABLED === 'true';
-
-        if (!autoArchiveEnabled || !this.clusters.archive || this.clusters.archive.readyState !== 1) {
-            return [];
-        }
-
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - archiveDays);
-
-    const { connection: primaryConnection } = this.getAllConnections({ category: 'equipment' }).find(c => c.name === 'primary') || {};
-        if (!primaryConnection) {
-            return [];
-        }
-
-        const Equipment = primaryConnection.model('Equipment');
-        const batchLimit = parseInt(process.env.ARCHIVE_BATCH_LIMIT, 10) || 100;
-
-        const oldRecords = await Equipment.find({
-            updatedAt: { $lt: cutoffDate }
-        })
-        .select('_id type brand model updatedAt')
-        .limit(batchLimit)
-        .lean();
-
-        return oldRecords;
-    }
-
-    /**
-     * Archive old records to archive cluster
-     */
-    async archiveRecords(recordIds) {
-        if (!this.clusters.archive || this.clusters.archive.readyState !== 1) {
-            throw new Error('Archive cluster not configured');
-        }
-
-        const primaryConnection = this.clusters.primary;
-        if (!primaryConnection || primaryConnection.readyState !== 1) {
-            throw new Error('Primary cluster not available');
-        }
-
-        const PrimaryEquipment = primaryConnection.model('Equipment');
-        const ArchiveEquipment = this.clusters.archive.model('Equipment');
-
-        const batchLimit = parseInt(process.env.ARCHIVE_BATCH_LIMIT, 10) || recordIds.length;
-        const idsToProcess = batchLimit > 0 ? recordIds.slice(0, batchLimit) : recordIds;
-
-        let archived = 0;
-        let errors = 0;
-
-        for (const id of idsToProcess) {
-            try {
-                const record = await PrimaryEquipment.findById(id);
-                if (record) {
-                    // Copy to archive
-                    const archiveDoc = new ArchiveEquipment(record.toObject());
-                    archiveDoc._id = record._id; // Keep same ID
-                    archiveDoc.archivedAt = new Date();
-                    await archiveDoc.save();
-
-                    // Delete from primary
-                    await PrimaryEquipment.findByIdAndDelete(id);
-                    archived++;
-                }
-            } catch (error) {
-                console.error(`Error archiving record ${id}:`, error.message);
-                errors++;
-            }
-        }
-
-        return { archived, errors, processed: idsToProcess.length };
-    }
-
     /**
      * Close all cluster connections
      */
     async disconnect() {
         console.log('🔌 Disconnecting from all clusters...');
+        this.stopHealthMonitor();
         
         for (const [name, connection] of Object.entries(this.clusters)) {
             if (connection) {
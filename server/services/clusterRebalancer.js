@@ -0,0 +1,427 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const clusterManager = require('./clusterManager');
+const rebalanceJobSchema = require('../models/RebalanceJob');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const BYTES_PER_MB = 1024 * 1024;
+const RESUMABLE_STATUSES = ['paused', 'interrupted', 'failed'];
+
+const createRebalanceError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+const getDefaultTargetPercent = () => parseFloat(process.env.REBALANCE_TARGET_PERCENT) || 70;
+const getBatchSize = () => parseInt(process.env.REBALANCE_BATCH_SIZE, 10) || 100;
+
+/**
+ * Admin-triggered migration of equipment documents between the writable
+ * equipment clusters toward target fill levels.
+ * Jobs live on one cluster (REBALANCE_CLUSTER_NAME, default: first writable equipment cluster) and
+ * checkpoint after every batch, so a paused or crashed job resumes where
+ * it stopped. Each document is copied with its _id (attachments are keyed
+ * by it) before the source copy is removed, and the removal only succeeds
+ * if the source was not written in between.
+ */
+class ClusterRebalancerService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+    this.activeJobId = null;
+    this.pauseRequested = false;
+  }
+
+  getClusterName() {
+    return process.env.REBALANCE_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('RebalanceJob', rebalanceJobSchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  requireModel() {
+    const RebalanceJob = this.getModel();
+    if (!RebalanceJob) {
+      throw createRebalanceError('Rebalance job cluster is not currently available', 503);
+    }
+    return RebalanceJob;
+  }
+
+  getEquipmentClusters() {
+    return clusterManager.clusterDescriptors
+      .filter((descriptor) => descriptor.category === 'equipment' && descriptor.writable !== false)
+      .map((descriptor) => descriptor.name);
+  }
+
+  /**
+   * Resolve { targetPercent, targets: { cluster: percent } } for every
+   * connected equipment cluster
+   */
+  resolveTargets({ targetPercent, targets = {} } = {}, clusters) {
+    const fallback = targetPercent === undefined || targetPercent === null || targetPercent === ''
+      ? getDefaultTargetPercent()
+      : Number(targetPercent);
+
+    if (targets === null || typeof targets !== 'object' || Array.isArray(targets)) {
+      throw createRebalanceError('targets must be an object of cluster → percent');
+    }
+
+    const unknown = Object.keys(targets).filter((name) => !clusters.includes(name));
+    if (unknown.length > 0) {
+      throw createRebalanceError(`Unknown or unavailable equipment cluster(s): ${unknown.join(', ')}`);
+    }
+
+    return clusters.reduce((acc, name) => {
+      const value = name in targets ? Number(targets[name]) : fallback;
+      if (!Number.isFinite(value) || value < 0 || value > 100) {
+        throw createRebalanceError(`Target for ${name} must be a percentage between 0 and 100`);
+      }
+      acc[name] = value;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Current fill levels and the moves needed to reach the targets
+   */
+  async plan(options = {}) {
+    await clusterManager.updateStorageStats();
+
+    const connected = new Set(clusterManager.getAllConnections({ category: 'equipment' }).map(({ name }) => name));
+    const names = this.getEquipmentClusters().filter((name) => connected.has(name) && clusterManager.storageStats[name]);
+    if (names.length < 2) {
+      throw createRebalanceError('Rebalancing needs at least two connected equipment clusters', 409, 'not-enough-clusters');
+    }
+
+    const targets = this.resolveTargets(options, names);
+    const clusters = names.map((name) => {
+      const { storageMB, maxStorageMB, percentUsed } = clusterManager.storageStats[name];
+      return { name, storageMB, maxStorageMB, percentUsed, targetPercent: targets[name] };
+    });
+
+    return { clusters, targets, transfers: this.planTransfers(clusters, targets) };
+  }
+
+  /**
+   * Split each cluster's excess over its target fill level across the
+   * clusters that are below theirs. `clusters` is in descriptor order, so
+   * later clusters are filled first only if earlier ones have no room.
+   */
+  planTransfers(clusters, targets) {
+    const sources = [];
+    const sinks = [];
+
+    clusters.forEach(({ name, storageMB, maxStorageMB }) => {
+      const targetMB = (maxStorageMB * targets[name]) / 100;
+      const deltaBytes = Math.floor((storageMB - targetMB) * BYTES_PER_MB);
+      if (deltaBytes > 0) {
+        sources.push({ name, bytes: deltaBytes });
+      } else if (deltaBytes < 0) {
+        sinks.push({ name, bytes: -deltaBytes });
+      }
+    });
+
+    const transfers = [];
+    for (const source of sources) {
+      for (const sink of sinks) {
+        if (source.bytes <= 0) {
+          break;
+        }
+        const bytes = Math.min(source.bytes, sink.bytes);
+        if (bytes <= 0) {
+          continue;
+        }
+        transfers.push({ from: source.name, to: sink.name, bytesPlanned: bytes });
+        source.bytes -= bytes;
+        sink.bytes -= bytes;
+      }
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Plan and start a new job. Any paused or interrupted job is cancelled.
+   */
+  async start(options = {}, { actor = 'system' } = {}) {
+    const RebalanceJob = this.requireModel();
+    if (this.activeJobId) {
+      throw createRebalanceError('A rebalancing job is already running', 409, 'rebalance-running');
+    }
+
+    const plan = await this.plan(options);
+    if (options.dryRun) {
+      return { dryRun: true, plan, job: null };
+    }
+    if (plan.transfers.length === 0) {
+      return { dryRun: false, plan, job: null };
+    }
+
+    await RebalanceJob.updateMany(
+      { status: { $in: RESUMABLE_STATUSES.concat('running') } },
+      { $set: { status: 'cancelled', finishedAt: new Date() } }
+    );
+
+    const job = await RebalanceJob.create({
+      status: 'running',
+      targets: plan.targets,
+      transfers: plan.transfers,
+      startedBy: actor
+    });
+
+    this.launch(job._id);
+    return { dryRun: false, plan, job: this.summarize(job.toObject()) };
+  }
+
+  /**
+   * Continue the latest paused, interrupted or failed job from its checkpoints
+   */
+  async resume() {
+    const RebalanceJob = this.requireModel();
+    if (this.activeJobId) {
+      throw createRebalanceError('A rebalancing job is already running', 409, 'rebalance-running');
+    }
+
+    await this.markInterrupted();
+    const job = await RebalanceJob.findOneAndUpdate(
+      { status: { $in: RESUMABLE_STATUSES } },
+      { $set: { status: 'running', finishedAt: null, lastError: '' } },
+      { sort: { createdAt: -1 }, new: true }
+    ).lean();
+
+    if (!job) {
+      throw createRebalanceError('There is no paused or interrupted rebalancing job to resume', 404, 'no-resumable-job');
+    }
+
+    this.launch(job._id);
+    return this.summarize(job);
+  }
+
+  /**
+   * Ask the running job to stop after the document it is moving
+   */
+  pause() {
+    if (!this.activeJobId) {
+      throw createRebalanceError('No rebalancing job is running', 409, 'rebalance-not-running');
+    }
+    this.pauseRequested = true;
+    return { id: this.activeJobId, status: 'pausing' };
+  }
+
+  /**
+   * Jobs left "running" by a previous process can no longer make progress
+   */
+  async markInterrupted() {
+    const RebalanceJob = this.getModel();
+    if (!RebalanceJob) {
+      return 0;
+    }
+
+    const query = { status: 'running' };
+    if (this.activeJobId) {
+      query._id = { $ne: this.activeJobId };
+    }
+    const result = await RebalanceJob.updateMany(query, { $set: { status: 'interrupted' } });
+    if (result.modifiedCount > 0) {
+      console.warn(`⚠️  ${result.modifiedCount} rebalancing job(s) were interrupted. Resume them from /api/storage/rebalance/resume.`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Latest job with progress totals, or null
+   */
+  async getStatus() {
+    const RebalanceJob = this.getModel();
+    if (!RebalanceJob) {
+      return null;
+    }
+
+    const job = await RebalanceJob.findOne().sort({ createdAt: -1 }).lean();
+    return job ? this.summarize(job) : null;
+  }
+
+  summarize(job) {
+    const totals = job.transfers.reduce((acc, transfer) => {
+      acc.bytesPlanned += transfer.bytesPlanned;
+      acc.bytesMoved += transfer.bytesMoved;
+      acc.moved += transfer.moved;
+      acc.skipped += transfer.skipped;
+      acc.failed += transfer.failed;
+      return acc;
+    }, { bytesPlanned: 0, bytesMoved: 0, moved: 0, skipped: 0, failed: 0 });
+
+    const percent = totals.bytesPlanned > 0
+      ? Math.min(100, (totals.bytesMoved / totals.bytesPlanned) * 100)
+      : 100;
+
+    return {
+      id: job._id,
+      status: this.pauseRequested && String(job._id) === String(this.activeJobId) ? 'pausing' : job.status,
+      targets: job.targets instanceof Map ? Object.fromEntries(job.targets) : job.targets,
+      startedBy: job.startedBy,
+      startedAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+      lastError: job.lastError,
+      progress: {
+        ...totals,
+        percent: job.status === 'completed' ? 100 : parseFloat(percent.toFixed(2))
+      },
+      transfers: job.transfers.map(({ from, to, bytesPlanned, bytesMoved, moved, skipped, failed, done }) => ({
+        from, to, bytesPlanned, bytesMoved, moved, skipped, failed, done
+      }))
+    };
+  }
+
+  launch(jobId) {
+    this.activeJobId = jobId;
+    this.pauseRequested = false;
+    this.run(jobId).catch((error) => {
+      console.error('Rebalancing job crashed:', error.message);
+    });
+  }
+
+  async run(jobId) {
+    const batchSize = getBatchSize();
+    let RebalanceJob = null;
+    let job = null;
+
+    try {
+      RebalanceJob = this.requireModel();
+      job = await RebalanceJob.findById(jobId);
+      if (!job) {
+        throw new Error(`Rebalancing job ${jobId} not found`);
+      }
+
+      for (const transfer of job.transfers) {
+        if (transfer.done) {
+          continue;
+        }
+
+        const Source = MultiClusterEquipment.getModel(transfer.from).collection;
+        const Target = MultiClusterEquipment.getModel(transfer.to).collection;
+        console.log(`🔀 Moving up to ${(transfer.bytesPlanned / BYTES_PER_MB).toFixed(2)} MB of equipment from ${transfer.from.toUpperCase()} to ${transfer.to.toUpperCase()}`);
+
+        while (!transfer.done) {
+          if (this.pauseRequested) {
+            job.status = 'paused';
+            return;
+          }
+
+          const query = transfer.lastId ? { _id: { $gt: transfer.lastId } } : {};
+          const batch = await Source.find(query).sort({ _id: 1 }).limit(batchSize).toArray();
+          if (batch.length === 0) {
+            transfer.done = true;
+            break;
+          }
+
+          for (const doc of batch) {
+            if (this.pauseRequested || transfer.bytesMoved >= transfer.bytesPlanned) {
+              break;
+            }
+
+            try {
+              const size = mongoose.mongo.BSON.calculateObjectSize(doc);
+              if (await this.moveDocument(doc, Source, Target, transfer.to)) {
+                transfer.moved += 1;
+                transfer.bytesMoved += size;
+              } else {
+                transfer.skipped += 1;
+              }
+            } catch (error) {
+              console.error(`Error moving equipment ${doc._id} to ${transfer.to} cluster:`, error.message);
+              transfer.failed += 1;
+              job.lastError = `${doc._id}: ${error.message}`;
+            }
+            transfer.lastId = doc._id;
+          }
+
+          if (transfer.bytesMoved >= transfer.bytesPlanned) {
+            transfer.done = true;
+          }
+          await job.save();
+        }
+      }
+
+      job.status = 'completed';
+      job.finishedAt = new Date();
+      console.log('✅ Rebalancing job completed');
+    } catch (error) {
+      console.error('Rebalancing job failed:', error.message);
+      if (job) {
+        job.status = 'failed';
+        job.lastError = error.message;
+      } else if (RebalanceJob) {
+        // The lookup itself failed; record it if the job row is reachable
+        await RebalanceJob.updateOne({ _id: jobId }, { status: 'failed', lastError: error.message })
+          .catch(() => {});
+      }
+    } finally {
+      // Always release the slot, or every later start/resume gets 409
+      this.activeJobId = null;
+      this.pauseRequested = false;
+      if (job) {
+        await job.save();
+      }
+      await clusterManager.updateStorageStats();
+      clusterManager.determineActiveCluster();
+    }
+  }
+
+  /**
+   * Copy one raw document to `to` and remove it from the source.
+   * Returns false (and drops the copy) when the source changed meanwhile;
+   * the document is then left in place for the next run.
+   */
+  async moveDocument(doc, Source, Target, to) {
+    // A previous run may have stopped between copy and delete; keep
+    // whichever copy was written last
+    const existing = await Target.findOne({ _id: doc._id }, { projection: { updatedAt: 1 } });
+    const targetIsNewer = existing && existing.updatedAt && doc.updatedAt && existing.updatedAt > doc.updatedAt;
+
+    if (!targetIsNewer) {
+      await Target.replaceOne({ _id: doc._id }, { ...doc, cluster: to }, { upsert: true });
+    }
+
+    const guard = { _id: doc._id };
+    if ('__v' in doc) {
+      guard.__v = doc.__v;
+    }
+    if ('updatedAt' in doc) {
+      guard.updatedAt = doc.updatedAt;
+    }
+
+    const { deletedCount } = await Source.deleteOne(guard);
+    if (deletedCount === 0) {
+      if (!targetIsNewer) {
+        await Target.deleteOne({ _id: doc._id });
+      }
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new ClusterRebalancerService();
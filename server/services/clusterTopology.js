@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'clusters.json');
+const CLUSTER_CATEGORIES = ['equipment', 'archive', 'images', 'roles'];
+const CLUSTER_KEYS = ['name', 'uri', 'uriEnv', 'category', 'writable', 'required', 'priority', 'storageLimitMB', 'dbName', 'dbNameEnv'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Cluster topology: which MongoDB clusters exist, where their URIs come
+ * from and what they hold. Read from JSON or YAML (CLUSTER_TOPOLOGY_CONFIG,
+ * defaulting to config/clusters.json). Each entry:
+ *   name            unique cluster name (stored on equipment as `cluster`)
+ *   uri | uriEnv    connection string, or the env variable holding it
+ *   category        equipment | archive | images | roles
+ *   writable        accepts new writes (default: equipment and roles)
+ *   required        startup fails if it cannot connect (default false)
+ *   priority        lower is filled first for writes (default: file order)
+ *   storageLimitMB  overrides CLUSTER_STORAGE_LIMIT_MB for this cluster
+ *   dbName | dbNameEnv  database name, or the env variable holding it
+ */
+const validateTopology = (raw, source) => {
+  const problems = [];
+  const entries = raw && Array.isArray(raw.clusters) ? raw.clusters : null;
+
+  if (!entries || entries.length === 0) {
+    throw new Error(`Invalid cluster topology in ${source}: "clusters" must be a non-empty list`);
+  }
+
+  const seen = new Set();
+  const descriptors = entries.map((entry, index) => {
+    const label = `clusters[${index}]${entry && isNonEmptyString(entry.name) ? ` (${entry.name})` : ''}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${label} must be an object`);
+      return null;
+    }
+
+    Object.keys(entry)
+      .filter((key) => !CLUSTER_KEYS.includes(key))
+      .forEach((key) => problems.push(`${label} has unknown key "${key}"`));
+
+    if (!isNonEmptyString(entry.name) || !NAME_PATTERN.test(entry.name)) {
+      problems.push(`${label} needs a name of letters, digits, - and _`);
+    } else if (seen.has(entry.name)) {
+      problems.push(`${label} duplicates cluster name "${entry.name}"`);
+    }
+    seen.add(entry.name);
+
+    if (!CLUSTER_CATEGORIES.includes(entry.category)) {
+      problems.push(`${label} category must be one of: ${CLUSTER_CATEGORIES.join(', ')}`);
+    }
+
+    if (isNonEmptyString(entry.uri) === isNonEmptyString(entry.uriEnv)) {
+      problems.push(`${label} needs exactly one of uri or uriEnv`);
+    }
+    if (entry.dbName !== undefined && entry.dbNameEnv !== undefined) {
+      problems.push(`${label} cannot set both dbName and dbNameEnv`);
+    }
+    ['dbName', 'dbNameEnv'].forEach((key) => {
+      if (entry[key] !== undefined && !isNonEmptyString(entry[key])) {
+        problems.push(`${label} ${key} must be a non-empty string`);
+      }
+    });
+
+    ['writable', 'required'].forEach((key) => {
+      if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+        problems.push(`${label} ${key} must be true or false`);
+      }
+    });
+
+    if (entry.priority !== undefined && !Number.isFinite(entry.priority)) {
+      problems.push(`${label} priority must be a number`);
+    }
+    if (entry.storageLimitMB !== undefined && (!Number.isFinite(entry.storageLimitMB) || entry.storageLimitMB <= 0)) {
+      problems.push(`${label} storageLimitMB must be a positive number`);
+    }
+
+    return {
+      name: entry.name,
+      uri: isNonEmptyString(entry.uri) ? entry.uri.trim() : null,
+      envKey: isNonEmptyString(entry.uriEnv) ? entry.uriEnv.trim() : null,
+      category: entry.category,
+      writable: entry.writable !== undefined ? entry.writable : ['equipment', 'roles'].includes(entry.category),
+      required: entry.required === true,
+      priority: entry.priority !== undefined ? entry.priority : index + 1,
+      storageLimitMB: entry.storageLimitMB || null,
+      dbName: isNonEmptyString(entry.dbName) ? entry.dbName.trim() : null,
+      dbNameEnvKey: isNonEmptyString(entry.dbNameEnv) ? entry.dbNameEnv.trim() : null,
+      order: index
+    };
+  });
+
+  const valid = descriptors.filter(Boolean);
+  if (!valid.some((descriptor) => descriptor.category === 'equipment' && descriptor.writable)) {
+    problems.push('at least one writable equipment cluster is required');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid cluster topology in ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // Stable sort: equal priorities keep file order
+  return valid
+    .sort((a, b) => (a.priority - b.priority) || (a.order - b.order))
+    .map(({ order, ...descriptor }) => descriptor);
+};
+
+const loadTopology = (configPath = process.env.CLUSTER_TOPOLOGY_CONFIG
+  ? path.resolve(process.env.CLUSTER_TOPOLOGY_CONFIG)
+  : DEFAULT_CONFIG_PATH) => {
+  let text;
+  try {
+    text = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read cluster topology ${configPath}: ${error.message}`);
+  }
+
+  let raw;
+  try {
+    raw = /\.ya?ml$/i.test(configPath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse cluster topology ${configPath}: ${error.message}`);
+  }
+
+  return validateTopology(raw, configPath);
+};
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  CLUSTER_CATEGORIES,
+  validateTopology,
+  loadTopology
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const clusterManager = require('./clusterManager');
+const customerSchema = require('../models/Customer');
+const { escapeRegex } = require('./equipmentQuery');
+
+const TEXT_FIELDS = ['name', 'email', 'address', 'notes'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const createCustomerError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+/**
+ * Reduce a phone number to digits, keeping a leading + for international numbers
+ */
+const normalizePhone = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value).trim();
+  const digits = text.replace(/\D/g, '');
+  if (!digits) {
+    return '';
+  }
+  return text.startsWith('+') ? `+${digits}` : digits;
+};
+
+/**
+ * Customer records shared by all equipment clusters.
+ * They live on one cluster (CUSTOMER_CLUSTER_NAME, default: first writable equipment cluster) so an
+ * equipment record can point at the same customer wherever it is stored.
+ */
+class CustomerRegistryService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+  }
+
+  getClusterName() {
+    return process.env.CUSTOMER_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('Customer', customerSchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  normalizePhone(value) {
+    return normalizePhone(value);
+  }
+
+  requireModel() {
+    const Customer = this.getModel();
+    if (!Customer) {
+      throw createCustomerError('Customer registry cluster is not currently available', 503);
+    }
+    return Customer;
+  }
+
+  /**
+   * Validate client input. With `partial`, only the supplied fields are returned.
+   */
+  sanitize(input = {}, { partial = false } = {}) {
+    const payload = {};
+
+    TEXT_FIELDS.forEach((field) => {
+      if (field in input || !partial) {
+        const value = input[field];
+        payload[field] = typeof value === 'string' ? value.trim() : '';
+      }
+    });
+
+    if ('name' in payload && !payload.name) {
+      throw createCustomerError('name is required');
+    }
+
+    if (payload.email && !EMAIL_PATTERN.test(payload.email)) {
+      throw createCustomerError('email is not a valid address');
+    }
+
+    if ('phones' in input || 'phone' in input || !partial) {
+      const raw = [].concat(input.phones ?? [], input.phone ?? []);
+      payload.phones = Array.from(new Set(raw.map(normalizePhone).filter(Boolean)));
+    }
+
+    return payload;
+  }
+
+  /**
+   * Throw a 409 carrying the other customer when one of `phones` is taken
+   */
+  async assertUniquePhones(phones, { excludeId = null } = {}) {
+    if (!phones || phones.length === 0) {
+      return;
+    }
+
+    const Customer = this.requireModel();
+    const query = { phones: { $in: phones } };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    const conflict = await Customer.findOne(query).select('name phones email').lean();
+    if (conflict) {
+      const phone = conflict.phones.find((value) => phones.includes(value));
+      const error = createCustomerError(`Phone ${phone} already belongs to customer "${conflict.name}"`, 409, 'duplicate-phone');
+      error.conflict = conflict;
+      throw error;
+    }
+  }
+
+  async list({ q, phone, page = 1, limit = 50 } = {}) {
+    const Customer = this.requireModel();
+    const query = {};
+
+    const normalizedPhone = normalizePhone(phone);
+    if (normalizedPhone) {
+      query.phones = normalizedPhone;
+    }
+
+    if (typeof q === 'string' && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      const digits = normalizePhone(q);
+      query.$or = [{ name: pattern }, { email: pattern }];
+      if (digits.replace('+', '').length >= 3) {
+        query.$or.push({ phones: new RegExp(escapeRegex(digits)) });
+      }
+    }
+
+    const [items, total] = await Promise.all([
+      Customer.find(query).sort({ name: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Customer.countDocuments(query)
+    ]);
+
+    return { items, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+
+  async get(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    const Customer = this.requireModel();
+    return Customer.findById(id).lean();
+  }
+
+  async create(input, { actor = 'system' } = {}) {
+    const Customer = this.requireModel();
+    const payload = this.sanitize(input);
+    await this.assertUniquePhones(payload.phones);
+
+    const customer = await Customer.create({ ...payload, createdBy: actor, updatedBy: actor });
+    console.log(`👤 Customer "${customer.name}" created by ${actor}`);
+    return customer.toObject();
+  }
+
+  async update(id, input, { actor = 'system' } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const Customer = this.requireModel();
+    const payload = this.sanitize(input, { partial: true });
+    if (payload.phones) {
+      await this.assertUniquePhones(payload.phones, { excludeId: id });
+    }
+
+    return Customer.findByIdAndUpdate(
+      id,
+      { $set: { ...payload, updatedBy: actor } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  async remove(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    const Customer = this.requireModel();
+    return Customer.findByIdAndDelete(id).lean();
+  }
+}
+
+module.exports = new CustomerRegistryService();
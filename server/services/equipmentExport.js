@@ -0,0 +1,248 @@
+'use strict';
+
+const ExcelJS = require('exceljs');
+const { toList } = require('./equipmentQuery');
+
+/**
+ * Streaming writers for equipment exports.
+ * Each writer receives items one at a time and writes straight to the
+ * HTTP response, respecting backpressure, so large exports never have to
+ * be held in memory.
+ */
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const EXPORT_COLUMNS = [
+  '_id',
+  'type',
+  'brand',
+  'model',
+  'serialNumber',
+  'status',
+  'checkInDate',
+  'location',
+  'purchaseDate',
+  'warrantyExpiry',
+  'assignedTo',
+  'customer',
+  'customerId',
+  'customerPhone',
+  'notes',
+  'specs',
+  'cluster',
+  'archivedAt',
+  'createdAt',
+  'updatedAt',
+  'imageData'
+];
+
+// Attachments are base64 blobs; only export them when explicitly asked
+const DEFAULT_COLUMNS = EXPORT_COLUMNS.filter((column) => column !== 'imageData');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+const createExportError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseFormat = (value) => {
+  const format = String(value || 'csv').trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw createExportError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+/**
+ * Resolve ?columns=a,b,c (and ?includeImages=true) into a column list
+ */
+const parseColumns = (query = {}) => {
+  const requested = toList(query.columns);
+  const includeImages = query.includeImages === 'true' || query.includeImages === '1';
+
+  let columns = requested.length > 0 ? requested : DEFAULT_COLUMNS.slice();
+
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw createExportError(`Unknown export column(s): ${unknown.join(', ')}. Allowed: ${EXPORT_COLUMNS.join(', ')}`);
+  }
+
+  if (includeImages && !columns.includes('imageData')) {
+    columns = columns.concat('imageData');
+  }
+
+  return Array.from(new Set(columns));
+};
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value) || typeof value === 'object') {
+    return typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+  }
+  return value;
+};
+
+// Prefix values a spreadsheet would evaluate as a formula
+const escapeCsvCell = (value) => {
+  let text = String(formatCell(value));
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const pick = (item, columns) => columns.reduce((acc, column) => {
+  acc[column] = item[column] === undefined ? null : item[column];
+  return acc;
+}, {});
+
+// Wait for backpressure to clear, or for the response to close or fail:
+// a client that disconnects never drains
+const waitForDrain = (res) => new Promise((resolve) => {
+  if (res.destroyed || res.writableEnded || !res.writableNeedDrain) {
+    resolve();
+    return;
+  }
+
+  const settle = () => {
+    res.removeListener('drain', settle);
+    res.removeListener('close', settle);
+    res.removeListener('error', settle);
+    resolve();
+  };
+  res.on('drain', settle);
+  res.on('close', settle);
+  res.on('error', settle);
+});
+
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed || res.writableEnded) {
+    return;
+  }
+  res.write(chunk);
+  await waitForDrain(res);
+};
+
+const createCsvWriter = (res, columns) => ({
+  start: () => writeChunk(res, `\uFEFF${columns.map(escapeCsvCell).join(',')}\r\n`),
+  write: (item) => writeChunk(res, `${columns.map((column) => escapeCsvCell(item[column])).join(',')}\r\n`),
+  end: async () => res.end()
+});
+
+const createJsonWriter = (res, columns) => {
+  let first = true;
+  return {
+    start: () => writeChunk(res, '['),
+    write: (item) => {
+      const chunk = `${first ? '' : ','}\n${JSON.stringify(pick(item, columns))}`;
+      first = false;
+      return writeChunk(res, chunk);
+    },
+    end: async () => res.end(first ? ']' : '\n]')
+  };
+};
+
+const XLSX_FLUSH_ROWS = 100;
+
+const createXlsxWriter = (res, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Equipment');
+  sheet.columns = columns.map((column) => ({ header: column, key: column }));
+  let rows = 0;
+
+  return {
+    start: async () => {},
+    write: async (item) => {
+      const row = columns.reduce((acc, column) => {
+        const value = item[column];
+        acc[column] = value instanceof Date ? value : formatCell(value);
+        return acc;
+      }, {});
+      sheet.addRow(row).commit();
+
+      // Committed rows reach res through the zip stream asynchronously: let
+      // them flow every batch, and hold further rows while res is backed up
+      rows += 1;
+      if (rows % XLSX_FLUSH_ROWS === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+        await waitForDrain(res);
+      }
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * Set download headers and return a writer for the requested format
+ */
+const createExportWriter = (format, res, columns) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="equipment-${stamp}.${format}"`);
+
+  if (format === 'xlsx') {
+    return createXlsxWriter(res, columns);
+  }
+  if (format === 'json') {
+    return createJsonWriter(res, columns);
+  }
+  return createCsvWriter(res, columns);
+};
+
+/**
+ * Write every item from `items` through `writer`. Stops as soon as the
+ * response closes early, which returns the iterator and so closes its
+ * cursors. Returns false when the download was aborted.
+ */
+const streamExport = async (res, writer, items) => {
+  let aborted = res.destroyed;
+  const onClose = () => {
+    aborted = !res.writableFinished;
+  };
+  res.once('close', onClose);
+
+  try {
+    await writer.start();
+    for await (const item of items) {
+      if (aborted) {
+        break;
+      }
+      await writer.write(item);
+      if (aborted) {
+        break;
+      }
+    }
+
+    if (aborted) {
+      return false;
+    }
+    await writer.end();
+    return true;
+  } finally {
+    res.removeListener('close', onClose);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseFormat,
+  parseColumns,
+  createExportWriter,
+  streamExport
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+/**
+ * Spreadsheet parsing for bulk equipment import.
+ * CSV and XLSX files are read into a header row plus value rows, and
+ * headers are mapped onto equipment fields (including `specs.*` columns).
+ */
+
+const FIELD_ALIASES = {
+  type: ['type', 'equipmenttype', 'category'],
+  brand: ['brand', 'make', 'manufacturer'],
+  model: ['model', 'modelname'],
+  serialNumber: ['serialnumber', 'serial', 'serialno', 'sn'],
+  status: ['status'],
+  checkInDate: ['checkindate', 'checkin', 'checkedin'],
+  location: ['location'],
+  purchaseDate: ['purchasedate', 'purchased'],
+  warrantyExpiry: ['warrantyexpiry', 'warranty', 'warrantyexpires', 'warrantyend'],
+  assignedTo: ['assignedto', 'assignee'],
+  customerId: ['customerid', 'customer'],
+  customerPhone: ['customerphone', 'phone'],
+  notes: ['notes', 'note', 'comments']
+};
+
+const SPECS_PREFIX = /^specs?\./i;
+
+const createImportError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return 'csv';
+  }
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  return null;
+};
+
+/**
+ * Flatten ExcelJS cell values (rich text, hyperlinks, formulas) to primitives
+ */
+const normalizeCellValue = (value) => {
+  if (value === null || value === undefined || value instanceof Date) {
+    return value;
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    if ('result' in value) {
+      return normalizeCellValue(value.result);
+    }
+    if ('text' in value) {
+      return value.text;
+    }
+    return String(value);
+  }
+  return value;
+};
+
+const parseCsv = (buffer) => {
+  const records = parse(buffer, {
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+
+  const [headers = [], ...rows] = records;
+  return { headers, rows };
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = [];
+  const rows = [];
+
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // ExcelJS row.values is 1-based; drop the empty first slot
+    const values = row.values.slice(1).map(normalizeCellValue);
+    if (rowNumber === 1) {
+      headers.push(...values.map((value) => (value === undefined || value === null ? '' : String(value).trim())));
+    } else {
+      rows.push(values);
+    }
+  });
+
+  return { headers, rows };
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into headers and raw row values
+ */
+const parseImportFile = async (file) => {
+  if (!file || !file.buffer) {
+    throw createImportError('An import file is required (multipart field "file")');
+  }
+
+  const format = detectFormat(file);
+  if (!format) {
+    throw createImportError('Unsupported file type. Upload a .csv or .xlsx file');
+  }
+
+  try {
+    const result = format === 'csv' ? parseCsv(file.buffer) : await parseXlsx(file.buffer);
+    return { format, ...result };
+  } catch (error) {
+    throw createImportError(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+};
+
+/**
+ * Map each header to an equipment field. `overrides` may map a header
+ * (as written in the file) to a field name, e.g. { "Tag": "serialNumber" }.
+ */
+const buildColumnMap = (headers, overrides = {}) => {
+  const columns = [];
+  const ignoredColumns = [];
+
+  headers.forEach((header, index) => {
+    const label = String(header || '').trim();
+    if (!label) {
+      return;
+    }
+
+    let field = overrides[label];
+    if (field && !FIELD_ALIASES[field] && !/^specs\.[^.]+$/.test(field)) {
+      throw createImportError(`Cannot map column "${label}" to unknown field "${field}"`);
+    }
+
+    if (!field && SPECS_PREFIX.test(label)) {
+      const specKey = label.replace(SPECS_PREFIX, '').trim();
+      field = specKey ? `specs.${specKey}` : null;
+    }
+
+    if (!field) {
+      const normalized = normalizeHeader(label);
+      field = Object.keys(FIELD_ALIASES).find((key) => FIELD_ALIASES[key].includes(normalized));
+    }
+
+    if (field) {
+      columns.push({ index, header: label, field });
+    } else {
+      ignoredColumns.push(label);
+    }
+  });
+
+  return { columns, ignoredColumns };
+};
+
+/**
+ * Build an equipment payload from one row. Blank cells are omitted so
+ * schema defaults still apply.
+ */
+const mapRow = (values, columns) => {
+  const payload = {};
+
+  for (const { index, field } of columns) {
+    const value = values[index];
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+      continue;
+    }
+
+    if (field.startsWith('specs.')) {
+      payload.specs = payload.specs || {};
+      payload.specs[field.slice('specs.'.length)] = value;
+    } else if (field === 'type' || field === 'status') {
+      payload[field] = String(value).trim().toLowerCase();
+    } else {
+      payload[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  return payload;
+};
+
+module.exports = {
+  FIELD_ALIASES,
+  parseImportFile,
+  buildColumnMap,
+  mapRow
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+
+/**
+ * QR code and Code128 labels for equipment.
+ * A label encodes either the equipment id or its serial number; both can be
+ * resolved back to the record through the lookup endpoint.
+ */
+
+const SYMBOLOGIES = {
+  qr: 'qrcode',
+  code128: 'code128'
+};
+const LABEL_FORMATS = ['png', 'svg'];
+const ENCODE_FIELDS = ['id', 'serial'];
+
+const createLabelError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Resolve ?type=qr|code128&encode=id|serial
+ */
+const parseLabelOptions = (query = {}) => {
+  const type = String(query.type || 'qr').trim().toLowerCase();
+  if (!SYMBOLOGIES[type]) {
+    throw createLabelError(`type must be one of: ${Object.keys(SYMBOLOGIES).join(', ')}`);
+  }
+
+  const encode = String(query.encode || 'id').trim().toLowerCase();
+  if (!ENCODE_FIELDS.includes(encode)) {
+    throw createLabelError(`encode must be one of: ${ENCODE_FIELDS.join(', ')}`);
+  }
+
+  return { type, encode };
+};
+
+const getLabelText = (item, encode) => {
+  if (encode === 'serial') {
+    const serial = typeof item.serialNumber === 'string' ? item.serialNumber.trim() : '';
+    if (!serial) {
+      throw createLabelError(`Equipment ${item._id} has no serial number to encode`);
+    }
+    return serial;
+  }
+  return String(item._id);
+};
+
+const buildSymbolOptions = (type, text) => (type === 'qr'
+  ? { bcid: SYMBOLOGIES.qr, text, scale: 4, eclevel: 'M' }
+  : { bcid: SYMBOLOGIES.code128, text, scale: 3, height: 12, includetext: true, textxalign: 'center' });
+
+/**
+ * Render one code as PNG (Buffer) or SVG (string)
+ */
+const renderCode = async (item, { type = 'qr', encode = 'id', format = 'png' } = {}) => {
+  if (!LABEL_FORMATS.includes(format)) {
+    throw createLabelError(`format must be one of: ${LABEL_FORMATS.join(', ')}`);
+  }
+
+  const options = buildSymbolOptions(type, getLabelText(item, encode));
+
+  if (format === 'svg') {
+    return { contentType: 'image/svg+xml', body: bwipjs.toSVG(options) };
+  }
+  return { contentType: 'image/png', body: await bwipjs.toBuffer(options) };
+};
+
+/**
+ * Stream an A4 sheet of labels (3 columns x 8 rows per page) into `stream`
+ */
+const renderLabelSheet = async (items, stream, { type = 'qr', encode = 'id' } = {}) => {
+  const images = [];
+  for (const item of items) {
+    images.push(await bwipjs.toBuffer(buildSymbolOptions(type, getLabelText(item, encode))));
+  }
+
+  const doc = new PDFDocument({ size: 'A4', margin: 24 });
+  doc.pipe(stream);
+
+  const columns = 3;
+  const rows = 8;
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const cellWidth = (doc.page.width - left - doc.page.margins.right) / columns;
+  const cellHeight = (doc.page.height - top - doc.page.margins.bottom) / rows;
+  const padding = 6;
+
+  items.forEach((item, index) => {
+    const slot = index % (columns * rows);
+    if (index > 0 && slot === 0) {
+      doc.addPage();
+    }
+
+    const x = left + (slot % columns) * cellWidth;
+    const y = top + Math.floor(slot / columns) * cellHeight;
+    const codeSize = cellHeight - padding * 2;
+
+    doc.rect(x, y, cellWidth, cellHeight).lineWidth(0.25).strokeColor('#cccccc').stroke();
+
+    if (type === 'qr') {
+      doc.image(images[index], x + padding, y + padding, { fit: [codeSize, codeSize] });
+    } else {
+      doc.image(images[index], x + padding, y + padding, { fit: [cellWidth - padding * 2, codeSize / 2] });
+    }
+
+    const textX = type === 'qr' ? x + codeSize + padding * 2 : x + padding;
+    const textY = type === 'qr' ? y + padding : y + padding + codeSize / 2 + 4;
+    const textWidth = x + cellWidth - padding - textX;
+    const label = [item.brand, item.model].filter(Boolean).join(' ') || 'Equipment';
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(8)
+      .text(label, textX, textY, { width: textWidth, height: 20, ellipsis: true });
+    doc.font('Helvetica').fontSize(7)
+      .text(item.serialNumber ? `S/N ${item.serialNumber}` : String(item._id), textX, doc.y, { width: textWidth, ellipsis: true });
+  });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  SYMBOLOGIES,
+  LABEL_FORMATS,
+  parseLabelOptions,
+  renderCode,
+  renderLabelSheet
+};
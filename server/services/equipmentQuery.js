@@ -0,0 +1,414 @@
+'use strict';
+
+/**
+ * Query-string parsing for equipment listings.
+ * Turns request query parameters into a MongoDB filter, a sort spec and
+ * pagination options that every equipment cluster can execute identically.
+ */
+
+const DEFAULT_PAGE_SIZE = parseInt(process.env.EQUIPMENT_PAGE_SIZE_DEFAULT, 10) || 50;
+const MAX_PAGE_SIZE = parseInt(process.env.EQUIPMENT_PAGE_SIZE_MAX, 10) || 200;
+// Page mode fetches page * limit items from every cluster; deeper pages need the cursor
+const MAX_PAGE_DEPTH = parseInt(process.env.EQUIPMENT_PAGE_DEPTH_MAX, 10) || 5000;
+
+const SORTABLE_FIELDS = [
+  'updatedAt',
+  'createdAt',
+  'checkInDate',
+  'warrantyExpiry',
+  'purchaseDate',
+  'brand',
+  'model',
+  'serialNumber',
+  'type',
+  'status',
+  'location',
+  'assignedTo',
+  'archivedAt'
+];
+
+const DEFAULT_SORT = { field: 'updatedAt', direction: -1 };
+
+const createQueryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseDateValue = (value) => {
+  if (value === null) {
+    return null;
+  }
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.length === 0) {
+      return null;
+    }
+
+    const parsed = new Date(trimmed);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split "a,b" or repeated ?key=a&key=b parameters into a clean list
+ */
+const toList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const asArray = Array.isArray(value) ? value : [value];
+  return asArray
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+};
+
+const parseDateBound = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const parsed = parseDateValue(value);
+  if (!(parsed instanceof Date)) {
+    throw createQueryError(`Invalid date for ${name}`);
+  }
+  return parsed;
+};
+
+const buildDateRange = (query, field, fromKey, toKey) => {
+  const from = parseDateBound(query[fromKey], fromKey);
+  const to = parseDateBound(query[toKey], toKey);
+
+  if (from === undefined && to === undefined) {
+    return null;
+  }
+
+  if (from && to && from > to) {
+    throw createQueryError(`${fromKey} must be before ${toKey}`);
+  }
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return { [field]: range };
+};
+
+const SPEC_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  lt: '$lt',
+  lte: '$lte',
+  gt: '$gt',
+  gte: '$gte',
+  in: '$in',
+  exists: '$exists'
+};
+
+// Query strings carry text; compare numbers as numbers and booleans as booleans
+const coerceSpecValue = (value) => {
+  const text = String(value).trim();
+  if (text !== '' && Number.isFinite(Number(text))) {
+    return Number(text);
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  return text;
+};
+
+/**
+ * Build conditions for ?specs[ram][lt]=8&specs[cpu]=i5 style filters
+ */
+const buildSpecFilter = (specs) => {
+  if (specs === undefined) {
+    return [];
+  }
+  if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+    throw createQueryError('specs filters must look like specs[field]=value or specs[field][op]=value');
+  }
+
+  return Object.entries(specs).map(([key, condition]) => {
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) {
+      throw createQueryError(`Invalid spec field: ${key}`);
+    }
+
+    const path = `specs.${key}`;
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      const values = toList(condition);
+      if (values.length > 1) {
+        return { [path]: { $in: values.map(coerceSpecValue) } };
+      }
+      const value = coerceSpecValue(values[0] ?? '');
+      // Numbers may have been stored as text before the type had a schema
+      return typeof value === 'number'
+        ? { [path]: { $in: [value, String(value)] } }
+        : { [path]: value };
+    }
+
+    const expression = {};
+    Object.entries(condition).forEach(([operator, raw]) => {
+      const mongoOperator = SPEC_OPERATORS[operator];
+      if (!mongoOperator) {
+        throw createQueryError(`Unknown spec operator "${operator}". Allowed: ${Object.keys(SPEC_OPERATORS).join(', ')}`);
+      }
+      if (operator === 'in') {
+        expression.$in = toList(raw).map(coerceSpecValue);
+      } else if (operator === 'exists') {
+        expression.$exists = coerceSpecValue(raw) !== false;
+      } else {
+        expression[mongoOperator] = coerceSpecValue(raw);
+      }
+    });
+    return { [path]: expression };
+  });
+};
+
+/**
+ * Build a MongoDB filter from list query parameters.
+ * type/status match exactly; brand, location and assignedTo match
+ * case-insensitively. Multiple values may be comma separated.
+ */
+const buildEquipmentFilter = (query = {}) => {
+  const conditions = [];
+
+  ['type', 'status'].forEach((field) => {
+    const values = toList(query[field]);
+    if (values.length === 1) {
+      conditions.push({ [field]: values[0] });
+    } else if (values.length > 1) {
+      conditions.push({ [field]: { $in: values } });
+    }
+  });
+
+  ['brand', 'location', 'assignedTo'].forEach((field) => {
+    const values = toList(query[field]);
+    if (values.length > 0) {
+      conditions.push({
+        [field]: { $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i')) }
+      });
+    }
+  });
+
+  // Matches the location and everything nested below it
+  const locationIds = toList(query.locationId);
+  if (locationIds.length > 0) {
+    if (locationIds.some((value) => !/^[a-f0-9]{24}$/i.test(value))) {
+      throw createQueryError('locationId must be a location id');
+    }
+    conditions.push(locationIds.length === 1
+      ? { locationPath: locationIds[0] }
+      : { locationPath: { $in: locationIds } });
+  }
+
+  const customers = toList(query.customer);
+  if (customers.length > 0) {
+    if (customers.some((value) => !/^[a-f0-9]{24}$/i.test(value))) {
+      throw createQueryError('customer must be a customer id');
+    }
+    conditions.push(customers.length === 1 ? { customer: customers[0] } : { customer: { $in: customers } });
+  }
+
+  conditions.push(...buildSpecFilter(query.specs));
+
+  const checkInRange = buildDateRange(query, 'checkInDate', 'checkInFrom', 'checkInTo');
+  if (checkInRange) conditions.push(checkInRange);
+
+  const warrantyRange = buildDateRange(query, 'warrantyExpiry', 'warrantyFrom', 'warrantyTo');
+  if (warrantyRange) conditions.push(warrantyRange);
+
+  const archivedRange = buildDateRange(query, 'archivedAt', 'archivedFrom', 'archivedTo');
+  if (archivedRange) conditions.push(archivedRange);
+
+  if (conditions.length === 0) {
+    return {};
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Parse ?sort=field or ?sort=-field (optionally with ?order=asc|desc)
+ */
+const parseSort = (query = {}) => {
+  const raw = typeof query.sort === 'string' ? query.sort.trim() : '';
+  if (!raw) {
+    return { ...DEFAULT_SORT };
+  }
+
+  const descending = raw.startsWith('-');
+  const field = descending ? raw.slice(1) : raw;
+
+  if (!SORTABLE_FIELDS.includes(field)) {
+    throw createQueryError(`Cannot sort by "${field}". Allowed: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  let direction = descending ? -1 : 1;
+  if (!descending && typeof query.order === 'string') {
+    const order = query.order.trim().toLowerCase();
+    if (order === 'desc') direction = -1;
+    else if (order && order !== 'asc') throw createQueryError('order must be "asc" or "desc"');
+  }
+
+  return { field, direction };
+};
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw createQueryError(`${name} must be a positive integer`);
+  }
+  return parsed;
+};
+
+const assertPageDepth = (page, limit) => {
+  if (page * limit > MAX_PAGE_DEPTH) {
+    throw createQueryError(`page * limit cannot exceed ${MAX_PAGE_DEPTH}; use cursor (nextCursor) to page deeper`);
+  }
+};
+
+const parsePagination = (query = {}) => {
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const cursor = typeof query.cursor === 'string' && query.cursor.length > 0 ? query.cursor : null;
+
+  if (!cursor) {
+    assertPageDepth(page, limit);
+  }
+  return { page, limit, cursor };
+};
+
+/**
+ * Cursors carry the sort position of the last returned item so the next
+ * page can be fetched from every cluster without skip/offset scans.
+ */
+const encodeCursor = (item, sort) => {
+  const value = item[sort.field];
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    id: String(item._id),
+    v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    t: value instanceof Date ? 'date' : undefined
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createQueryError('Invalid cursor');
+  }
+
+  if (!payload || !/^[a-f0-9]{24}$/i.test(String(payload.id)) || payload.f !== sort.field || payload.d !== sort.direction) {
+    throw createQueryError('Cursor does not match the requested sort');
+  }
+
+  const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+  return { id: payload.id, value };
+};
+
+/**
+ * Build the filter selecting items strictly after the cursor position.
+ * Nulls sort lowest in MongoDB, so they trail descending sorts and
+ * lead ascending ones.
+ */
+const buildCursorFilter = ({ id, value }, sort, toObjectId) => {
+  const { field, direction } = sort;
+  const objectId = toObjectId(id);
+  const idOp = direction === -1 ? '$lt' : '$gt';
+
+  if (value === null) {
+    const sameNull = { [field]: null, _id: { [idOp]: objectId } };
+    return direction === -1
+      ? sameNull
+      : { $or: [sameNull, { [field]: { $ne: null } }] };
+  }
+
+  const valueOp = direction === -1 ? '$lt' : '$gt';
+  const clauses = [
+    { [field]: { [valueOp]: value } },
+    { [field]: value, _id: { [idOp]: objectId } }
+  ];
+
+  if (direction === -1) {
+    clauses.push({ [field]: null });
+  }
+
+  return { $or: clauses };
+};
+
+const comparableValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+};
+
+/**
+ * Comparator mirroring the MongoDB sort { field: direction, _id: direction }
+ * so per-cluster results can be merged into one ordered page.
+ */
+const compareBySort = (sort) => (a, b) => {
+  const left = comparableValue(a[sort.field]);
+  const right = comparableValue(b[sort.field]);
+
+  let result = 0;
+  if (left === null && right !== null) result = -1;
+  else if (left !== null && right === null) result = 1;
+  else if (left !== null && right !== null) {
+    if (left < right) result = -1;
+    else if (left > right) result = 1;
+  }
+
+  if (result === 0) {
+    const leftId = String(a._id);
+    const rightId = String(b._id);
+    result = leftId < rightId ? -1 : (leftId > rightId ? 1 : 0);
+  }
+
+  return result * sort.direction;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_PAGE_DEPTH,
+  SORTABLE_FIELDS,
+  parseDateValue,
+  escapeRegex,
+  toList,
+  buildEquipmentFilter,
+  buildSpecFilter,
+  parseSort,
+  parsePagination,
+  assertPageDepth,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  compareBySort
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+const { escapeRegex } = require('./equipmentQuery');
+
+/**
+ * Free-text search helpers for equipment.
+ * User input is split into tokens and escaped before it reaches a RegExp,
+ * every token must match at least one searchable field, and matches are
+ * scored so the most specific hits (an exact serial number) come first.
+ */
+
+const SEARCH_FIELDS = [
+  { field: 'serialNumber', weight: 5 },
+  { field: 'customerId', weight: 4 },
+  { field: 'customerPhone', weight: 4 },
+  { field: 'brand', weight: 3 },
+  { field: 'model', weight: 3 },
+  { field: 'assignedTo', weight: 2 },
+  { field: 'location', weight: 2 },
+  { field: 'notes', weight: 1 }
+];
+
+const MAX_TOKENS = 8;
+const MAX_TOKEN_LENGTH = 64;
+const EXACT_SERIAL_SCORE = 1000;
+
+const tokenize = (searchTerm) => {
+  const normalized = String(searchTerm || '').trim().toLowerCase();
+  if (!normalized) {
+    return [];
+  }
+
+  const tokens = normalized
+    .split(/\s+/)
+    .map((token) => token.slice(0, MAX_TOKEN_LENGTH))
+    .filter((token) => token.length > 0);
+
+  return Array.from(new Set(tokens)).slice(0, MAX_TOKENS);
+};
+
+/**
+ * Build a MongoDB filter: AND across tokens, OR across fields
+ */
+const buildSearchFilter = (tokens) => {
+  if (tokens.length === 0) {
+    return {};
+  }
+
+  const clauses = tokens.map((token) => {
+    const pattern = new RegExp(escapeRegex(token), 'i');
+    return { $or: SEARCH_FIELDS.map(({ field }) => ({ [field]: pattern })) };
+  });
+
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+};
+
+const findRanges = (text, token) => {
+  const ranges = [];
+  const haystack = text.toLowerCase();
+  let index = haystack.indexOf(token);
+
+  while (index !== -1) {
+    ranges.push([index, index + token.length]);
+    index = haystack.indexOf(token, index + token.length);
+  }
+
+  return ranges;
+};
+
+const mergeRanges = (ranges) => {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Score an item against the tokens and collect highlight ranges.
+ * Exact field matches outrank prefix matches, which outrank substrings.
+ */
+const scoreItem = (item, tokens, searchTerm) => {
+  const highlights = [];
+  let score = 0;
+
+  const serial = typeof item.serialNumber === 'string' ? item.serialNumber.trim().toLowerCase() : '';
+  const exactSerial = serial.length > 0 && serial === String(searchTerm || '').trim().toLowerCase();
+  if (exactSerial) {
+    score += EXACT_SERIAL_SCORE;
+  }
+
+  for (const { field, weight } of SEARCH_FIELDS) {
+    const value = item[field];
+    if (typeof value !== 'string' || value.length === 0) {
+      continue;
+    }
+
+    const lowered = value.toLowerCase();
+    const ranges = [];
+
+    for (const token of tokens) {
+      const tokenRanges = findRanges(value, token);
+      if (tokenRanges.length === 0) {
+        continue;
+      }
+
+      ranges.push(...tokenRanges);
+      if (lowered === token) {
+        score += weight * 3;
+      } else if (lowered.startsWith(token)) {
+        score += weight * 2;
+      } else {
+        score += weight;
+      }
+    }
+
+    if (ranges.length > 0) {
+      highlights.push({ field, value, ranges: mergeRanges(ranges) });
+    }
+  }
+
+  return { score, exactSerial, highlights };
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  tokenize,
+  buildSearchFilter,
+  scoreItem
+};
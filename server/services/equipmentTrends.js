@@ -0,0 +1,119 @@
+'use strict';
+
+const { parseDateValue, toList } = require('./equipmentQuery');
+
+/**
+ * Time-bucket helpers for the trends report.
+ * Buckets are UTC days, ISO weeks (starting Monday) or calendar months so
+ * the empty buckets filled in here line up with MongoDB's $dateTrunc.
+ */
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+const TREND_GROUPS = ['type', 'brand', 'location'];
+const LOCATION_LEVELS = ['site', 'building', 'room'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = parseInt(process.env.TRENDS_MAX_BUCKETS, 10) || 400;
+
+// Default look-back when `from` is omitted
+const DEFAULT_RANGE_DAYS = { day: 30, week: 7 * 12, month: 365 };
+
+const createTrendError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const truncateDate = (date, interval) => {
+  const truncated = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    // getUTCDay(): Sunday = 0; step back to Monday
+    const offset = (truncated.getUTCDay() + 6) % 7;
+    truncated.setUTCDate(truncated.getUTCDate() - offset);
+  } else if (interval === 'month') {
+    truncated.setUTCDate(1);
+  }
+  return truncated;
+};
+
+const addInterval = (date, interval) => {
+  const next = new Date(date);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+/**
+ * Start dates of every bucket overlapping [from, to)
+ */
+const listBuckets = (from, to, interval) => {
+  const buckets = [];
+  for (let start = truncateDate(from, interval); start < to; start = addInterval(start, interval)) {
+    buckets.push(start);
+  }
+  return buckets;
+};
+
+const getCompletedStatuses = () => toList(process.env.TREND_COMPLETED_STATUSES || 'done');
+const getBreakdownStatuses = () => toList(process.env.TREND_BREAKDOWN_STATUSES || 'broken');
+
+/**
+ * Parse ?from&to&interval&groupBy&locationLevel for the trends endpoint
+ */
+const parseTrendOptions = (query = {}) => {
+  const interval = String(query.interval || 'day').trim().toLowerCase();
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw createTrendError(`interval must be one of: ${TREND_INTERVALS.join(', ')}`);
+  }
+
+  const groupBy = query.groupBy ? String(query.groupBy).trim() : null;
+  if (groupBy && !TREND_GROUPS.includes(groupBy)) {
+    throw createTrendError(`groupBy must be one of: ${TREND_GROUPS.join(', ')}`);
+  }
+
+  const locationLevel = String(query.locationLevel || 'site').trim().toLowerCase();
+  if (!LOCATION_LEVELS.includes(locationLevel)) {
+    throw createTrendError(`locationLevel must be one of: ${LOCATION_LEVELS.join(', ')}`);
+  }
+
+  const to = query.to ? parseDateValue(query.to) : new Date();
+  if (!(to instanceof Date)) {
+    throw createTrendError('Invalid date for to');
+  }
+
+  const from = query.from
+    ? parseDateValue(query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS[interval] * DAY_MS);
+  if (!(from instanceof Date)) {
+    throw createTrendError('Invalid date for from');
+  }
+  if (from >= to) {
+    throw createTrendError('from must be before to');
+  }
+
+  const bucketCount = listBuckets(from, to, interval).length;
+  if (bucketCount > MAX_BUCKETS) {
+    throw createTrendError(`Range has ${bucketCount} ${interval} buckets; the limit is ${MAX_BUCKETS}. Use a longer interval or a shorter range.`);
+  }
+
+  return {
+    from,
+    to,
+    interval,
+    groupBy,
+    locationLevel,
+    locationIndex: LOCATION_LEVELS.indexOf(locationLevel)
+  };
+};
+
+module.exports = {
+  TREND_INTERVALS,
+  TREND_GROUPS,
+  truncateDate,
+  listBuckets,
+  getCompletedStatuses,
+  getBreakdownStatuses,
+  parseTrendOptions
+};
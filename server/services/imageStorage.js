@@ -24,12 +24,12 @@ class ImageStorageService {
   }
 
   isAvailable() {
-    const connection = clusterManager.getConnection('images');
+    const connection = clusterManager.getConnectionForCategory('images');
     return Boolean(connection && connection.readyState === 1);
   }
 
   getModel() {
-    const connection = clusterManager.getConnection('images');
+    const connection = clusterManager.getConnectionForCategory('images');
     if (!connection || connection.readyState !== 1) {
       return null;
     }
@@ -0,0 +1,280 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const clusterManager = require('./clusterManager');
+const locationSchema = require('../models/Location');
+
+const LOCATION_LEVELS = ['site', 'building', 'room'];
+const PARENT_LEVEL = { site: null, building: 'site', room: 'building' };
+const PATH_SEPARATOR = ' / ';
+
+const createLocationError = (message, statusCode = 400, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Site → building → room hierarchy shared by all equipment clusters.
+ * Locations live on one cluster (LOCATION_CLUSTER_NAME, default: first writable equipment cluster).
+ * Each location stores its ancestor ids so subtrees can be matched with a
+ * single indexed query, and equipment copies the same path for roll-ups.
+ */
+class LocationDirectoryService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+  }
+
+  getClusterName() {
+    return process.env.LOCATION_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('Location', locationSchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  requireModel() {
+    const Location = this.getModel();
+    if (!Location) {
+      throw createLocationError('Location cluster is not currently available', 503);
+    }
+    return Location;
+  }
+
+  async list() {
+    const Location = this.getModel();
+    if (!Location) {
+      return [];
+    }
+    return Location.find().sort({ name: 1 }).select('-__v -nameKey').lean();
+  }
+
+  /**
+   * Nest a flat location list into site → building → room trees
+   */
+  buildTree(locations) {
+    const nodes = new Map(locations.map((location) => [String(location._id), { ...location, children: [] }]));
+    const roots = [];
+
+    nodes.forEach((node) => {
+      const parent = node.parent ? nodes.get(String(node.parent)) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    const sortNodes = (list) => {
+      list.sort((a, b) => a.name.localeCompare(b.name));
+      list.forEach((node) => sortNodes(node.children));
+      return list;
+    };
+
+    return sortNodes(roots);
+  }
+
+  async get(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    const Location = this.requireModel();
+    return Location.findById(id).select('-__v -nameKey').lean();
+  }
+
+  /**
+   * Resolve a location to the path equipment stores: ids from the site
+   * down to the location itself and a readable "Site / Building / Room" label
+   */
+  async resolve(id) {
+    const location = await this.get(id);
+    if (!location) {
+      return null;
+    }
+
+    const Location = this.requireModel();
+    const ancestors = location.ancestors.length > 0
+      ? await Location.find({ _id: { $in: location.ancestors } }).select('name').lean()
+      : [];
+    const names = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor.name]));
+
+    return {
+      location,
+      path: location.ancestors.concat(location._id),
+      label: location.ancestors.map((ancestorId) => names.get(String(ancestorId)) || '?')
+        .concat(location.name)
+        .join(PATH_SEPARATOR)
+    };
+  }
+
+  /**
+   * Ids of a location and everything below it
+   */
+  async getSubtreeIds(id) {
+    const Location = this.requireModel();
+    const objectId = new mongoose.Types.ObjectId(String(id));
+    const locations = await Location.find({ $or: [{ _id: objectId }, { ancestors: objectId }] }).select('_id').lean();
+    return locations.map((location) => location._id);
+  }
+
+  /**
+   * Check the parent for a location of `level` and return its ancestor path
+   */
+  async resolveParent(level, parentId) {
+    const expected = PARENT_LEVEL[level];
+
+    if (!expected) {
+      if (parentId) {
+        throw createLocationError('A site cannot have a parent location');
+      }
+      return { parent: null, ancestors: [] };
+    }
+
+    const parent = parentId ? await this.get(parentId) : null;
+    if (!parent) {
+      throw createLocationError(`A ${level} needs a parent ${expected}`);
+    }
+    if (parent.level !== expected) {
+      throw createLocationError(`A ${level} must be inside a ${expected}, not a ${parent.level}`);
+    }
+
+    return { parent: parent._id, ancestors: parent.ancestors.concat(parent._id) };
+  }
+
+  async create(input = {}, { actor = 'system' } = {}) {
+    const Location = this.requireModel();
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const level = typeof input.level === 'string' ? input.level.trim().toLowerCase() : '';
+
+    if (!name) {
+      throw createLocationError('name is required');
+    }
+    if (!LOCATION_LEVELS.includes(level)) {
+      throw createLocationError(`level must be one of: ${LOCATION_LEVELS.join(', ')}`);
+    }
+
+    const { parent, ancestors } = await this.resolveParent(level, input.parent);
+
+    try {
+      const location = await Location.create({
+        name,
+        nameKey: normalizeName(name),
+        level,
+        parent,
+        ancestors,
+        code: typeof input.code === 'string' ? input.code.trim() : '',
+        notes: typeof input.notes === 'string' ? input.notes : '',
+        createdBy: actor,
+        updatedBy: actor
+      });
+      return this.get(location._id);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createLocationError(`"${name}" already exists at this level`, 409, 'duplicate-location');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, annotate or move a location. Returns the updated location and,
+   * when its name or position changed, the ids of itself and its descendants
+   * so equipment paths and labels can be refreshed.
+   */
+  async update(id, input = {}, { actor = 'system' } = {}) {
+    const Location = this.requireModel();
+    const current = await this.get(id);
+    if (!current) {
+      return null;
+    }
+
+    const update = { updatedBy: actor };
+    if ('name' in input) {
+      const name = typeof input.name === 'string' ? input.name.trim() : '';
+      if (!name) {
+        throw createLocationError('name is required');
+      }
+      update.name = name;
+      update.nameKey = normalizeName(name);
+    }
+    if ('code' in input) {
+      update.code = typeof input.code === 'string' ? input.code.trim() : '';
+    }
+    if ('notes' in input) {
+      update.notes = typeof input.notes === 'string' ? input.notes : '';
+    }
+
+    const moving = 'parent' in input && String(input.parent || '') !== String(current.parent || '');
+    if (moving) {
+      const { parent, ancestors } = await this.resolveParent(current.level, input.parent);
+      update.parent = parent;
+      update.ancestors = ancestors;
+    }
+
+    let updated;
+    try {
+      updated = await Location.findByIdAndUpdate(current._id, { $set: update }, { new: true, runValidators: true })
+        .select('-__v -nameKey')
+        .lean();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createLocationError(`"${update.name || current.name}" already exists at this level`, 409, 'duplicate-location');
+      }
+      throw error;
+    }
+
+    if (moving) {
+      // Swap the old ancestor prefix for the new one on every descendant
+      const descendants = await Location.find({ ancestors: current._id }).select('ancestors').lean();
+      for (const descendant of descendants) {
+        const index = descendant.ancestors.findIndex((ancestorId) => String(ancestorId) === String(current._id));
+        await Location.updateOne(
+          { _id: descendant._id },
+          { $set: { ancestors: updated.ancestors.concat(descendant.ancestors.slice(index)) } }
+        );
+      }
+    }
+
+    const affected = moving || 'name' in update ? await this.getSubtreeIds(current._id) : [];
+    return { location: updated, affected };
+  }
+
+  async remove(id) {
+    const Location = this.requireModel();
+    const location = await this.get(id);
+    if (!location) {
+      return null;
+    }
+
+    const children = await Location.countDocuments({ parent: location._id });
+    if (children > 0) {
+      throw createLocationError(`Location has ${children} child location(s). Remove or move them first.`, 409, 'location-has-children');
+    }
+
+    await Location.deleteOne({ _id: location._id });
+    return location;
+  }
+}
+
+module.exports = new LocationDirectoryService();
@@ -0,0 +1,117 @@
+'use strict';
+
+const { parseDateValue } = require('./equipmentQuery');
+
+/**
+ * Validation and cost arithmetic for structured maintenance entries.
+ * Totals are always computed server-side from parts and labor so clients
+ * cannot store a total that disagrees with its line items.
+ */
+
+const TEXT_FIELDS = ['technician', 'problem', 'diagnosis', 'actionTaken'];
+
+const createMaintenanceError = (message, field) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.field = field;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const parseAmount = (value, field, { integer = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || (integer && !Number.isInteger(parsed))) {
+    throw createMaintenanceError(`${field} must be a non-negative ${integer ? 'integer' : 'number'}`, field);
+  }
+  return integer ? parsed : roundMoney(parsed);
+};
+
+const sanitizeParts = (parts) => {
+  if (parts === undefined || parts === null) {
+    return [];
+  }
+  if (!Array.isArray(parts)) {
+    throw createMaintenanceError('parts must be an array', 'parts');
+  }
+
+  return parts.map((part, index) => {
+    const name = typeof part?.name === 'string' ? part.name.trim() : '';
+    if (!name) {
+      throw createMaintenanceError(`parts[${index}].name is required`, `parts.${index}.name`);
+    }
+
+    const quantity = parseAmount(part.quantity ?? 1, `parts[${index}].quantity`, { integer: true });
+    const unitPrice = parseAmount(part.unitPrice, `parts[${index}].unitPrice`);
+
+    return {
+      name,
+      partNumber: typeof part.partNumber === 'string' ? part.partNumber.trim() : '',
+      quantity,
+      unitPrice,
+      lineTotal: roundMoney(quantity * unitPrice)
+    };
+  });
+};
+
+/**
+ * Build a complete maintenance entry from client input.
+ * `existing` supplies current values when applying a partial update.
+ */
+const sanitizeMaintenanceEntry = (input = {}, existing = {}) => {
+  const merged = { ...existing, ...input };
+  const entry = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    const value = merged[field];
+    entry[field] = typeof value === 'string' ? value.trim() : '';
+  });
+
+  if (!entry.problem) {
+    throw createMaintenanceError('problem is required', 'problem');
+  }
+
+  ['startedAt', 'endedAt'].forEach((field) => {
+    const parsed = parseDateValue(merged[field]);
+    if (merged[field] !== undefined && merged[field] !== null && merged[field] !== '' && parsed === null) {
+      throw createMaintenanceError(`${field} must be a valid date`, field);
+    }
+    entry[field] = parsed || null;
+  });
+
+  if (!entry.startedAt) {
+    entry.startedAt = new Date();
+  }
+
+  if (entry.endedAt && entry.endedAt < entry.startedAt) {
+    throw createMaintenanceError('endedAt must be after startedAt', 'endedAt');
+  }
+
+  entry.parts = sanitizeParts(merged.parts);
+  entry.laborCost = parseAmount(merged.laborCost, 'laborCost');
+  entry.partsCost = roundMoney(entry.parts.reduce((sum, part) => sum + part.lineTotal, 0));
+  entry.total = roundMoney(entry.partsCost + entry.laborCost);
+
+  return entry;
+};
+
+/**
+ * Sum costs across a list of entries
+ */
+const summarizeCosts = (entries = []) => entries.reduce((acc, entry) => {
+  acc.entries += 1;
+  acc.partsCost = roundMoney(acc.partsCost + (entry.partsCost || 0));
+  acc.laborCost = roundMoney(acc.laborCost + (entry.laborCost || 0));
+  acc.totalCost = roundMoney(acc.totalCost + (entry.total || 0));
+  return acc;
+}, { entries: 0, partsCost: 0, laborCost: 0, totalCost: 0 });
+
+module.exports = {
+  sanitizeMaintenanceEntry,
+  summarizeCosts,
+  roundMoney
+};
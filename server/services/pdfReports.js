@@ -0,0 +1,169 @@
+'use strict';
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Server-side PDF rendering for repair receipts and summary reports.
+ * The shop header comes from SHOP_* environment variables so each branch
+ * can print its own name and contact details.
+ */
+
+const getShopHeader = () => ({
+  name: process.env.SHOP_NAME || 'Apsara Repair Center',
+  address: process.env.SHOP_ADDRESS || '',
+  phone: process.env.SHOP_PHONE || '',
+  email: process.env.SHOP_EMAIL || '',
+  logoPath: process.env.SHOP_LOGO_PATH || '',
+  footer: process.env.RECEIPT_FOOTER || 'Please bring this receipt when collecting your device.'
+});
+
+const formatDate = (value) => {
+  if (!value) {
+    return '-';
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? '-' : date.toISOString().slice(0, 10);
+};
+
+const display = (value) => {
+  if (value === undefined || value === null) {
+    return '-';
+  }
+  const text = String(value).trim();
+  return text.length > 0 ? text : '-';
+};
+
+const drawHeader = (doc, title) => {
+  const shop = getShopHeader();
+
+  if (shop.logoPath && fs.existsSync(shop.logoPath)) {
+    try {
+      doc.image(shop.logoPath, doc.page.margins.left, doc.y, { fit: [60, 60] });
+      doc.moveDown(0.2);
+    } catch (error) {
+      console.warn('Failed to draw shop logo:', error.message);
+    }
+  }
+
+  doc.fontSize(18).font('Helvetica-Bold').text(shop.name, { align: 'right' });
+  doc.fontSize(9).font('Helvetica');
+  [shop.address, shop.phone, shop.email]
+    .filter((line) => line.trim().length > 0)
+    .forEach((line) => doc.text(line, { align: 'right' }));
+
+  doc.moveDown();
+  doc.fontSize(14).font('Helvetica-Bold').text(title);
+  doc.fontSize(9).font('Helvetica').fillColor('#555555')
+    .text(`Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+  doc.fillColor('#000000');
+
+  const y = doc.y + 6;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).stroke();
+  doc.moveDown();
+};
+
+const drawFieldRows = (doc, rows) => {
+  const labelWidth = 120;
+  const left = doc.page.margins.left;
+  const valueWidth = doc.page.width - doc.page.margins.right - left - labelWidth;
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, left, y, { width: labelWidth });
+    doc.font('Helvetica').text(display(value), left + labelWidth, y, { width: valueWidth });
+    doc.moveDown(0.4);
+  });
+};
+
+const drawCountTable = (doc, title, counts) => {
+  const entries = Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.right - left;
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(12).text(title, left);
+  doc.moveDown(0.3);
+
+  if (entries.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No data', left);
+    return;
+  }
+
+  entries.forEach(([key, count]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).text(key, left, y, { width: width - 80 });
+    doc.text(String(count), left + width - 80, y, { width: 80, align: 'right' });
+    doc.moveDown(0.2);
+  });
+};
+
+/**
+ * Stream a repair receipt for one equipment record into `stream`
+ */
+const renderReceipt = (item, stream) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 36 });
+  doc.pipe(stream);
+
+  drawHeader(doc, 'Repair Receipt');
+
+  drawFieldRows(doc, [
+    ['Receipt No.', String(item._id)],
+    ['Check-in date', formatDate(item.checkInDate)],
+    ['Customer ID', item.customerId],
+    ['Customer phone', item.customerPhone],
+    ['Device type', item.type],
+    ['Brand', item.brand],
+    ['Model', item.model],
+    ['Serial number', item.serialNumber],
+    ['Status', item.status],
+    ['Notes', item.notes]
+  ]);
+
+  doc.moveDown(2);
+  const left = doc.page.margins.left;
+  const signatureY = doc.y;
+  doc.fontSize(9).text('Customer signature: ____________________', left, signatureY);
+  doc.text('Staff signature: ____________________', left, signatureY + 18);
+
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor('#555555').text(getShopHeader().footer, left, doc.y, { align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Stream a summary report built from MultiClusterEquipment.getStats() output
+ */
+const renderSummaryReport = (stats, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 48 });
+  doc.pipe(stream);
+
+  drawHeader(doc, 'Equipment Summary Report');
+
+  drawFieldRows(doc, [
+    ['Total equipment', stats.total],
+    ['Open (in repair)', stats.open],
+    ['Computers', stats.computers],
+    ['Desktops', stats.desktops],
+    ['Laptops', stats.laptops],
+    ['Printers', stats.printers],
+    ['Maintenance entries', stats.maintenance ? stats.maintenance.entries : 0],
+    ['Maintenance cost', stats.maintenance ? stats.maintenance.totalCost.toFixed(2) : '0.00']
+  ]);
+
+  drawCountTable(doc, 'By status', stats.byStatus);
+  drawCountTable(doc, 'By type', stats.byType);
+  drawCountTable(doc, 'By cluster', stats.byCluster);
+  drawCountTable(doc, 'By brand', stats.byBrand);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  getShopHeader,
+  renderReceipt,
+  renderSummaryReport
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const clusterManager = require('./clusterManager');
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const revisionSchema = new mongoose.Schema({
+  equipmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'transition', 'restore', 'delete', 'undelete', 'purge', 'checkout', 'checkin', 'archive', 'unarchive'],
+  },
+  changes: {
+    type: [changeSchema],
+    default: [],
+  },
+  actor: {
+    type: String,
+    default: 'system',
+  },
+  cluster: {
+    type: String,
+    default: null,
+  },
+  restoredFrom: {
+    type: Number,
+    default: null,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  collection: 'equipmentrevisions'
+});
+
+revisionSchema.index({ equipmentId: 1, revision: -1 }, { unique: true });
+
+const comparable = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+/**
+ * Append-only field-level change log for equipment documents.
+ * Revisions live on one cluster (REVISION_CLUSTER_NAME, default: first writable equipment cluster)
+ * so an item's history survives moves between equipment clusters.
+ */
+class RevisionLogService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+  }
+
+  getClusterName() {
+    return process.env.REVISION_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('EquipmentRevision', revisionSchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  /**
+   * List the fields whose values differ between two document snapshots
+   */
+  diff(before, after, fields) {
+    const changes = [];
+
+    for (const field of fields) {
+      const previous = before ? before[field] : undefined;
+      const next = after ? after[field] : undefined;
+
+      if (comparable(previous) !== comparable(next)) {
+        changes.push({
+          field,
+          before: previous === undefined ? null : previous,
+          after: next === undefined ? null : next
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Append a revision. Failures are logged rather than thrown so a
+   * history outage never blocks the equipment write itself.
+   */
+  async record({ equipmentId, action, before = null, after = null, fields, actor = 'system', cluster = null, restoredFrom = null }) {
+    const Revision = this.getModel();
+    if (!Revision) {
+      return null;
+    }
+
+    const changes = this.diff(before, after, fields);
+    if (changes.length === 0 && !['delete', 'undelete', 'purge'].includes(action)) {
+      return null;
+    }
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      try {
+        const latest = await Revision.findOne({ equipmentId })
+          .sort({ revision: -1 })
+          .select('revision')
+          .lean();
+
+        return await Revision.create({
+          equipmentId,
+          revision: latest ? latest.revision + 1 : 1,
+          action,
+          changes,
+          actor,
+          cluster,
+          restoredFrom
+        });
+      } catch (error) {
+        // Duplicate revision number from a concurrent write: retry
+        if (error.code === 11000) {
+          continue;
+        }
+        console.warn(`Failed to record revision for equipment ${equipmentId}:`, error.message);
+        return null;
+      }
+    }
+
+    console.warn(`Failed to record revision for equipment ${equipmentId}: revision number contention`);
+    return null;
+  }
+
+  async list(equipmentId, { limit = 100 } = {}) {
+    const Revision = this.getModel();
+    if (!Revision) {
+      return [];
+    }
+
+    return Revision.find({ equipmentId })
+      .sort({ revision: -1 })
+      .limit(limit)
+      .select('-__v')
+      .lean();
+  }
+
+  async get(equipmentId, revision) {
+    const Revision = this.getModel();
+    if (!Revision) {
+      return null;
+    }
+
+    return Revision.findOne({ equipmentId, revision }).select('-__v').lean();
+  }
+
+  /**
+   * Reconstruct the tracked field values as they were right after
+   * `revision`. Fields changed only later take the `before` value of their
+   * first later change; fields never logged are left out.
+   */
+  async getStateAt(equipmentId, revision) {
+    const Revision = this.getModel();
+    if (!Revision) {
+      return null;
+    }
+
+    const entries = await Revision.find({ equipmentId }).sort({ revision: 1 }).lean();
+    if (!entries.some((entry) => entry.revision === revision)) {
+      return null;
+    }
+
+    const state = {};
+
+    for (const entry of entries) {
+      for (const change of entry.changes) {
+        if (entry.revision <= revision) {
+          state[change.field] = change.after;
+        } else if (!(change.field in state)) {
+          state[change.field] = change.before;
+        }
+      }
+    }
+
+    return state;
+  }
+}
+
+module.exports = new RevisionLogService();
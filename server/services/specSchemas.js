@@ -0,0 +1,265 @@
+'use strict';
+
+const clusterManager = require('./clusterManager');
+const specSchemaSchema = require('../models/SpecSchema');
+const { parseDateValue } = require('./equipmentQuery');
+
+const FIELD_KINDS = ['string', 'number', 'boolean', 'enum', 'date'];
+const SPEC_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+const createSpecError = (message, errors) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-specs';
+  if (errors) {
+    error.errors = errors;
+  }
+  return error;
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Coerce one spec value to its field kind. Returns { value } or { error }.
+ */
+const coerceValue = (field, raw) => {
+  const unit = field.unit ? ` (${field.unit})` : '';
+
+  switch (field.kind) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) {
+        return { error: `must be a number${unit}` };
+      }
+      if (field.min !== null && field.min !== undefined && value < field.min) {
+        return { error: `must be at least ${field.min}${unit}` };
+      }
+      if (field.max !== null && field.max !== undefined && value > field.max) {
+        return { error: `must be at most ${field.max}${unit}` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'enum': {
+      const text = String(raw).trim().toLowerCase();
+      const match = field.options.find((option) => option.toLowerCase() === text);
+      return match === undefined
+        ? { error: `must be one of: ${field.options.join(', ')}` }
+        : { value: match };
+    }
+    case 'date': {
+      const value = parseDateValue(raw);
+      return value instanceof Date ? { value } : { error: 'must be a valid date' };
+    }
+    default:
+      if (typeof raw === 'object') {
+        return { error: 'must be text' };
+      }
+      return { value: String(raw).trim() };
+  }
+};
+
+/**
+ * Admin-defined spec schemas per equipment type.
+ * Schemas live on one cluster (SPEC_SCHEMA_CLUSTER_NAME, default: first writable equipment cluster).
+ * Types without a schema keep accepting free-form specs.
+ */
+class SpecSchemaService {
+  constructor() {
+    this.cachedModel = null;
+    this.cachedConnection = null;
+  }
+
+  getClusterName() {
+    return process.env.SPEC_SCHEMA_CLUSTER_NAME || clusterManager.getDefaultCluster();
+  }
+
+  isAvailable() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    return Boolean(connection && connection.readyState === 1);
+  }
+
+  getModel() {
+    const connection = clusterManager.getConnection(this.getClusterName());
+    if (!connection || connection.readyState !== 1) {
+      return null;
+    }
+
+    if (!this.cachedModel || this.cachedConnection !== connection) {
+      this.cachedConnection = connection;
+      this.cachedModel = connection.model('SpecSchema', specSchemaSchema);
+    }
+
+    return this.cachedModel;
+  }
+
+  requireModel() {
+    const SpecSchema = this.getModel();
+    if (!SpecSchema) {
+      const error = new Error('Spec schema cluster is not currently available');
+      error.statusCode = 503;
+      throw error;
+    }
+    return SpecSchema;
+  }
+
+  /**
+   * Validate an admin-supplied schema definition
+   */
+  sanitizeDefinition(input = {}) {
+    const errors = {};
+    const fields = Array.isArray(input.fields) ? input.fields : null;
+    if (!fields) {
+      throw createSpecError('fields must be an array', { fields: 'must be an array' });
+    }
+
+    const seen = new Set();
+    const sanitized = fields.map((field = {}, index) => {
+      const path = `fields.${index}`;
+      const key = typeof field.key === 'string' ? field.key.trim() : '';
+      const kind = typeof field.kind === 'string' ? field.kind.trim().toLowerCase() : 'string';
+      const options = Array.isArray(field.options)
+        ? Array.from(new Set(field.options.map((option) => String(option).trim()).filter(Boolean)))
+        : [];
+      const min = isBlank(field.min) ? null : Number(field.min);
+      const max = isBlank(field.max) ? null : Number(field.max);
+
+      if (!SPEC_KEY_PATTERN.test(key)) {
+        errors[`${path}.key`] = 'must start with a letter and contain only letters, digits and _';
+      } else if (seen.has(key)) {
+        errors[`${path}.key`] = `duplicate key ${key}`;
+      }
+      seen.add(key);
+
+      if (!FIELD_KINDS.includes(kind)) {
+        errors[`${path}.kind`] = `must be one of: ${FIELD_KINDS.join(', ')}`;
+      }
+      if (kind === 'enum' && options.length === 0) {
+        errors[`${path}.options`] = 'enum fields need at least one option';
+      }
+      if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) {
+        errors[`${path}.min`] = 'min and max must be numbers';
+      } else if (min !== null && max !== null && min > max) {
+        errors[`${path}.min`] = 'min must not be greater than max';
+      }
+
+      return {
+        key,
+        label: typeof field.label === 'string' ? field.label.trim() : '',
+        kind,
+        required: Boolean(field.required),
+        unit: typeof field.unit === 'string' ? field.unit.trim() : '',
+        min,
+        max,
+        options
+      };
+    });
+
+    if (Object.keys(errors).length > 0) {
+      throw createSpecError('Spec schema definition is invalid', errors);
+    }
+
+    return { fields: sanitized, strict: Boolean(input.strict) };
+  }
+
+  async list() {
+    const SpecSchema = this.requireModel();
+    return SpecSchema.find().sort({ type: 1 }).select('-__v').lean();
+  }
+
+  async get(type) {
+    const SpecSchema = this.getModel();
+    if (!SpecSchema || !type) {
+      return null;
+    }
+    return SpecSchema.findOne({ type: String(type).trim().toLowerCase() }).select('-__v').lean();
+  }
+
+  /**
+   * Create or replace the schema for an equipment type
+   */
+  async save(type, input, { actor = 'system' } = {}) {
+    const SpecSchema = this.requireModel();
+    const definition = this.sanitizeDefinition(input);
+    const normalizedType = String(type).trim().toLowerCase();
+
+    return SpecSchema.findOneAndUpdate(
+      { type: normalizedType },
+      {
+        $set: { ...definition, updatedBy: actor },
+        $setOnInsert: { type: normalizedType, createdBy: actor }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).select('-__v').lean();
+  }
+
+  async remove(type) {
+    const SpecSchema = this.requireModel();
+    return SpecSchema.findOneAndDelete({ type: String(type).trim().toLowerCase() }).lean();
+  }
+
+  /**
+   * Validate and coerce `specs` against the schema for `type`.
+   * Returns the coerced specs and a field-level error map (or null).
+   */
+  async validateSpecs(type, specs) {
+    if (specs !== undefined && specs !== null && (typeof specs !== 'object' || Array.isArray(specs))) {
+      return { specs, errors: { specs: 'must be an object' } };
+    }
+
+    const input = specs || {};
+    const schema = await this.get(type);
+    if (!schema) {
+      return { specs: input, errors: null };
+    }
+
+    const errors = {};
+    const result = {};
+    const defined = new Set(schema.fields.map((field) => field.key));
+
+    schema.fields.forEach((field) => {
+      const raw = input[field.key];
+      if (isBlank(raw)) {
+        if (field.required) {
+          errors[`specs.${field.key}`] = `${field.label || field.key} is required`;
+        }
+        return;
+      }
+
+      const { value, error } = coerceValue(field, raw);
+      if (error) {
+        errors[`specs.${field.key}`] = `${field.label || field.key} ${error}`;
+      } else {
+        result[field.key] = value;
+      }
+    });
+
+    Object.keys(input).forEach((key) => {
+      if (defined.has(key)) {
+        return;
+      }
+      if (schema.strict) {
+        errors[`specs.${key}`] = `${key} is not a known spec for ${schema.type}`;
+      } else {
+        result[key] = input[key];
+      }
+    });
+
+    return {
+      specs: result,
+      errors: Object.keys(errors).length > 0 ? errors : null
+    };
+  }
+}
+
+module.exports = new SpecSchemaService();
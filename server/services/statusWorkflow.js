@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const catalogs = require('./catalogs');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'statusWorkflow.json');
+
+const createWorkflowError = (message, statusCode, code, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Repair status state machine.
+ * Transitions and note requirements are read from a JSON file
+ * (STATUS_WORKFLOW_CONFIG, defaulting to config/statusWorkflow.json).
+ * Note rules use "from->to" with "*" as a wildcard on either side.
+ * Valid statuses come from the status catalog; statuses the file does not
+ * mention can move to and from any other status.
+ */
+class StatusWorkflow {
+  constructor() {
+    this.config = null;
+  }
+
+  load() {
+    const configPath = process.env.STATUS_WORKFLOW_CONFIG
+      ? path.resolve(process.env.STATUS_WORKFLOW_CONFIG)
+      : DEFAULT_CONFIG_PATH;
+
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const statuses = Array.isArray(raw.statuses) ? raw.statuses : [];
+    const transitions = raw.transitions && typeof raw.transitions === 'object' ? raw.transitions : {};
+
+    for (const [from, targets] of Object.entries(transitions)) {
+      if (!statuses.includes(from) || !Array.isArray(targets) || targets.some((to) => !statuses.includes(to))) {
+        throw new Error(`Invalid status workflow in ${configPath}: bad transitions for "${from}"`);
+      }
+    }
+
+    const requireNote = (Array.isArray(raw.requireNote) ? raw.requireNote : []).map((rule) => {
+      const [from, to] = String(rule).split('->').map((part) => part.trim());
+      if (!from || !to) {
+        throw new Error(`Invalid status workflow in ${configPath}: bad requireNote rule "${rule}"`);
+      }
+      return { from, to };
+    });
+
+    this.config = { statuses, transitions, requireNote };
+    return this.config;
+  }
+
+  getConfig() {
+    return this.config || this.load();
+  }
+
+  getStatuses() {
+    return catalogs.getKeys('status');
+  }
+
+  // Catalog statuses the workflow file does not govern
+  getUnmanagedStatuses() {
+    const { statuses } = this.getConfig();
+    return this.getStatuses().filter((status) => !statuses.includes(status));
+  }
+
+  getAllowedTransitions(from) {
+    const { statuses, transitions } = this.getConfig();
+    if (!statuses.includes(from)) {
+      return this.getStatuses().filter((status) => status !== from);
+    }
+    const allowed = (transitions[from] || []).filter((status) => this.getStatuses().includes(status));
+    return allowed.concat(this.getUnmanagedStatuses().filter((status) => status !== from));
+  }
+
+  requiresNote(from, to) {
+    return this.getConfig().requireNote.some((rule) => (
+      (rule.from === '*' || rule.from === from) && (rule.to === '*' || rule.to === to)
+    ));
+  }
+
+  /**
+   * Throw a descriptive error when `from -> to` is not allowed
+   */
+  assertTransition(from, to, note) {
+    const statuses = this.getStatuses();
+
+    if (!statuses.includes(to)) {
+      throw createWorkflowError(
+        `Unknown status "${to}". Valid statuses: ${statuses.join(', ')}`,
+        400,
+        'invalid-status'
+      );
+    }
+
+    if (from === to) {
+      throw createWorkflowError(`Equipment is already "${to}"`, 409, 'invalid-transition', {
+        allowed: this.getAllowedTransitions(from)
+      });
+    }
+
+    const allowed = this.getAllowedTransitions(from);
+    if (!allowed.includes(to)) {
+      throw createWorkflowError(
+        `Cannot move equipment from "${from}" to "${to}". Allowed next statuses: ${allowed.join(', ') || 'none'}`,
+        409,
+        'invalid-transition',
+        { allowed }
+      );
+    }
+
+    const hasNote = typeof note === 'string' && note.trim().length > 0;
+    if (this.requiresNote(from, to) && !hasNote) {
+      throw createWorkflowError(
+        `A note is required when moving equipment from "${from}" to "${to}"`,
+        400,
+        'note-required'
+      );
+    }
+  }
+}
+
+module.exports = new StatusWorkflow();
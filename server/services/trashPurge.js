@@ -0,0 +1,36 @@
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Permanently remove equipment that has sat in the trash past the retention period
+const purgeExpiredTrash = async (actor = 'system') => {
+  const retentionDays = getRetentionDays();
+  const batchLimit = parseInt(process.env.TRASH_PURGE_BATCH_LIMIT, 10) || 500;
+  const result = await MultiClusterEquipment.purgeExpired({ retentionDays, batchLimit, actor });
+
+  if (result.purged > 0) {
+    console.log(`🧹 Purged ${result.purged} equipment record(s) older than ${retentionDays} days from trash`);
+  }
+
+  return { ...result, retentionDays };
+};
+
+// Simple scheduler to purge the trash periodically
+let purgeTimer = null;
+const startPurgeScheduler = (intervalMs = (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000) => {
+  if (purgeTimer) clearInterval(purgeTimer);
+  purgeTimer = setInterval(async () => {
+    try {
+      await purgeExpiredTrash('scheduler');
+    } catch (err) {
+      console.error('Trash purge failed:', err.message);
+    }
+  }, intervalMs);
+};
+
+const stopPurgeScheduler = () => {
+  if (purgeTimer) clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
+module.exports = { getRetentionDays, purgeExpiredTrash, startPurgeScheduler, stopPurgeScheduler };
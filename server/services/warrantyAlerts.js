@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Message = mongoose.model('Message', require('../models/Message'));
+const UserGroup = mongoose.model('UserGroup', require('../models/UserGroup'));
+const WarrantyAlert = mongoose.model('WarrantyAlert', require('../models/WarrantyAlert'));
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alert windows in days before expiry, e.g. "30,7,0"
+const getAlertWindows = () => {
+  const raw = process.env.WARRANTY_ALERT_WINDOWS || '30,7,0';
+  const windows = raw.split(',')
+    .map((value) => parseInt(value.trim(), 10))
+    .filter((value) => Number.isInteger(value) && value >= 0);
+  return Array.from(new Set(windows)).sort((a, b) => a - b);
+};
+
+const startOfDay = (date = new Date()) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+const daysUntil = (expiry, today = startOfDay()) => Math.floor((new Date(expiry).getTime() - today.getTime()) / DAY_MS);
+
+// Smallest configured window that still covers the remaining days
+const pickWindow = (daysRemaining, windows) => windows.find((windowDays) => daysRemaining <= windowDays);
+
+const resolveAlertGroup = async () => {
+  const configured = (process.env.WARRANTY_ALERT_GROUP || '').trim();
+  if (!configured) return null;
+  const query = mongoose.Types.ObjectId.isValid(configured)
+    ? { $or: [{ _id: configured }, { name: configured }] }
+    : { name: configured };
+  return UserGroup.findOne(query);
+};
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+const buildAlertMessage = (item, daysRemaining) => {
+  const label = [item.brand, item.model].filter(Boolean).join(' ') || 'Equipment';
+  const serial = item.serialNumber ? ` (S/N ${item.serialNumber})` : '';
+  const when = daysRemaining <= 0 ? 'today' : `in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`;
+  return {
+    title: `Warranty expiring ${when}: ${label}`,
+    body: `Warranty for ${label}${serial} expires on ${formatDate(item.warrantyExpiry)} (${when}). `
+      + `Location: ${item.location || '-'}, assigned to: ${item.assignedTo || '-'}, customer: ${item.customerId || '-'}. `
+      + `Equipment ID: ${item._id}.`
+  };
+};
+
+// Create scheduled messages for equipment entering an alert window
+const runWarrantyAlerts = async (actor = 'system') => {
+  const windows = getAlertWindows();
+  if (windows.length === 0) return { checked: 0, alerted: 0, skipped: 0, failed: 0 };
+
+  const today = startOfDay();
+  const horizon = new Date(today.getTime() + (windows[windows.length - 1] + 1) * DAY_MS);
+  const group = await resolveAlertGroup();
+  const notifyAssignee = process.env.WARRANTY_ALERT_NOTIFY_ASSIGNEE !== 'false';
+  const channel = process.env.WARRANTY_ALERT_CHANNEL || 'in-app';
+
+  let checked = 0;
+  let alerted = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  const items = MultiClusterEquipment.streamSorted(
+    { warrantyExpiry: { $gte: today, $lt: horizon } },
+    { sort: { field: 'warrantyExpiry', direction: 1 } }
+  );
+
+  for await (const item of items) {
+    checked++;
+    const daysRemaining = daysUntil(item.warrantyExpiry, today);
+    const windowDays = pickWindow(daysRemaining, windows);
+    const recipients = notifyAssignee && item.assignedTo ? [item.assignedTo] : [];
+
+    if (windowDays === undefined || (!group && recipients.length === 0)) {
+      skipped++;
+      continue;
+    }
+
+    let alert;
+    try {
+      alert = await WarrantyAlert.create({
+        equipmentId: item._id,
+        warrantyExpiry: item.warrantyExpiry,
+        windowDays,
+        cluster: item.cluster,
+        createdBy: actor
+      });
+    } catch (err) {
+      // Already alerted for this window
+      if (err.code === 11000) { skipped++; continue; }
+      console.error(`Warranty alert for equipment ${item._id} failed:`, err.message);
+      failed++;
+      continue;
+    }
+
+    let msg;
+    try {
+      const { title, body } = buildAlertMessage(item, daysRemaining);
+      msg = await Message.create({
+        title,
+        body,
+        channel,
+        targetGroup: group ? group._id : undefined,
+        recipients,
+        status: 'scheduled',
+        scheduledAt: new Date(),
+        createdBy: actor
+      });
+    } catch (err) {
+      // Free the window so the next run tries again
+      console.error(`Warranty alert for equipment ${item._id} failed:`, err.message);
+      await WarrantyAlert.deleteOne({ _id: alert._id }).catch(() => {});
+      failed++;
+      continue;
+    }
+
+    // The message is queued either way; a missing link only loses the reference
+    try {
+      alert.message = msg._id;
+      await alert.save();
+    } catch (err) {
+      console.error(`Linking warranty alert ${alert._id} to its message failed:`, err.message);
+    }
+    alerted++;
+  }
+
+  if (alerted > 0) {
+    console.log(`🛡️  Queued ${alerted} warranty expiry alert(s)`);
+  }
+
+  return { checked, alerted, skipped, failed, windows };
+};
+
+// Simple scheduler to check warranty windows periodically
+let warrantyTimer = null;
+const startWarrantyScheduler = (intervalMs = (parseInt(process.env.WARRANTY_ALERT_INTERVAL_MINUTES, 10) || 60) * 60 * 1000) => {
+  if (warrantyTimer) clearInterval(warrantyTimer);
+  warrantyTimer = setInterval(async () => {
+    try {
+      await runWarrantyAlerts('scheduler');
+    } catch (err) {
+      console.error('Warranty alert run failed:', err.message);
+    }
+  }, intervalMs);
+};
+
+const stopWarrantyScheduler = () => {
+  if (warrantyTimer) clearInterval(warrantyTimer);
+  warrantyTimer = null;
+};
+
+module.exports = {
+  getAlertWindows,
+  daysUntil,
+  pickWindow,
+  startOfDay,
+  runWarrantyAlerts,
+  startWarrantyScheduler,
+  stopWarrantyScheduler
+};
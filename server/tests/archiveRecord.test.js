@@ -0,0 +1,61 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const revisionLog = require('../services/revisionLog');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const createCollection = (docs = []) => ({
+  docs,
+  async findOne(query) {
+    return this.docs.find((doc) => doc._id === query._id) || null;
+  },
+  async replaceOne(filter, doc) {
+    this.docs = this.docs.filter((existing) => existing._id !== filter._id).concat(doc);
+    return { acknowledged: true };
+  },
+  async deleteOne(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter((doc) => doc._id !== filter._id);
+    return { deletedCount: before - this.docs.length };
+  }
+});
+
+const originals = {};
+
+beforeEach(() => {
+  originals.getAllConnections = clusterManager.getAllConnections;
+  originals.getModel = MultiClusterEquipment.getModel;
+  originals.record = revisionLog.record;
+  revisionLog.record = async () => null;
+});
+
+afterEach(() => {
+  clusterManager.getAllConnections = originals.getAllConnections;
+  MultiClusterEquipment.getModel = originals.getModel;
+  revisionLog.record = originals.record;
+});
+
+test('archived copies carry the archive cluster name', async () => {
+  const updatedAt = new Date('2020-01-01');
+  const source = createCollection([{ _id: 'a1', cluster: 'east', updatedAt, __v: 2 }]);
+  const archive = createCollection();
+
+  MultiClusterEquipment.getModel = () => ({ collection: source });
+  clusterManager.getAllConnections = ({ category }) => (category === 'archive'
+    ? [{ name: 'cold', connection: { model: () => ({ collection: archive }) } }]
+    : []);
+
+  const archived = await MultiClusterEquipment.archiveRecord(
+    { _id: 'a1', cluster: 'east' },
+    { cutoff: new Date('2021-01-01') }
+  );
+
+  assert.strictEqual(archived, true);
+  assert.strictEqual(source.docs.length, 0);
+  assert.strictEqual(archive.docs.length, 1);
+  assert.strictEqual(archive.docs[0].cluster, 'cold');
+  assert.ok(archive.docs[0].archivedAt instanceof Date);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const catalogs = require('../services/catalogs');
+
+const originals = {
+  getConnection: clusterManager.getConnection,
+  clusterName: process.env.CATALOG_CLUSTER_NAME,
+  state: { ...catalogs }
+};
+
+beforeEach(() => {
+  process.env.CATALOG_CLUSTER_NAME = 'east';
+});
+
+afterEach(() => {
+  clusterManager.getConnection = originals.getConnection;
+  Object.assign(catalogs, originals.state);
+  if (originals.clusterName === undefined) {
+    delete process.env.CATALOG_CLUSTER_NAME;
+  } else {
+    process.env.CATALOG_CLUSTER_NAME = originals.clusterName;
+  }
+});
+
+// A connected catalog cluster holding the given entries
+const connectionWith = (entries, loads) => ({
+  readyState: 1,
+  model: () => ({
+    countDocuments: async () => 1,
+    find: () => ({
+      select: () => ({
+        lean: async () => {
+          loads.push(entries);
+          return entries;
+        }
+      })
+    })
+  })
+});
+
+const STORED = [
+  { kind: 'type', key: 'scanner', label: 'Scanner', sortOrder: 1 },
+  { kind: 'status', key: 'working', label: 'Working', sortOrder: 1 },
+  { kind: 'brand', key: 'Dell', aliases: ['DELL Inc.'] }
+];
+
+test('catalogs stay on the defaults while the catalog cluster is down', () => {
+  clusterManager.getConnection = () => undefined;
+  catalogs.lastLoadAttemptAt = 0;
+
+  assert.ok(catalogs.getKeys('type').includes('laptop'));
+  assert.strictEqual(catalogs.reloading, null);
+});
+
+test('catalogs reload once the catalog cluster comes back', async () => {
+  const loads = [];
+  clusterManager.getConnection = () => connectionWith(STORED, loads);
+  catalogs.lastLoadAttemptAt = 0;
+
+  // The first read still answers from the defaults and starts the reload
+  assert.ok(catalogs.isValid('type', 'laptop'));
+  await catalogs.reloading;
+
+  assert.strictEqual(loads.length, 1);
+  assert.deepStrictEqual(catalogs.getKeys('type'), ['scanner']);
+  assert.strictEqual(catalogs.canonicalBrand(' dell inc. '), 'Dell');
+
+  catalogs.getKeys('status');
+  assert.strictEqual(catalogs.reloading, null);
+  assert.strictEqual(loads.length, 1);
+});
+
+test('a failed load is not retried until the retry delay has passed', async () => {
+  const loads = [];
+  clusterManager.getConnection = () => undefined;
+  await catalogs.load();
+
+  clusterManager.getConnection = () => connectionWith(STORED, loads);
+  catalogs.getEntries('type');
+  assert.strictEqual(catalogs.reloading, null);
+
+  catalogs.lastLoadAttemptAt = Date.now() - 60 * 1000;
+  catalogs.getEntries('type');
+  await catalogs.reloading;
+  assert.strictEqual(loads.length, 1);
+});
+
+test('a reconnected catalog cluster is read again', async () => {
+  const loads = [];
+  clusterManager.getConnection = () => connectionWith(STORED, loads);
+  await catalogs.load();
+
+  const reconnected = connectionWith([...STORED, { kind: 'type', key: 'plotter', sortOrder: 2 }], loads);
+  clusterManager.getConnection = () => reconnected;
+  catalogs.lastLoadAttemptAt = 0;
+  catalogs.getEntries('type');
+  await catalogs.reloading;
+
+  assert.deepStrictEqual(catalogs.getKeys('type'), ['scanner', 'plotter']);
+});
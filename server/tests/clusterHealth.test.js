@@ -0,0 +1,164 @@
+'use strict';
+
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const clusterManager = require('../services/clusterManager');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-health-'));
+const ENV_KEYS = [
+  'CLUSTER_TOPOLOGY_CONFIG',
+  'CLUSTER_FAILURE_THRESHOLD',
+  'CLUSTER_RECONNECT_BASE_MS',
+  'CLUSTER_RECONNECT_MAX_MS',
+  'CLUSTER_SLOW_PING_MS'
+];
+const originals = {
+  env: {},
+  pingCluster: clusterManager.pingCluster,
+  reconnectCluster: clusterManager.reconnectCluster,
+  getClusterStorage: clusterManager.getClusterStorage
+};
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => {
+    originals.env[key] = process.env[key];
+  });
+
+  const file = path.join(tmpDir, 'clusters.json');
+  fs.writeFileSync(file, JSON.stringify({
+    clusters: [
+      { name: 'east', uri: 'mongodb://east', category: 'equipment' },
+      { name: 'west', uri: 'mongodb://west', category: 'equipment' }
+    ]
+  }));
+  process.env.CLUSTER_TOPOLOGY_CONFIG = file;
+  process.env.CLUSTER_FAILURE_THRESHOLD = '2';
+  process.env.CLUSTER_RECONNECT_BASE_MS = '1000';
+  process.env.CLUSTER_RECONNECT_MAX_MS = '5000';
+  process.env.CLUSTER_SLOW_PING_MS = '100';
+
+  clusterManager.health = {};
+  clusterManager.storageStats = {};
+  clusterManager.loadTopology();
+  clusterManager.clusters = { east: { readyState: 1 }, west: { readyState: 1 } };
+  clusterManager.getClusterStorage = async () => null;
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (originals.env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = originals.env[key];
+    }
+  });
+  clusterManager.pingCluster = originals.pingCluster;
+  clusterManager.reconnectCluster = originals.reconnectCluster;
+  clusterManager.getClusterStorage = originals.getClusterStorage;
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const readNames = () => clusterManager.getAllConnections().map(({ name }) => name);
+
+test('the circuit opens after the failure threshold and closes on the next success', () => {
+  assert.strictEqual(clusterManager.recordFailure('east', new Error('timeout')), false);
+  assert.deepStrictEqual(readNames(), ['east', 'west']);
+
+  assert.strictEqual(clusterManager.recordFailure('east', new Error('timeout')), true);
+  assert.strictEqual(clusterManager.isCircuitOpen('east'), true);
+  assert.deepStrictEqual(readNames(), ['west']);
+
+  assert.strictEqual(clusterManager.recordSuccess('east', 12), true);
+  assert.strictEqual(clusterManager.isCircuitOpen('east'), false);
+  assert.strictEqual(clusterManager.getClusterHealth('east').consecutiveFailures, 0);
+  assert.deepStrictEqual(readNames(), ['east', 'west']);
+
+  // Nothing to report for a cluster that was never removed
+  assert.strictEqual(clusterManager.recordSuccess('west', 8), false);
+});
+
+test('reconnect delays double from the base and stop at the max', () => {
+  const delays = Array.from({ length: 5 }, () => clusterManager.scheduleReconnect('east'));
+
+  assert.deepStrictEqual(delays, [1000, 2000, 4000, 5000, 5000]);
+  assert.strictEqual(clusterManager.getClusterHealth('east').reconnectAttempts, 5);
+  assert.ok(clusterManager.getClusterHealth('east').nextReconnectAt > new Date());
+
+  clusterManager.recordSuccess('east', 10);
+  assert.strictEqual(clusterManager.scheduleReconnect('east'), 1000);
+});
+
+test('a slow ping counts as a failure and marks the cluster slow', async () => {
+  clusterManager.pingCluster = async () => 250;
+  const east = clusterManager.getDescriptor('east');
+
+  assert.strictEqual(await clusterManager.checkClusterHealth(east), false);
+  assert.strictEqual(await clusterManager.checkClusterHealth(east), true);
+
+  const health = clusterManager.getClusterHealth('east');
+  assert.strictEqual(health.state, 'slow');
+  assert.strictEqual(health.latencyMs, 250);
+  assert.strictEqual(health.circuitOpen, true);
+});
+
+test('a dropped cluster is reconnected only once its backoff has elapsed', async () => {
+  const east = clusterManager.getDescriptor('east');
+  clusterManager.clusters.east = { readyState: 0 };
+  let reconnects = 0;
+  clusterManager.pingCluster = async (name) => {
+    if (clusterManager.clusters[name].readyState !== 1) {
+      throw new Error('Not connected');
+    }
+    return 5;
+  };
+  clusterManager.reconnectCluster = async () => {
+    reconnects += 1;
+    throw new Error('connection refused');
+  };
+
+  await clusterManager.checkClusterHealth(east);
+  assert.strictEqual(clusterManager.getClusterHealth('east').lastError, 'connection refused');
+  await clusterManager.checkClusterHealth(east);
+  assert.strictEqual(reconnects, 1);
+
+  clusterManager.getClusterHealth('east').nextReconnectAt = new Date(Date.now() - 1);
+  clusterManager.reconnectCluster = async () => {
+    reconnects += 1;
+    clusterManager.clusters.east = { readyState: 1 };
+  };
+
+  assert.strictEqual(await clusterManager.checkClusterHealth(east), true);
+  assert.strictEqual(reconnects, 2);
+  assert.strictEqual(clusterManager.getClusterHealth('east').state, 'up');
+  assert.strictEqual(clusterManager.getClusterHealth('east').reconnectAttempts, 0);
+});
+
+test('writes move off a cluster whose circuit opened and come back after recovery', async () => {
+  clusterManager.determineActiveCluster();
+  assert.strictEqual(clusterManager.activeCluster, 'east');
+
+  let eastUp = false;
+  clusterManager.pingCluster = async (name) => {
+    if (name === 'east' && !eastUp) {
+      throw new Error('timeout');
+    }
+    return 5;
+  };
+
+  await clusterManager.checkHealth();
+  assert.strictEqual(clusterManager.activeCluster, 'east');
+  await clusterManager.checkHealth();
+  assert.strictEqual(clusterManager.activeCluster, 'west');
+
+  eastUp = true;
+  const report = await clusterManager.checkHealth();
+  assert.strictEqual(clusterManager.activeCluster, 'east');
+  assert.strictEqual(report.east.circuitOpen, false);
+});
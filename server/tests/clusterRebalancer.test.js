@@ -0,0 +1,58 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const clusterRebalancer = require('../services/clusterRebalancer');
+
+const originals = {};
+
+beforeEach(() => {
+  originals.requireModel = clusterRebalancer.requireModel;
+  originals.updateStorageStats = clusterManager.updateStorageStats;
+  originals.determineActiveCluster = clusterManager.determineActiveCluster;
+  clusterManager.updateStorageStats = async () => ({});
+  clusterManager.determineActiveCluster = () => null;
+});
+
+afterEach(() => {
+  clusterRebalancer.requireModel = originals.requireModel;
+  clusterManager.updateStorageStats = originals.updateStorageStats;
+  clusterManager.determineActiveCluster = originals.determineActiveCluster;
+  clusterRebalancer.activeJobId = null;
+});
+
+test('a job that cannot be found releases the active slot', async () => {
+  clusterRebalancer.requireModel = () => ({
+    findById: async () => null,
+    updateOne: async () => ({})
+  });
+
+  clusterRebalancer.activeJobId = 'missing';
+  await clusterRebalancer.run('missing');
+
+  assert.strictEqual(clusterRebalancer.activeJobId, null);
+});
+
+test('a failed job lookup is recorded as failed and releases the active slot', async () => {
+  const updates = [];
+  clusterRebalancer.requireModel = () => ({
+    findById: async () => {
+      throw new Error('connection reset');
+    },
+    updateOne: async (filter, update) => {
+      updates.push({ filter, update });
+      return {};
+    }
+  });
+
+  clusterRebalancer.activeJobId = 'job-1';
+  await clusterRebalancer.run('job-1');
+
+  assert.strictEqual(clusterRebalancer.activeJobId, null);
+  assert.deepStrictEqual(updates, [{
+    filter: { _id: 'job-1' },
+    update: { status: 'failed', lastError: 'connection reset' }
+  }]);
+});
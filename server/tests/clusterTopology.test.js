@@ -0,0 +1,109 @@
+'use strict';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const clusterManager = require('../services/clusterManager');
+const revisionLog = require('../services/revisionLog');
+const catalogs = require('../services/catalogs');
+const specSchemas = require('../services/specSchemas');
+const customerRegistry = require('../services/customerRegistry');
+const locationDirectory = require('../services/locationDirectory');
+const clusterRebalancer = require('../services/clusterRebalancer');
+const archiveScheduler = require('../services/archiveScheduler');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-topology-'));
+const originalConfig = process.env.CLUSTER_TOPOLOGY_CONFIG;
+
+const useTopology = (clusters) => {
+  const file = path.join(tmpDir, `clusters-${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify({ clusters }));
+  process.env.CLUSTER_TOPOLOGY_CONFIG = file;
+  clusterManager.clusters = {};
+  clusterManager.health = {};
+  clusterManager.storageStats = {};
+  clusterManager.loadTopology();
+};
+
+const connectAll = () => {
+  clusterManager.getClusterNames().forEach((name) => {
+    clusterManager.clusters[name] = { readyState: 1 };
+  });
+};
+
+beforeEach(() => {
+  [
+    'REVISION_CLUSTER_NAME',
+    'CATALOG_CLUSTER_NAME',
+    'SPEC_SCHEMA_CLUSTER_NAME',
+    'CUSTOMER_CLUSTER_NAME',
+    'LOCATION_CLUSTER_NAME',
+    'REBALANCE_CLUSTER_NAME',
+    'ARCHIVE_RUN_CLUSTER_NAME'
+  ].forEach((key) => delete process.env[key]);
+});
+
+after(() => {
+  if (originalConfig === undefined) {
+    delete process.env.CLUSTER_TOPOLOGY_CONFIG;
+  } else {
+    process.env.CLUSTER_TOPOLOGY_CONFIG = originalConfig;
+  }
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('services default to the first writable equipment cluster when there is no "primary"', () => {
+  useTopology([
+    { name: 'east', uri: 'mongodb://east', category: 'equipment', priority: 2 },
+    { name: 'west', uri: 'mongodb://west', category: 'equipment', priority: 1 },
+    { name: 'cold', uri: 'mongodb://cold', category: 'archive' }
+  ]);
+
+  assert.strictEqual(clusterManager.getDefaultCluster(), 'west');
+  [revisionLog, catalogs, specSchemas, customerRegistry, locationDirectory, clusterRebalancer, archiveScheduler]
+    .forEach((service) => assert.strictEqual(service.getClusterName(), 'west'));
+
+  assert.throws(() => MultiClusterEquipment.getModel(), /Cluster west not available/);
+  connectAll();
+  assert.strictEqual(revisionLog.isAvailable(), true);
+});
+
+test('cluster name env overrides still win over the default', () => {
+  useTopology([
+    { name: 'east', uri: 'mongodb://east', category: 'equipment' },
+    { name: 'west', uri: 'mongodb://west', category: 'equipment' }
+  ]);
+  process.env.REVISION_CLUSTER_NAME = 'west';
+
+  assert.strictEqual(revisionLog.getClusterName(), 'west');
+  assert.strictEqual(catalogs.getClusterName(), 'east');
+});
+
+test('determineActiveCluster never picks a roles cluster, whatever its priority', () => {
+  useTopology([
+    { name: 'users', uri: 'mongodb://users', category: 'roles', priority: 0 },
+    { name: 'east', uri: 'mongodb://east', category: 'equipment', priority: 5 },
+    { name: 'west', uri: 'mongodb://west', category: 'equipment', priority: 6 }
+  ]);
+  connectAll();
+
+  assert.strictEqual(clusterManager.determineActiveCluster(), 'east');
+
+  clusterManager.storageStats.east = { percentUsed: 99 };
+  assert.strictEqual(clusterManager.determineActiveCluster(), 'west');
+  assert.strictEqual(clusterManager.getActiveConnection(), clusterManager.clusters.west);
+});
+
+test('determineActiveCluster skips read-only equipment clusters', () => {
+  useTopology([
+    { name: 'frozen', uri: 'mongodb://frozen', category: 'equipment', writable: false, priority: 1 },
+    { name: 'east', uri: 'mongodb://east', category: 'equipment', priority: 2 }
+  ]);
+  connectAll();
+
+  assert.strictEqual(clusterManager.determineActiveCluster(), 'east');
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const imageStorage = require('../services/imageStorage');
+const revisionLog = require('../services/revisionLog');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  findById: MultiClusterEquipment.findById,
+  getModel: MultiClusterEquipment.getModel,
+  streamSorted: MultiClusterEquipment.streamSorted,
+  getAllConnections: clusterManager.getAllConnections,
+  imageAvailable: imageStorage.isAvailable,
+  record: revisionLog.record
+};
+
+let revisions = [];
+
+beforeEach(() => {
+  revisions = [];
+  revisionLog.record = async (entry) => {
+    revisions.push(entry.action);
+    return null;
+  };
+  imageStorage.isAvailable = () => false;
+});
+
+afterEach(() => {
+  MultiClusterEquipment.findById = originals.findById;
+  MultiClusterEquipment.getModel = originals.getModel;
+  MultiClusterEquipment.streamSorted = originals.streamSorted;
+  clusterManager.getAllConnections = originals.getAllConnections;
+  imageStorage.isAvailable = originals.imageAvailable;
+  revisionLog.record = originals.record;
+});
+
+// The record as findById returns it, and a model whose conditional write
+// succeeds only when `applies` says the filter still matches
+const useRecord = (record, applies = () => true) => {
+  const writes = [];
+  MultiClusterEquipment.findById = async () => ({ ...record, cluster: 'east' });
+  MultiClusterEquipment.getModel = () => ({
+    findOneAndUpdate: (filter, update) => {
+      writes.push({ filter, update });
+      return { lean: async () => (applies(filter) ? { ...record, ...update.$set } : null) };
+    }
+  });
+  return writes;
+};
+
+test('checking out records the holder and only writes if nobody else has it', async () => {
+  const writes = useRecord({ _id: 'e1', custody: null, assignedTo: '' });
+  const due = new Date('2026-02-01');
+
+  const updated = await MultiClusterEquipment.checkOut('e1', { assignee: 'ana', expectedReturnAt: due, condition: 'good' }, { actor: 'ben' });
+
+  assert.deepStrictEqual(writes[0].filter, { _id: 'e1', custody: null, deletedAt: null });
+  assert.strictEqual(updated.assignedTo, 'ana');
+  assert.strictEqual(updated.custody.checkedOutBy, 'ben');
+  assert.strictEqual(updated.custody.expectedReturnAt, due);
+  assert.strictEqual(updated.custody.conditionOut, 'good');
+  assert.deepStrictEqual(revisions, ['checkout']);
+});
+
+test('checking out equipment that is already out fails with the open custody', async () => {
+  const custody = { assignee: 'ana', checkedOutAt: new Date() };
+  useRecord({ _id: 'e1', custody });
+
+  await assert.rejects(
+    MultiClusterEquipment.checkOut('e1', { assignee: 'ben' }),
+    (error) => error.statusCode === 409 && error.code === 'already-checked-out' && error.custody === custody
+  );
+});
+
+test('a check-out that loses the race is reported as a conflict', async () => {
+  useRecord({ _id: 'e1', custody: null }, () => false);
+
+  await assert.rejects(MultiClusterEquipment.checkOut('e1', { assignee: 'ben' }), { statusCode: 409, code: 'already-checked-out' });
+  assert.deepStrictEqual(revisions, []);
+});
+
+test('checking in moves the open custody into the history', async () => {
+  const checkedOutAt = new Date('2026-01-10');
+  const writes = useRecord({ _id: 'e1', custody: { assignee: 'ana', checkedOutAt, notes: 'charger included' } });
+
+  await MultiClusterEquipment.checkIn('e1', { condition: 'scratched', notes: 'charger missing' }, { actor: 'ben' });
+
+  const [{ filter, update }] = writes;
+  assert.deepStrictEqual(filter, { _id: 'e1', 'custody.checkedOutAt': checkedOutAt, deletedAt: null });
+  assert.deepStrictEqual(update.$set, { custody: null, assignedTo: '' });
+  assert.strictEqual(update.$push.custodyHistory.checkedInBy, 'ben');
+  assert.strictEqual(update.$push.custodyHistory.conditionIn, 'scratched');
+  assert.strictEqual(update.$push.custodyHistory.notes, 'charger included\ncharger missing');
+  assert.deepStrictEqual(revisions, ['checkin']);
+});
+
+test('checking in equipment that is not out fails', async () => {
+  useRecord({ _id: 'e1', custody: null });
+
+  await assert.rejects(MultiClusterEquipment.checkIn('e1'), { statusCode: 409, code: 'not-checked-out' });
+});
+
+test('equipment cannot be reassigned while checked out to someone else', async () => {
+  const doc = { _id: 'e1', __v: 1, custody: { assignee: 'ana' }, assignedTo: 'ana' };
+  clusterManager.getAllConnections = () => [{
+    name: 'east',
+    connection: {
+      model: () => ({
+        findOne: () => ({ lean: async () => ({ ...doc }) }),
+        findOneAndUpdate: async () => assert.fail('a checked-out record must not be reassigned')
+      })
+    }
+  }];
+
+  await assert.rejects(
+    MultiClusterEquipment.updateById('e1', { assignedTo: 'ben' }),
+    { statusCode: 409, code: 'checked-out' }
+  );
+});
+
+test('findCheckedOut filters overdue items and lists the most overdue first', async () => {
+  let query = null;
+  MultiClusterEquipment.streamSorted = async function* stream(filter) {
+    query = filter;
+    yield { _id: 'later', custody: { expectedReturnAt: new Date('2026-01-20') } };
+    yield { _id: 'open-ended', custody: { expectedReturnAt: null } };
+    yield { _id: 'sooner', custody: { expectedReturnAt: new Date('2026-01-05') } };
+  };
+  const now = new Date('2026-02-01');
+
+  const items = await MultiClusterEquipment.findCheckedOut({ assignee: 'Ana.B', overdueAt: now });
+
+  assert.deepStrictEqual(items.map((item) => item._id), ['sooner', 'later', 'open-ended']);
+  assert.deepStrictEqual(query['custody.expectedReturnAt'], { $ne: null, $lt: now });
+  assert.ok(query['custody.assignee'].test('ana.b'));
+  assert.ok(!query['custody.assignee'].test('anaxb'));
+});
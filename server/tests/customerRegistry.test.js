@@ -0,0 +1,104 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const customerRegistry = require('../services/customerRegistry');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  getModel: customerRegistry.getModel,
+  get: customerRegistry.get,
+  getAllConnections: clusterManager.getAllConnections
+};
+
+afterEach(() => {
+  customerRegistry.getModel = originals.getModel;
+  customerRegistry.get = originals.get;
+  clusterManager.getAllConnections = originals.getAllConnections;
+});
+
+test('phone numbers are reduced to digits, keeping a leading +', () => {
+  assert.strictEqual(customerRegistry.normalizePhone(' 012 345-678 '), '012345678');
+  assert.strictEqual(customerRegistry.normalizePhone('+855 (12) 345 678'), '+85512345678');
+  assert.strictEqual(customerRegistry.normalizePhone('n/a'), '');
+  assert.strictEqual(customerRegistry.normalizePhone(null), '');
+});
+
+test('sanitize trims fields, merges phone inputs and drops repeats', () => {
+  assert.deepStrictEqual(
+    customerRegistry.sanitize({ name: ' Sok Dara ', email: 'dara@example.com', phones: ['012 345 678', '012-345-678'], phone: '+855 99 1' }),
+    { name: 'Sok Dara', email: 'dara@example.com', address: '', notes: '', phones: ['012345678', '+855991'] }
+  );
+
+  assert.deepStrictEqual(customerRegistry.sanitize({ notes: 'VIP' }, { partial: true }), { notes: 'VIP' });
+  assert.throws(() => customerRegistry.sanitize({ name: ' ' }), { statusCode: 400, message: 'name is required' });
+  assert.throws(() => customerRegistry.sanitize({ name: 'Dara', email: 'dara@' }), { statusCode: 400 });
+});
+
+test('a phone already used by another customer is rejected with that customer', async () => {
+  let query = null;
+  customerRegistry.getModel = () => ({
+    findOne: (filter) => {
+      query = filter;
+      return { select: () => ({ lean: async () => ({ _id: 'c2', name: 'Chan', phones: ['099', '012345678'] }) }) };
+    }
+  });
+
+  await assert.rejects(
+    customerRegistry.assertUniquePhones(['012345678'], { excludeId: 'c1' }),
+    (error) => error.statusCode === 409 && error.code === 'duplicate-phone' && error.conflict._id === 'c2'
+      && error.message === 'Phone 012345678 already belongs to customer "Chan"'
+  );
+  assert.deepStrictEqual(query, { phones: { $in: ['012345678'] }, _id: { $ne: 'c1' } });
+});
+
+test('equipment linked to a customer picks up their first phone', async () => {
+  customerRegistry.get = async (id) => (id === 'c1' ? { _id: 'c1', phones: ['012345678', '099'] } : null);
+
+  assert.deepStrictEqual(
+    await MultiClusterEquipment.applyCustomerReference({ customer: 'c1' }),
+    { customer: 'c1', customerPhone: '012345678' }
+  );
+  assert.deepStrictEqual(
+    await MultiClusterEquipment.applyCustomerReference({ customer: 'c1', customerPhone: '011' }),
+    { customer: 'c1', customerPhone: '011' }
+  );
+  await assert.rejects(
+    MultiClusterEquipment.applyCustomerReference({ customer: 'c9' }),
+    { statusCode: 400, code: 'unknown-customer' }
+  );
+});
+
+test('findByCustomer matches older records on any formatting of a phone', async () => {
+  let query = null;
+  clusterManager.getAllConnections = ({ category }) => [{
+    name: category === 'archive' ? 'cold' : 'east',
+    connection: {
+      model: () => ({
+        find: (filter) => {
+          query = filter;
+          const rows = category === 'archive'
+            ? [{ _id: 'a1', checkInDate: new Date('2024-01-01') }]
+            : [{ _id: 'e1', checkInDate: new Date('2025-01-01') }];
+          return { select: () => ({ lean: async () => rows }) };
+        }
+      })
+    }
+  }];
+
+  const items = await MultiClusterEquipment.findByCustomer({ _id: 'c1', phones: ['+85512345678', '099'] });
+
+  assert.deepStrictEqual(items.map(({ _id, cluster }) => ({ _id, cluster })), [
+    { _id: 'e1', cluster: 'east' },
+    { _id: 'a1', cluster: 'cold' }
+  ]);
+  // The short number is too ambiguous to match on
+  assert.strictEqual(query.$or.length, 3);
+  const phonePattern = query.$or[2].customerPhone;
+  assert.ok(phonePattern.test('+855 12 345 678'));
+  assert.ok(phonePattern.test('855-12-345-678'));
+  assert.ok(!phonePattern.test('855 12 345 6789'));
+  assert.strictEqual(query.deletedAt, null);
+});
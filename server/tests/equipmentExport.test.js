@@ -0,0 +1,131 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { Writable } = require('stream');
+
+const { createExportWriter, streamExport } = require('../services/equipmentExport');
+
+const ROW = 'x'.repeat(64 * 1024);
+
+const listen = (handler) => new Promise((resolve) => {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+test('an aborted download settles and closes the item iterator', { timeout: 10000 }, async () => {
+  let produced = 0;
+  let iteratorClosed = false;
+  let settle;
+  const exported = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  // Endless rows, so only the abort can end the export
+  async function* items() {
+    try {
+      while (true) {
+        produced += 1;
+        yield { serialNumber: `${produced}-${ROW}` };
+      }
+    } finally {
+      iteratorClosed = true;
+    }
+  }
+
+  const server = await listen((req, res) => {
+    const writer = createExportWriter('csv', res, ['serialNumber']);
+    streamExport(res, writer, items()).then(settle.resolve, settle.reject);
+  });
+
+  try {
+    const { port } = server.address();
+    const request = http.get({ host: '127.0.0.1', port, path: '/export' }, (response) => {
+      response.once('data', () => request.destroy());
+    });
+    request.on('error', () => {});
+
+    const completed = await exported;
+    assert.strictEqual(completed, false);
+    assert.strictEqual(iteratorClosed, true);
+    assert.ok(produced > 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('a finished download writes every item and ends the response', { timeout: 10000 }, async () => {
+  const server = await listen((req, res) => {
+    const writer = createExportWriter('json', res, ['serialNumber']);
+    streamExport(res, writer, [{ serialNumber: 'A1' }, { serialNumber: 'B2' }]);
+  });
+
+  try {
+    const { port } = server.address();
+    const body = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/export' }, (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          text += chunk;
+        });
+        response.on('end', () => resolve(text));
+      }).on('error', reject);
+    });
+
+    assert.deepStrictEqual(JSON.parse(body), [{ serialNumber: 'A1' }, { serialNumber: 'B2' }]);
+  } finally {
+    server.close();
+  }
+});
+
+test('the xlsx writer waits for a backed-up response before taking more rows', { timeout: 10000 }, async () => {
+  const pending = [];
+  // A client that accepts nothing until released
+  const res = new Writable({
+    highWaterMark: 1024,
+    write: (chunk, encoding, callback) => pending.push(callback)
+  });
+  res.setHeader = () => {};
+
+  const writer = createExportWriter('xlsx', res, ['serialNumber', 'notes']);
+  await writer.start();
+
+  let rows = 0;
+  let blocked = false;
+  while (rows < 5000) {
+    // Random notes, so compression cannot hide the volume
+    const write = writer.write({ serialNumber: `SN-${rows}`, notes: crypto.randomBytes(384).toString('base64') });
+    rows += 1;
+    const settled = await Promise.race([write.then(() => true), new Promise((resolve) => setTimeout(resolve, 50, false))]);
+    if (!settled) {
+      blocked = true;
+      break;
+    }
+  }
+
+  assert.strictEqual(blocked, true);
+  assert.ok(rows < 5000);
+  res.destroy();
+});
+
+test('an xlsx export to a fast client completes', { timeout: 10000 }, async () => {
+  const chunks = [];
+  const res = new Writable({
+    write: (chunk, encoding, callback) => {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  res.setHeader = () => {};
+  const items = Array.from({ length: 250 }, (_, index) => ({ serialNumber: `SN-${index}` }));
+
+  const completed = await streamExport(res, createExportWriter('xlsx', res, ['serialNumber']), items);
+
+  assert.strictEqual(completed, true);
+  assert.strictEqual(res.writableFinished, true);
+  // A zip archive, as every xlsx file is
+  assert.strictEqual(Buffer.concat(chunks).subarray(0, 2).toString(), 'PK');
+});
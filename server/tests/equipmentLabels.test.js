@@ -0,0 +1,55 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+
+const { parseLabelOptions, renderCode, renderLabelSheet } = require('../services/equipmentLabels');
+
+const ITEM = { _id: '65f0c0ffee0000000000abcd', brand: 'Dell', model: 'XPS 13', serialNumber: ' SN-100 ' };
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+test('parseLabelOptions defaults to a QR code of the id', () => {
+  assert.deepStrictEqual(parseLabelOptions(), { type: 'qr', encode: 'id' });
+  assert.deepStrictEqual(parseLabelOptions({ type: ' Code128 ', encode: 'SERIAL' }), { type: 'code128', encode: 'serial' });
+  assert.throws(() => parseLabelOptions({ type: 'ean13' }), { statusCode: 400, message: 'type must be one of: qr, code128' });
+  assert.throws(() => parseLabelOptions({ encode: 'model' }), { statusCode: 400 });
+});
+
+test('renderCode returns a PNG by default and SVG on request', async () => {
+  const png = await renderCode(ITEM);
+  assert.strictEqual(png.contentType, 'image/png');
+  assert.ok(png.body.subarray(0, 4).equals(PNG_SIGNATURE));
+
+  const svg = await renderCode(ITEM, { type: 'code128', encode: 'serial', format: 'svg' });
+  assert.strictEqual(svg.contentType, 'image/svg+xml');
+  assert.match(svg.body, /^<svg/);
+
+  await assert.rejects(renderCode(ITEM, { format: 'gif' }), { statusCode: 400 });
+});
+
+test('serial labels need a serial number', async () => {
+  await assert.rejects(
+    renderCode({ _id: 'e1', serialNumber: '  ' }, { encode: 'serial' }),
+    { statusCode: 400, message: 'Equipment e1 has no serial number to encode' }
+  );
+});
+
+test('label sheets hold 24 labels per A4 page', { timeout: 20000 }, async () => {
+  const items = Array.from({ length: 25 }, (_, index) => ({ ...ITEM, _id: `e${index}`, serialNumber: `SN-${index}` }));
+  const stream = new PassThrough();
+  const pdf = collect(stream);
+
+  await renderLabelSheet(items, stream, { type: 'code128', encode: 'serial' });
+  const body = (await pdf).toString('latin1');
+
+  assert.strictEqual(body.slice(0, 5), '%PDF-');
+  assert.strictEqual(body.match(/\/Type \/Page\b/g).length, 2);
+});
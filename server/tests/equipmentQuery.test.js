@@ -0,0 +1,27 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parsePagination, MAX_PAGE_DEPTH, MAX_PAGE_SIZE } = require('../services/equipmentQuery');
+
+test('page mode is limited to MAX_PAGE_DEPTH items', () => {
+  const limit = MAX_PAGE_SIZE;
+  const lastPage = Math.floor(MAX_PAGE_DEPTH / limit);
+
+  assert.deepStrictEqual(parsePagination({ page: String(lastPage), limit: String(limit) }), {
+    page: lastPage,
+    limit,
+    cursor: null
+  });
+
+  assert.throws(
+    () => parsePagination({ page: '100000', limit: '200' }),
+    (error) => error.statusCode === 400 && /use cursor/.test(error.message)
+  );
+});
+
+test('cursor mode is not depth limited', () => {
+  const { cursor } = parsePagination({ page: '100000', limit: '200', cursor: 'abc' });
+  assert.strictEqual(cursor, 'abc');
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const { tokenize, buildSearchFilter, scoreItem } = require('../services/equipmentSearch');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originalGetAllConnections = clusterManager.getAllConnections;
+
+afterEach(() => {
+  clusterManager.getAllConnections = originalGetAllConnections;
+});
+
+test('tokenize lowercases, splits on whitespace and drops repeats', () => {
+  assert.deepStrictEqual(tokenize('  Dell  XPS dell '), ['dell', 'xps']);
+  assert.deepStrictEqual(tokenize('   '), []);
+  assert.strictEqual(tokenize('a b c d e f g h i j').length, 8);
+  assert.strictEqual(tokenize('x'.repeat(100))[0].length, 64);
+});
+
+test('buildSearchFilter escapes user input before building patterns', () => {
+  const filter = buildSearchFilter(tokenize('a.b*'));
+  const pattern = filter.$or[0].serialNumber;
+
+  assert.ok(pattern.test('XA.B*Y'));
+  assert.ok(!pattern.test('axbb'));
+  assert.ok(Array.isArray(buildSearchFilter(tokenize('one two')).$and));
+});
+
+test('an exact serial match outranks any number of field matches', () => {
+  const term = 'sn-100';
+  const exact = scoreItem({ serialNumber: ' SN-100 ' }, tokenize(term), term);
+  const noisy = scoreItem({
+    serialNumber: 'SN-1000',
+    model: 'sn-100',
+    notes: 'sn-100 sn-100',
+    location: 'sn-100'
+  }, tokenize(term), term);
+
+  assert.strictEqual(exact.exactSerial, true);
+  assert.strictEqual(noisy.exactSerial, false);
+  assert.ok(exact.score > noisy.score);
+});
+
+test('exact field matches outrank prefixes, which outrank substrings', () => {
+  const tokens = tokenize('hp');
+  const exact = scoreItem({ brand: 'HP' }, tokens, 'hp');
+  const prefix = scoreItem({ brand: 'HPE' }, tokens, 'hp');
+  const substring = scoreItem({ brand: 'Ship' }, tokens, 'hp');
+
+  assert.ok(exact.score > prefix.score);
+  assert.ok(prefix.score > substring.score);
+});
+
+test('highlights carry merged ranges per matched field', () => {
+  const { highlights } = scoreItem({ notes: 'Fan fan fan-tray', brand: 'Acer' }, tokenize('fan an'), 'fan an');
+
+  assert.deepStrictEqual(highlights, [
+    { field: 'notes', value: 'Fan fan fan-tray', ranges: [[0, 3], [4, 7], [8, 11]] }
+  ]);
+});
+
+test('search keeps exact serial hits that fall outside the candidate window', async () => {
+  const queries = [];
+  const exactHit = { _id: 'old', serialNumber: 'SN-100', updatedAt: new Date('2020-01-01') };
+  const window = [
+    { _id: 'n1', serialNumber: 'X', notes: 'replaced sn-100 board', updatedAt: new Date('2024-01-02') },
+    { _id: 'n2', serialNumber: 'Y', model: 'SN-100 dock', updatedAt: new Date('2024-01-01') }
+  ];
+
+  clusterManager.getAllConnections = () => [{
+    name: 'east',
+    connection: {
+      model: () => ({
+        find: (query) => {
+          const bySerial = JSON.stringify(query).includes('"serialKey":"sn-100"');
+          queries.push(bySerial ? 'serial' : 'candidates');
+          const rows = (bySerial ? [exactHit] : window).map((row) => ({ ...row }));
+          const chain = { sort: () => chain, limit: () => chain, lean: async () => rows };
+          return chain;
+        }
+      })
+    }
+  }];
+
+  const result = await MultiClusterEquipment.search('SN-100');
+
+  assert.deepStrictEqual(queries.sort(), ['candidates', 'serial']);
+  assert.strictEqual(result.items[0]._id, 'old');
+  assert.strictEqual(result.items[0].search.exactSerial, true);
+  assert.strictEqual(result.total, 3);
+  assert.deepStrictEqual(result.clusters.map(({ cluster, count }) => ({ cluster, count })), [{ cluster: 'east', count: 3 }]);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  getAllConnections: clusterManager.getAllConnections,
+  aggregateClusterStats: MultiClusterEquipment.aggregateClusterStats,
+  topItems: process.env.STATS_MAINTENANCE_TOP_ITEMS
+};
+
+const clusterResult = (totals, top) => ({
+  total: [{ count: totals.items }],
+  byType: [],
+  byStatus: [],
+  byBrand: [],
+  byLocation: [],
+  maintenanceTotals: [totals],
+  maintenanceTop: top
+});
+
+afterEach(() => {
+  clusterManager.getAllConnections = originals.getAllConnections;
+  MultiClusterEquipment.aggregateClusterStats = originals.aggregateClusterStats;
+  if (originals.topItems === undefined) {
+    delete process.env.STATS_MAINTENANCE_TOP_ITEMS;
+  } else {
+    process.env.STATS_MAINTENANCE_TOP_ITEMS = originals.topItems;
+  }
+});
+
+test('maintenance.byItem keeps only the costliest items while totals cover every item', async () => {
+  process.env.STATS_MAINTENANCE_TOP_ITEMS = '2';
+  const limits = [];
+
+  clusterManager.getAllConnections = () => [
+    { name: 'east', connection: { model: () => ({}) } },
+    { name: 'west', connection: { model: () => ({}) } }
+  ];
+  MultiClusterEquipment.aggregateClusterStats = async (Equipment, filter, { topItems }) => {
+    limits.push(topItems);
+    return limits.length === 1
+      ? clusterResult(
+        { items: 30, entries: 40, partsCost: 100, laborCost: 50, totalCost: 150 },
+        [{ _id: 'e1', entries: 2, totalCost: 90 }, { _id: 'e2', entries: 1, totalCost: 20 }]
+      )
+      : clusterResult(
+        { items: 5, entries: 6, partsCost: 10, laborCost: 5.5, totalCost: 15.5 },
+        [{ _id: 'w1', entries: 3, totalCost: 40 }, { _id: 'w2', entries: 1, totalCost: 5 }]
+      );
+  };
+
+  const stats = await MultiClusterEquipment.getStats();
+
+  assert.deepStrictEqual(limits, [2, 2]);
+  assert.deepStrictEqual(stats.maintenance.byItem.map(({ id, cluster }) => `${cluster}:${id}`), ['east:e1', 'west:w1']);
+  assert.strictEqual(stats.maintenance.items, 35);
+  assert.strictEqual(stats.maintenance.entries, 46);
+  assert.strictEqual(stats.maintenance.totalCost, 165.5);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { truncateDate, listBuckets, parseTrendOptions } = require('../services/equipmentTrends');
+
+const utc = (text) => new Date(`${text}T00:00:00Z`);
+const days = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+test('truncateDate starts weeks on Monday and months on the 1st, in UTC', () => {
+  const sundayEvening = new Date('2026-01-18T23:30:00Z');
+
+  assert.strictEqual(truncateDate(sundayEvening, 'day').toISOString(), '2026-01-18T00:00:00.000Z');
+  assert.strictEqual(truncateDate(sundayEvening, 'week').toISOString(), '2026-01-12T00:00:00.000Z');
+  assert.strictEqual(truncateDate(utc('2026-01-12'), 'week').toISOString(), '2026-01-12T00:00:00.000Z');
+  assert.strictEqual(truncateDate(sundayEvening, 'month').toISOString(), '2026-01-01T00:00:00.000Z');
+});
+
+test('listBuckets covers every bucket overlapping the range', () => {
+  assert.deepStrictEqual(days(listBuckets(new Date('2026-01-30T12:00:00Z'), utc('2026-02-02'), 'day')), [
+    '2026-01-30', '2026-01-31', '2026-02-01'
+  ]);
+  assert.deepStrictEqual(days(listBuckets(utc('2026-01-14'), utc('2026-01-27'), 'week')), [
+    '2026-01-12', '2026-01-19', '2026-01-26'
+  ]);
+  assert.deepStrictEqual(days(listBuckets(utc('2025-11-15'), utc('2026-02-01'), 'month')), [
+    '2025-11-01', '2025-12-01', '2026-01-01'
+  ]);
+});
+
+test('parseTrendOptions defaults to 30 daily buckets grouped by nothing', () => {
+  const options = parseTrendOptions({ to: '2026-02-01T00:00:00Z' });
+
+  assert.strictEqual(options.interval, 'day');
+  assert.strictEqual(options.groupBy, null);
+  assert.strictEqual(options.locationIndex, 0);
+  assert.strictEqual(options.from.toISOString(), '2026-01-02T00:00:00.000Z');
+  assert.strictEqual(listBuckets(options.from, options.to, options.interval).length, 30);
+});
+
+test('parseTrendOptions resolves the location level to its path index', () => {
+  const options = parseTrendOptions({ interval: 'Week', groupBy: 'location', locationLevel: 'room', from: '2026-01-01', to: '2026-02-01' });
+
+  assert.strictEqual(options.interval, 'week');
+  assert.strictEqual(options.groupBy, 'location');
+  assert.strictEqual(options.locationIndex, 2);
+});
+
+test('parseTrendOptions rejects bad options and oversized ranges', () => {
+  const rejects = (query, message) => assert.throws(() => parseTrendOptions(query), { statusCode: 400, message });
+
+  rejects({ interval: 'hour' }, 'interval must be one of: day, week, month');
+  rejects({ groupBy: 'status' }, 'groupBy must be one of: type, brand, location');
+  rejects({ locationLevel: 'floor' }, 'locationLevel must be one of: site, building, room');
+  rejects({ to: 'tomorrow' }, 'Invalid date for to');
+  rejects({ from: '2026-02-01', to: '2026-01-01' }, 'from must be before to');
+  assert.throws(
+    () => parseTrendOptions({ from: '2020-01-01', to: '2026-01-01' }),
+    { statusCode: 400, message: /Range has 2192 day buckets; the limit is 400/ }
+  );
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const locationDirectory = require('../services/locationDirectory');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  get: locationDirectory.get,
+  list: locationDirectory.list,
+  getModel: locationDirectory.getModel,
+  getAllConnections: clusterManager.getAllConnections,
+  aggregateClusterStats: MultiClusterEquipment.aggregateClusterStats
+};
+
+afterEach(() => {
+  locationDirectory.get = originals.get;
+  locationDirectory.list = originals.list;
+  locationDirectory.getModel = originals.getModel;
+  clusterManager.getAllConnections = originals.getAllConnections;
+  MultiClusterEquipment.aggregateClusterStats = originals.aggregateClusterStats;
+});
+
+const SITE = { _id: 's1', name: 'HQ', level: 'site', parent: null, ancestors: [] };
+const BUILDING = { _id: 'b1', name: 'North', level: 'building', parent: 's1', ancestors: ['s1'] };
+const ROOM_B = { _id: 'r2', name: 'B-12', level: 'room', parent: 'b1', ancestors: ['s1', 'b1'] };
+const ROOM_A = { _id: 'r1', name: 'A-01', level: 'room', parent: 'b1', ancestors: ['s1', 'b1'] };
+const LOCATIONS = [ROOM_B, SITE, ROOM_A, BUILDING];
+
+const useLocations = (locations) => {
+  const byId = new Map(locations.map((location) => [location._id, location]));
+  locationDirectory.get = async (id) => byId.get(String(id)) || null;
+  locationDirectory.list = async () => locations;
+  locationDirectory.getModel = () => ({
+    find: (query) => ({
+      select: () => ({ lean: async () => query._id.$in.map((id) => byId.get(id)).filter(Boolean) })
+    })
+  });
+};
+
+test('buildTree nests rooms under buildings under sites, sorted by name', () => {
+  const tree = locationDirectory.buildTree(LOCATIONS);
+
+  assert.strictEqual(tree.length, 1);
+  assert.strictEqual(tree[0].name, 'HQ');
+  assert.strictEqual(tree[0].children[0].name, 'North');
+  assert.deepStrictEqual(tree[0].children[0].children.map((room) => room.name), ['A-01', 'B-12']);
+});
+
+test('buildTree keeps orphans at the top level', () => {
+  const tree = locationDirectory.buildTree([ROOM_A, { ...BUILDING, parent: 'gone' }]);
+
+  assert.deepStrictEqual(tree.map((node) => node.name), ['North']);
+  assert.deepStrictEqual(tree[0].children.map((node) => node.name), ['A-01']);
+});
+
+test('resolve returns the ancestor path and a readable label', async () => {
+  useLocations(LOCATIONS);
+
+  const resolved = await locationDirectory.resolve('r1');
+
+  assert.deepStrictEqual(resolved.path, ['s1', 'b1', 'r1']);
+  assert.strictEqual(resolved.label, 'HQ / North / A-01');
+  assert.strictEqual(await locationDirectory.resolve('missing'), null);
+});
+
+test('resolveParent enforces site → building → room nesting', async () => {
+  useLocations(LOCATIONS);
+
+  assert.deepStrictEqual(await locationDirectory.resolveParent('room', 'b1'), { parent: 'b1', ancestors: ['s1', 'b1'] });
+  await assert.rejects(locationDirectory.resolveParent('room', 's1'), /must be inside a building, not a site/);
+  await assert.rejects(locationDirectory.resolveParent('building', null), /needs a parent site/);
+  await assert.rejects(locationDirectory.resolveParent('site', 's1'), /cannot have a parent/);
+});
+
+test('applyLocationReference copies the resolved path onto equipment', async () => {
+  useLocations(LOCATIONS);
+
+  const data = await MultiClusterEquipment.applyLocationReference({ locationId: 'r2' });
+  assert.deepStrictEqual(data, { locationId: 'r2', locationPath: ['s1', 'b1', 'r2'], location: 'HQ / North / B-12' });
+
+  assert.deepStrictEqual(
+    await MultiClusterEquipment.applyLocationReference({ locationId: '' }),
+    { locationId: null, locationPath: [] }
+  );
+  await assert.rejects(
+    MultiClusterEquipment.applyLocationReference({ locationId: 'nowhere' }),
+    { statusCode: 400, code: 'unknown-location' }
+  );
+});
+
+test('getStats rolls location counts up across clusters', async () => {
+  useLocations(LOCATIONS);
+  const rows = {
+    east: [
+      { _id: { location: 's1', type: 'laptop', status: 'broken' }, count: 2 },
+      { _id: { location: 'r1', type: 'laptop', status: 'broken' }, count: 2 }
+    ],
+    west: [
+      { _id: { location: 's1', type: 'printer', status: 'working' }, count: 3 }
+    ]
+  };
+  clusterManager.getAllConnections = () => Object.keys(rows).map((name) => ({
+    name,
+    connection: { model: () => ({ cluster: name }) }
+  }));
+  MultiClusterEquipment.aggregateClusterStats = async (Equipment) => ({
+    total: [],
+    byType: [],
+    byStatus: [],
+    byBrand: [],
+    byLocation: rows[Equipment.cluster],
+    maintenanceTotals: [],
+    maintenanceTop: []
+  });
+
+  const { byLocation } = await MultiClusterEquipment.getStats();
+
+  assert.deepStrictEqual(byLocation.map(({ id, total, open }) => ({ id, total, open })), [
+    { id: 's1', total: 5, open: 2 },
+    { id: 'r1', total: 2, open: 2 }
+  ]);
+  assert.deepStrictEqual(byLocation[0].byType, { laptop: 2, printer: 3 });
+  assert.deepStrictEqual(byLocation[0].byStatus, { broken: 2, working: 3 });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { sanitizeMaintenanceEntry, summarizeCosts, roundMoney } = require('../services/maintenanceLog');
+
+test('totals are computed from parts and labor, not taken from the client', () => {
+  const entry = sanitizeMaintenanceEntry({
+    problem: ' Fan noise ',
+    technician: 'ana',
+    startedAt: '2025-02-01',
+    parts: [
+      { name: ' Fan ', quantity: '2', unitPrice: '12.345' },
+      { name: 'Thermal paste', unitPrice: 0.1 }
+    ],
+    laborCost: '20.2',
+    partsCost: 1,
+    total: 1
+  });
+
+  assert.strictEqual(entry.problem, 'Fan noise');
+  assert.deepStrictEqual(entry.parts.map(({ name, quantity, unitPrice, lineTotal }) => ({ name, quantity, unitPrice, lineTotal })), [
+    { name: 'Fan', quantity: 2, unitPrice: 12.35, lineTotal: 24.7 },
+    { name: 'Thermal paste', quantity: 1, unitPrice: 0.1, lineTotal: 0.1 }
+  ]);
+  assert.strictEqual(entry.partsCost, 24.8);
+  assert.strictEqual(entry.laborCost, 20.2);
+  assert.strictEqual(entry.total, 45);
+});
+
+test('partial updates keep the existing values they do not touch', () => {
+  const existing = sanitizeMaintenanceEntry({
+    problem: 'No power',
+    startedAt: '2025-02-01',
+    parts: [{ name: 'PSU', unitPrice: 40 }]
+  });
+
+  const updated = sanitizeMaintenanceEntry({ laborCost: 15, endedAt: '2025-02-03' }, existing);
+
+  assert.strictEqual(updated.problem, 'No power');
+  assert.strictEqual(updated.partsCost, 40);
+  assert.strictEqual(updated.total, 55);
+  assert.ok(updated.endedAt > updated.startedAt);
+});
+
+test('invalid entries are rejected with the offending field', () => {
+  const rejects = (input, field) => assert.throws(
+    () => sanitizeMaintenanceEntry({ problem: 'Broken hinge', ...input }),
+    (error) => error.statusCode === 400 && error.field === field
+  );
+
+  rejects({ problem: '  ' }, 'problem');
+  rejects({ laborCost: -1 }, 'laborCost');
+  rejects({ startedAt: 'soon' }, 'startedAt');
+  rejects({ startedAt: '2025-02-03', endedAt: '2025-02-01' }, 'endedAt');
+  rejects({ parts: 'hinge' }, 'parts');
+  rejects({ parts: [{ unitPrice: 3 }] }, 'parts.0.name');
+  rejects({ parts: [{ name: 'Hinge', quantity: 1.5 }] }, 'parts[0].quantity');
+});
+
+test('summarizeCosts adds entries without floating point drift', () => {
+  const summary = summarizeCosts([
+    { partsCost: 0.1, laborCost: 0.2, total: 0.3 },
+    { partsCost: 0.2, laborCost: 0.1, total: 0.3 },
+    {}
+  ]);
+
+  assert.deepStrictEqual(summary, { entries: 3, partsCost: 0.3, laborCost: 0.3, totalCost: 0.6 });
+  assert.deepStrictEqual(summarizeCosts(), { entries: 0, partsCost: 0, laborCost: 0, totalCost: 0 });
+  assert.strictEqual(roundMoney(0.1 + 0.2), 0.3);
+});
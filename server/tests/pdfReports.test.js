@@ -0,0 +1,96 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+
+const { getShopHeader, renderReceipt, renderSummaryReport } = require('../services/pdfReports');
+
+const ENV_KEYS = ['SHOP_NAME', 'SHOP_ADDRESS', 'SHOP_PHONE', 'SHOP_EMAIL', 'SHOP_LOGO_PATH', 'RECEIPT_FOOTER'];
+const originals = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => {
+    originals[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (originals[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = originals[key];
+    }
+  });
+});
+
+// Render into a stream and return the finished PDF as latin1 text
+const renderToText = (render, input) => new Promise((resolve, reject) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString('latin1')));
+  stream.on('error', reject);
+  render(input, stream);
+});
+
+const pageSizes = (pdf) => pdf.match(/\/MediaBox \[[^\]]+\]/g);
+
+test('the shop header comes from SHOP_* variables with sensible defaults', () => {
+  assert.strictEqual(getShopHeader().name, 'Apsara Repair Center');
+  assert.match(getShopHeader().footer, /bring this receipt/);
+
+  process.env.SHOP_NAME = 'North Branch';
+  process.env.SHOP_PHONE = '+855 12 345 678';
+  process.env.RECEIPT_FOOTER = 'Thank you';
+  assert.deepStrictEqual(getShopHeader(), {
+    name: 'North Branch',
+    address: '',
+    phone: '+855 12 345 678',
+    email: '',
+    logoPath: '',
+    footer: 'Thank you'
+  });
+});
+
+test('a receipt is a single A5 page, even with missing fields', async () => {
+  const pdf = await renderToText(renderReceipt, {
+    _id: '65f0c0ffee0000000000abcd',
+    checkInDate: 'not a date',
+    type: 'laptop',
+    brand: 'Dell',
+    serialNumber: '   '
+  });
+
+  assert.strictEqual(pdf.slice(0, 5), '%PDF-');
+  assert.deepStrictEqual(pageSizes(pdf), ['/MediaBox [0 0 419.53 595.28]']);
+});
+
+test('a missing logo file does not stop the receipt', async () => {
+  process.env.SHOP_LOGO_PATH = '/nonexistent/logo.png';
+
+  const pdf = await renderToText(renderReceipt, { _id: 'e1' });
+
+  assert.match(pdf, /%%EOF\s*$/);
+});
+
+test('the summary report renders on A4 from getStats() output', async () => {
+  const pdf = await renderToText(renderSummaryReport, {
+    total: 3,
+    open: 1,
+    computers: 2,
+    desktops: 0,
+    laptops: 2,
+    printers: 1,
+    byStatus: { working: 2, broken: 1 },
+    byType: { laptop: 2, printer: 1 },
+    byCluster: { east: 3 },
+    byBrand: {},
+    maintenance: { entries: 2, totalCost: 45.5 }
+  });
+
+  assert.deepStrictEqual(pageSizes(pdf), ['/MediaBox [0 0 595.28 841.89]']);
+  assert.match(pdf, /%%EOF\s*$/);
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const revisionLog = require('../services/revisionLog');
+const specSchemas = require('../services/specSchemas');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  getModel: revisionLog.getModel,
+  getStateAt: revisionLog.getStateAt,
+  getSchema: specSchemas.get,
+  findById: MultiClusterEquipment.findById,
+  updateById: MultiClusterEquipment.updateById
+};
+
+afterEach(() => {
+  revisionLog.getModel = originals.getModel;
+  revisionLog.getStateAt = originals.getStateAt;
+  specSchemas.get = originals.getSchema;
+  MultiClusterEquipment.findById = originals.findById;
+  MultiClusterEquipment.updateById = originals.updateById;
+});
+
+const useRevisions = (entries) => {
+  revisionLog.getModel = () => ({
+    find: () => ({ sort: () => ({ lean: async () => entries }) })
+  });
+};
+
+test('diff lists only fields whose values changed', () => {
+  const at = new Date('2025-01-01');
+  const changes = revisionLog.diff(
+    { brand: 'Dell', model: 'XPS', purchaseDate: at, specs: { ram: 8 } },
+    { brand: 'Dell', model: 'XPS 13', purchaseDate: new Date(at), specs: { ram: 16 }, notes: 'new' },
+    ['brand', 'model', 'purchaseDate', 'specs', 'notes', 'location']
+  );
+
+  assert.deepStrictEqual(changes, [
+    { field: 'model', before: 'XPS', after: 'XPS 13' },
+    { field: 'specs', before: { ram: 8 }, after: { ram: 16 } },
+    { field: 'notes', before: null, after: 'new' }
+  ]);
+});
+
+test('getStateAt rebuilds field values as of a revision', async () => {
+  useRevisions([
+    { revision: 1, changes: [{ field: 'brand', before: null, after: 'Dell' }, { field: 'model', before: null, after: 'XPS' }] },
+    { revision: 2, changes: [{ field: 'model', before: 'XPS', after: 'XPS 13' }] },
+    { revision: 3, changes: [{ field: 'notes', before: '', after: 'dented' }, { field: 'model', before: 'XPS 13', after: 'XPS 15' }] }
+  ]);
+
+  assert.deepStrictEqual(await revisionLog.getStateAt('e1', 2), { brand: 'Dell', model: 'XPS 13', notes: '' });
+  assert.deepStrictEqual(await revisionLog.getStateAt('e1', 1), { brand: 'Dell', model: 'XPS', notes: '' });
+  assert.strictEqual(await revisionLog.getStateAt('e1', 9), null);
+});
+
+test('restoreRevision leaves status alone and coerces specs through the current schema', async () => {
+  MultiClusterEquipment.findById = async () => ({ _id: 'e1', type: 'laptop', specs: {} });
+  revisionLog.getStateAt = async () => ({ status: 'broken', model: 'XPS', specs: { ram: '16' } });
+  specSchemas.get = async () => ({ type: 'laptop', strict: false, fields: [{ key: 'ram', kind: 'number' }] });
+
+  let written = null;
+  MultiClusterEquipment.updateById = async (id, data, options) => {
+    written = { data, options };
+    return { _id: id, ...data };
+  };
+
+  await MultiClusterEquipment.restoreRevision('e1', 2, { actor: 'ana' });
+
+  assert.deepStrictEqual(written.data, { model: 'XPS', specs: { ram: 16 } });
+  assert.deepStrictEqual(written.options, { actor: 'ana', action: 'restore', restoredFrom: 2 });
+});
+
+test('restoreRevision refuses specs that are invalid under the current schema', async () => {
+  MultiClusterEquipment.findById = async () => ({ _id: 'e1', type: 'laptop', specs: {} });
+  revisionLog.getStateAt = async () => ({ specs: { ram: 'lots' } });
+  specSchemas.get = async () => ({ type: 'laptop', strict: true, fields: [{ key: 'ram', kind: 'number', required: true }] });
+  MultiClusterEquipment.updateById = async () => assert.fail('invalid specs must not be written');
+
+  await assert.rejects(
+    MultiClusterEquipment.restoreRevision('e1', 2),
+    (error) => error.statusCode === 400 && error.code === 'invalid-specs' && 'specs.ram' in error.errors
+  );
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const clusterManager = require('../services/clusterManager');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  getAllConnections: clusterManager.getAllConnections,
+  getConnection: clusterManager.getConnection,
+  checkArchive: process.env.DUPLICATE_SERIAL_CHECK_ARCHIVE
+};
+
+afterEach(() => {
+  clusterManager.getAllConnections = originals.getAllConnections;
+  clusterManager.getConnection = originals.getConnection;
+  if (originals.checkArchive === undefined) {
+    delete process.env.DUPLICATE_SERIAL_CHECK_ARCHIVE;
+  } else {
+    process.env.DUPLICATE_SERIAL_CHECK_ARCHIVE = originals.checkArchive;
+  }
+});
+
+// Clusters whose find() records the query and returns the given rows
+const useClusters = (rowsByCluster) => {
+  const queries = [];
+  clusterManager.getAllConnections = ({ category }) => Object.entries(rowsByCluster)
+    .filter(([name]) => (category === 'archive') === name.startsWith('archive'))
+    .map(([name, rows]) => ({
+      name,
+      connection: {
+        model: () => ({
+          find: (query) => {
+            queries.push({ name, query });
+            return { select: () => ({ lean: async () => rows }) };
+          }
+        })
+      }
+    }));
+  return queries;
+};
+
+test('saving sets serialKey to the trimmed, lowercased serial number', async () => {
+  const unopened = mongoose.createConnection();
+  clusterManager.getConnection = () => ({
+    readyState: 1,
+    model: (name, schema) => unopened.model(name, schema)
+  });
+
+  const Equipment = MultiClusterEquipment.getModel('east');
+  const doc = new Equipment({ type: 'laptop', brand: 'Dell', model: 'XPS', serialNumber: '  SN-AbC 01 ' });
+  await doc.validate();
+
+  assert.strictEqual(doc.serialKey, 'sn-abc 01');
+});
+
+test('findBySerial matches the indexed serialKey exactly', async () => {
+  const queries = useClusters({ east: [{ _id: 'e1', serialNumber: 'SN-1' }], west: [] });
+
+  const matches = await MultiClusterEquipment.findBySerial('  sn-1 ');
+
+  assert.deepStrictEqual(matches, [{ _id: 'e1', serialNumber: 'SN-1', cluster: 'east' }]);
+  assert.strictEqual(queries.length, 2);
+  assert.deepStrictEqual(queries[0].query.$or[0], { serialKey: 'sn-1' });
+  assert.ok(queries[0].query.$or[1].serialKey.$exists === false);
+});
+
+test('findBySerial ignores blank serial numbers', async () => {
+  const queries = useClusters({ east: [{ _id: 'e1' }] });
+
+  assert.deepStrictEqual(await MultiClusterEquipment.findBySerial('   '), []);
+  assert.strictEqual(queries.length, 0);
+});
+
+test('assertUniqueSerial rejects a serial already used in another cluster', async () => {
+  useClusters({ east: [], west: [{ _id: 'w1', serialNumber: 'SN-1' }] });
+
+  await assert.rejects(
+    MultiClusterEquipment.assertUniqueSerial('sn-1'),
+    (error) => error.statusCode === 409 && error.code === 'duplicate-serial' && error.conflict.cluster === 'west'
+  );
+});
+
+test('assertUniqueSerial checks the archive only when configured', async () => {
+  const rows = { east: [], archive: [{ _id: 'a1', serialNumber: 'SN-1' }] };
+
+  useClusters(rows);
+  await assert.doesNotReject(MultiClusterEquipment.assertUniqueSerial('SN-1'));
+
+  process.env.DUPLICATE_SERIAL_CHECK_ARCHIVE = 'true';
+  useClusters(rows);
+  await assert.rejects(MultiClusterEquipment.assertUniqueSerial('SN-1'), { code: 'duplicate-serial' });
+});
+
+test('findDuplicateSerials groups records on serialKey across clusters', async () => {
+  const pipelines = [];
+  const rowsByCluster = {
+    east: [{ _id: 'sn-1', records: [{ _id: 'e1', serialNumber: 'SN-1', key: 'sn-1' }] }],
+    west: [{ _id: 'sn-1', records: [{ _id: 'w1', serialNumber: ' sn-1', key: 'sn-1' }] }]
+  };
+  clusterManager.getAllConnections = () => Object.entries(rowsByCluster).map(([name, rows]) => ({
+    name,
+    connection: {
+      model: () => ({
+        aggregate: async (pipeline) => {
+          pipelines.push(pipeline);
+          return rows;
+        }
+      })
+    }
+  }));
+
+  const duplicates = await MultiClusterEquipment.findDuplicateSerials();
+
+  assert.deepStrictEqual(pipelines[0][1].$project.key.$ifNull[0], '$serialKey');
+  assert.strictEqual(duplicates.length, 1);
+  assert.strictEqual(duplicates[0].count, 2);
+  assert.deepStrictEqual(duplicates[0].clusters, ['east', 'west']);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const specSchemas = require('../services/specSchemas');
+const { buildSpecFilter } = require('../services/equipmentQuery');
+
+const originalGet = specSchemas.get;
+
+afterEach(() => {
+  specSchemas.get = originalGet;
+});
+
+const useSchema = (schema) => {
+  specSchemas.get = async () => schema;
+};
+
+const LAPTOP = {
+  type: 'laptop',
+  strict: true,
+  fields: [
+    { key: 'ram', label: 'RAM', kind: 'number', unit: 'GB', min: 1, max: 256, required: true },
+    { key: 'touch', kind: 'boolean' },
+    { key: 'panel', kind: 'enum', options: ['IPS', 'OLED'] },
+    { key: 'releasedOn', kind: 'date' },
+    { key: 'cpu', kind: 'string' }
+  ]
+};
+
+test('validateSpecs coerces values to the kinds in the schema', async () => {
+  useSchema(LAPTOP);
+
+  const { specs, errors } = await specSchemas.validateSpecs('laptop', {
+    ram: ' 16 ',
+    touch: 'Yes',
+    panel: 'oled',
+    releasedOn: '2025-03-01',
+    cpu: '  i7 '
+  });
+
+  assert.strictEqual(errors, null);
+  assert.strictEqual(specs.ram, 16);
+  assert.strictEqual(specs.touch, true);
+  assert.strictEqual(specs.panel, 'OLED');
+  assert.ok(specs.releasedOn instanceof Date);
+  assert.strictEqual(specs.cpu, 'i7');
+});
+
+test('validateSpecs reports range, kind and required errors per field', async () => {
+  useSchema(LAPTOP);
+
+  const { errors } = await specSchemas.validateSpecs('laptop', {
+    ram: '512',
+    touch: 'maybe',
+    panel: 'TN',
+    releasedOn: 'someday'
+  });
+
+  assert.deepStrictEqual(errors, {
+    'specs.ram': 'RAM must be at most 256 (GB)',
+    'specs.touch': 'touch must be true or false',
+    'specs.panel': 'panel must be one of: IPS, OLED',
+    'specs.releasedOn': 'releasedOn must be a valid date'
+  });
+
+  const missing = await specSchemas.validateSpecs('laptop', { ram: '  ' });
+  assert.deepStrictEqual(missing.errors, { 'specs.ram': 'RAM is required' });
+});
+
+test('strict schemas reject unknown keys and loose schemas keep them', async () => {
+  useSchema(LAPTOP);
+  const strict = await specSchemas.validateSpecs('laptop', { ram: 8, colour: 'red' });
+  assert.deepStrictEqual(strict.errors, { 'specs.colour': 'colour is not a known spec for laptop' });
+
+  useSchema({ ...LAPTOP, strict: false });
+  const loose = await specSchemas.validateSpecs('laptop', { ram: 8, colour: 'red' });
+  assert.strictEqual(loose.errors, null);
+  assert.deepStrictEqual(loose.specs, { ram: 8, colour: 'red' });
+});
+
+test('validateSpecs passes free-form specs through when the type has no schema', async () => {
+  useSchema(null);
+
+  assert.deepStrictEqual(
+    await specSchemas.validateSpecs('printer', { duplex: 'yes' }),
+    { specs: { duplex: 'yes' }, errors: null }
+  );
+  assert.deepStrictEqual(
+    (await specSchemas.validateSpecs('printer', ['duplex'])).errors,
+    { specs: 'must be an object' }
+  );
+});
+
+test('sanitizeDefinition rejects bad keys, kinds and ranges', () => {
+  assert.throws(
+    () => specSchemas.sanitizeDefinition({
+      fields: [
+        { key: '1ram', kind: 'number' },
+        { key: 'cpu', kind: 'colour' },
+        { key: 'cpu', kind: 'enum' },
+        { key: 'disk', kind: 'number', min: 10, max: 1 }
+      ]
+    }),
+    (error) => error.statusCode === 400 && Object.keys(error.errors).length === 5
+  );
+
+  const { fields, strict } = specSchemas.sanitizeDefinition({
+    strict: 1,
+    fields: [{ key: 'panel', kind: ' ENUM ', options: [' IPS', 'IPS', 'OLED', ''] }]
+  });
+  assert.strictEqual(strict, true);
+  assert.deepStrictEqual(fields[0].options, ['IPS', 'OLED']);
+  assert.strictEqual(fields[0].kind, 'enum');
+});
+
+test('buildSpecFilter compares numbers and booleans as typed values', () => {
+  assert.deepStrictEqual(buildSpecFilter(undefined), []);
+  assert.deepStrictEqual(buildSpecFilter({ ram: '16', touch: 'true', cpu: 'i5' }), [
+    { 'specs.ram': { $in: [16, '16'] } },
+    { 'specs.touch': true },
+    { 'specs.cpu': 'i5' }
+  ]);
+  assert.deepStrictEqual(buildSpecFilter({ ram: { gte: '8', lt: '32' }, gpu: { exists: 'false' } }), [
+    { 'specs.ram': { $gte: 8, $lt: 32 } },
+    { 'specs.gpu': { $exists: false } }
+  ]);
+});
+
+test('buildSpecFilter rejects unknown operators and field names', () => {
+  assert.throws(() => buildSpecFilter({ ram: { near: '8' } }), /Unknown spec operator "near"/);
+  assert.throws(() => buildSpecFilter({ 'ram.$where': '1' }), /Invalid spec field/);
+  assert.throws(() => buildSpecFilter('ram=8'), { statusCode: 400 });
+});
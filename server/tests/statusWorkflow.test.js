@@ -0,0 +1,78 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const revisionLog = require('../services/revisionLog');
+const statusWorkflow = require('../services/statusWorkflow');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const originals = {
+  getAllConnections: clusterManager.getAllConnections,
+  record: revisionLog.record
+};
+
+afterEach(() => {
+  clusterManager.getAllConnections = originals.getAllConnections;
+  revisionLog.record = originals.record;
+});
+
+const expectError = (fn, statusCode, code) => assert.throws(fn, (error) => (
+  error.statusCode === statusCode && error.code === code
+));
+
+test('assertTransition allows configured moves', () => {
+  assert.doesNotThrow(() => statusWorkflow.assertTransition('working', 'maintenance'));
+  assert.doesNotThrow(() => statusWorkflow.assertTransition('maintenance', 'done', 'Fixed the fan'));
+});
+
+test('assertTransition rejects unknown, unchanged and disallowed statuses', () => {
+  expectError(() => statusWorkflow.assertTransition('working', 'lost'), 400, 'invalid-status');
+  expectError(() => statusWorkflow.assertTransition('working', 'working'), 409, 'invalid-transition');
+  assert.throws(() => statusWorkflow.assertTransition('working', 'done'), (error) => (
+    error.statusCode === 409 && error.allowed.includes('maintenance') && !error.allowed.includes('done')
+  ));
+});
+
+test('assertTransition requires a note where the workflow says so', () => {
+  expectError(() => statusWorkflow.assertTransition('working', 'broken'), 400, 'note-required');
+  expectError(() => statusWorkflow.assertTransition('done', 'working', '  '), 400, 'note-required');
+  assert.doesNotThrow(() => statusWorkflow.assertTransition('working', 'broken', 'Screen cracked'));
+});
+
+// One cluster whose record changes status between the route's read and the write
+const useCluster = (doc) => {
+  const writes = [];
+  const Equipment = {
+    findOne: () => ({ lean: async () => ({ ...doc }) }),
+    findOneAndUpdate: async (filter, update) => {
+      writes.push({ filter, update });
+      return Object.keys(filter).every((key) => key === '_id' || doc[key] === filter[key])
+        ? { ...doc, toObject: () => ({ ...doc }) }
+        : null;
+    }
+  };
+  clusterManager.getAllConnections = () => [{ name: 'east', connection: { model: () => Equipment } }];
+  revisionLog.record = async () => null;
+  return writes;
+};
+
+test('updateById refuses a transition validated against a status that has since changed', async () => {
+  const writes = useCluster({ _id: 'e1', status: 'broken', __v: 4, deletedAt: null });
+
+  await assert.rejects(
+    MultiClusterEquipment.updateById('e1', { status: 'maintenance' }, { expectedStatus: 'working' }),
+    (error) => error.statusCode === 409 && error.code === 'version-conflict' && error.current.status === 'broken'
+  );
+  assert.strictEqual(writes.length, 0);
+});
+
+test('updateById makes the write conditional on the validated status', async () => {
+  const writes = useCluster({ _id: 'e1', status: 'working', __v: 4, deletedAt: null });
+
+  await MultiClusterEquipment.updateById('e1', { status: 'maintenance' }, { expectedStatus: 'working' });
+
+  assert.strictEqual(writes.length, 1);
+  assert.deepStrictEqual(writes[0].filter, { _id: 'e1', __v: 4, deletedAt: null, status: 'working' });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const imageStorage = require('../services/imageStorage');
+const revisionLog = require('../services/revisionLog');
+const { purgeExpiredTrash } = require('../services/trashPurge');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const originals = {
+  getAllConnections: clusterManager.getAllConnections,
+  imageAvailable: imageStorage.isAvailable,
+  record: revisionLog.record,
+  assertUniqueSerial: MultiClusterEquipment.assertUniqueSerial,
+  purgeById: MultiClusterEquipment.purgeById,
+  retention: process.env.TRASH_RETENTION_DAYS
+};
+
+afterEach(() => {
+  clusterManager.getAllConnections = originals.getAllConnections;
+  imageStorage.isAvailable = originals.imageAvailable;
+  revisionLog.record = originals.record;
+  MultiClusterEquipment.assertUniqueSerial = originals.assertUniqueSerial;
+  MultiClusterEquipment.purgeById = originals.purgeById;
+  if (originals.retention === undefined) {
+    delete process.env.TRASH_RETENTION_DAYS;
+  } else {
+    process.env.TRASH_RETENTION_DAYS = originals.retention;
+  }
+});
+
+// One cluster whose model methods are the given fakes
+const useCluster = (model) => {
+  clusterManager.getAllConnections = () => [{ name: 'east', connection: { model: () => model } }];
+};
+
+const recordRevisions = () => {
+  const revisions = [];
+  revisionLog.record = async (entry) => {
+    revisions.push(entry.action);
+    return null;
+  };
+  return revisions;
+};
+
+test('deleting moves a live record to the trash instead of removing it', async () => {
+  const revisions = recordRevisions();
+  let call = null;
+  useCluster({
+    findOneAndUpdate: async (filter, update) => {
+      call = { filter, update };
+      return { _id: 'e1', ...update.$set };
+    }
+  });
+
+  const deleted = await MultiClusterEquipment.deleteById('e1', { actor: 'ana' });
+
+  assert.deepStrictEqual(call.filter, { _id: 'e1', deletedAt: null });
+  assert.ok(call.update.$set.deletedAt instanceof Date);
+  assert.strictEqual(call.update.$set.deletedBy, 'ana');
+  assert.strictEqual(deleted.deletedBy, 'ana');
+  assert.deepStrictEqual(revisions, ['delete']);
+});
+
+test('pages hide trashed records unless the trash is asked for', async () => {
+  const queries = [];
+  useCluster({
+    find: (query) => {
+      queries.push(query);
+      const chain = { sort: () => chain, limit: () => chain, lean: async () => [] };
+      return chain;
+    },
+    countDocuments: async () => 0
+  });
+  imageStorage.isAvailable = () => false;
+  const options = { sort: { field: 'updatedAt', direction: -1 }, limit: 10 };
+
+  await MultiClusterEquipment.findPage({}, options);
+  await MultiClusterEquipment.findPage({ brand: 'Dell' }, { ...options, trashed: true });
+
+  assert.deepStrictEqual(queries[0], { deletedAt: null });
+  assert.deepStrictEqual(queries[1], { $and: [{ brand: 'Dell' }, { deletedAt: { $ne: null } }] });
+});
+
+test('restoring clears the trash marker once the serial is still free', async () => {
+  const revisions = recordRevisions();
+  imageStorage.isAvailable = () => false;
+  const checked = [];
+  MultiClusterEquipment.assertUniqueSerial = async (serial, { excludeId }) => {
+    checked.push({ serial, excludeId });
+  };
+  useCluster({
+    findOne: () => ({ lean: async () => ({ _id: 'e1', serialNumber: 'SN-1', deletedAt: new Date() }) }),
+    findOneAndUpdate: (filter, update) => ({ lean: async () => ({ _id: 'e1', serialNumber: 'SN-1', ...update.$set }) })
+  });
+
+  const restored = await MultiClusterEquipment.restoreFromTrash('e1');
+
+  assert.deepStrictEqual(checked, [{ serial: 'SN-1', excludeId: 'e1' }]);
+  assert.strictEqual(restored.deletedAt, null);
+  assert.strictEqual(restored.cluster, 'east');
+  assert.deepStrictEqual(revisions, ['undelete']);
+});
+
+test('restoring fails when the serial was registered again meanwhile', async () => {
+  MultiClusterEquipment.assertUniqueSerial = async () => {
+    const error = new Error('Serial number "SN-1" is already registered');
+    error.statusCode = 409;
+    error.code = 'duplicate-serial';
+    throw error;
+  };
+  useCluster({
+    findOne: () => ({ lean: async () => ({ _id: 'e1', serialNumber: 'SN-1', deletedAt: new Date() }) }),
+    findOneAndUpdate: () => assert.fail('a conflicting record must stay in the trash')
+  });
+
+  await assert.rejects(MultiClusterEquipment.restoreFromTrash('e1'), { statusCode: 409, code: 'duplicate-serial' });
+});
+
+test('the purge only takes records trashed before the retention cutoff', async () => {
+  process.env.TRASH_RETENTION_DAYS = '7';
+  let query = null;
+  useCluster({
+    find: (filter) => {
+      query = filter;
+      return { select: () => ({ limit: () => ({ lean: async () => [{ _id: 'e1' }, { _id: 'e2' }, { _id: 'e3' }] }) }) };
+    }
+  });
+  MultiClusterEquipment.purgeById = async (id) => {
+    if (id === 'e3') {
+      throw new Error('attachment store unavailable');
+    }
+    return { _id: id };
+  };
+
+  const result = await purgeExpiredTrash('tester');
+
+  assert.strictEqual(result.retentionDays, 7);
+  assert.strictEqual(result.purged, 2);
+  assert.strictEqual(result.errors, 1);
+  assert.ok(Math.abs(query.deletedAt.$lt.getTime() - (Date.now() - 7 * DAY_MS)) < 1000);
+  assert.strictEqual(query.deletedAt.$ne, null);
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const clusterManager = require('../services/clusterManager');
+const revisionLog = require('../services/revisionLog');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unarchive-'));
+const originals = {};
+
+const createConnection = (docs = []) => {
+  const collection = {
+    docs,
+    async replaceOne(filter, doc) {
+      this.docs = this.docs.filter((existing) => existing._id !== filter._id).concat(doc);
+      return { acknowledged: true };
+    },
+    async deleteOne(filter) {
+      this.docs = this.docs.filter((doc) => doc._id !== filter._id);
+      return { deletedCount: 1 };
+    }
+  };
+
+  return {
+    readyState: 1,
+    collection,
+    model: () => ({
+      collection,
+      findOne: (query) => ({ lean: async () => collection.docs.find((doc) => doc._id === query._id) || null })
+    })
+  };
+};
+
+before(() => {
+  originals.config = process.env.CLUSTER_TOPOLOGY_CONFIG;
+  originals.updateStorageStats = clusterManager.updateStorageStats;
+  originals.assertUniqueSerial = MultiClusterEquipment.assertUniqueSerial;
+  originals.record = revisionLog.record;
+
+  const file = path.join(tmpDir, 'clusters.json');
+  fs.writeFileSync(file, JSON.stringify({
+    clusters: [
+      { name: 'east', uri: 'mongodb://east', category: 'equipment' },
+      { name: 'west', uri: 'mongodb://west', category: 'equipment' },
+      { name: 'cold', uri: 'mongodb://cold', category: 'archive' }
+    ]
+  }));
+  process.env.CLUSTER_TOPOLOGY_CONFIG = file;
+  clusterManager.clusters = {};
+  clusterManager.health = {};
+  clusterManager.loadTopology();
+
+  MultiClusterEquipment.assertUniqueSerial = async () => {};
+  revisionLog.record = async () => null;
+});
+
+after(() => {
+  if (originals.config === undefined) {
+    delete process.env.CLUSTER_TOPOLOGY_CONFIG;
+  } else {
+    process.env.CLUSTER_TOPOLOGY_CONFIG = originals.config;
+  }
+  clusterManager.updateStorageStats = originals.updateStorageStats;
+  MultiClusterEquipment.assertUniqueSerial = originals.assertUniqueSerial;
+  revisionLog.record = originals.record;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('restores go to a cluster under the storage threshold, like create', async () => {
+  const east = createConnection();
+  const west = createConnection();
+  const cold = createConnection([{ _id: 'a1', cluster: 'cold', archivedAt: new Date(), __v: 1 }]);
+  clusterManager.clusters = { east, west, cold };
+  clusterManager.storageStats = {};
+
+  // The cached active cluster is stale: east filled up since it was chosen
+  clusterManager.activeCluster = 'east';
+  clusterManager.updateStorageStats = async () => {
+    clusterManager.storageStats = { east: { percentUsed: 99 }, west: { percentUsed: 10 } };
+    return clusterManager.storageStats;
+  };
+
+  const restored = await MultiClusterEquipment.unarchive('a1');
+
+  assert.strictEqual(restored.cluster, 'west');
+  assert.strictEqual(restored.archivedAt, null);
+  assert.strictEqual(restored.__v, 2);
+  assert.strictEqual(east.collection.docs.length, 0);
+  assert.strictEqual(west.collection.docs.length, 1);
+  assert.strictEqual(cold.collection.docs.length, 0);
+});
@@ -0,0 +1,15 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const clusterManager = require('../services/clusterManager');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+test('payload validation does not need any cluster connection', () => {
+  clusterManager.clusters = {};
+
+  const errors = MultiClusterEquipment.validatePayload({ type: 'computer' });
+
+  assert.deepStrictEqual(Object.keys(errors).sort(), ['brand', 'model']);
+});
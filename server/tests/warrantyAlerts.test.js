@@ -0,0 +1,114 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const warrantyAlerts = require('../services/warrantyAlerts');
+const MultiClusterEquipment = require('../models/MultiClusterEquipment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WarrantyAlert = mongoose.model('WarrantyAlert');
+const Message = mongoose.model('Message');
+
+const originals = {};
+const ENV_KEYS = ['WARRANTY_ALERT_WINDOWS', 'WARRANTY_ALERT_GROUP', 'WARRANTY_ALERT_NOTIFY_ASSIGNEE'];
+
+beforeEach(() => {
+  originals.streamSorted = MultiClusterEquipment.streamSorted;
+  originals.alertCreate = WarrantyAlert.create;
+  originals.alertDeleteOne = WarrantyAlert.deleteOne;
+  originals.messageCreate = Message.create;
+  ENV_KEYS.forEach((key) => {
+    originals[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  MultiClusterEquipment.streamSorted = originals.streamSorted;
+  WarrantyAlert.create = originals.alertCreate;
+  WarrantyAlert.deleteOne = originals.alertDeleteOne;
+  Message.create = originals.messageCreate;
+  ENV_KEYS.forEach((key) => {
+    if (originals[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = originals[key];
+    }
+  });
+});
+
+test('getAlertWindows parses, dedupes and sorts the configured windows', () => {
+  process.env.WARRANTY_ALERT_WINDOWS = '30, 7,x,-1,7,0';
+  assert.deepStrictEqual(warrantyAlerts.getAlertWindows(), [0, 7, 30]);
+
+  delete process.env.WARRANTY_ALERT_WINDOWS;
+  assert.deepStrictEqual(warrantyAlerts.getAlertWindows(), [0, 7, 30]);
+});
+
+test('daysUntil counts whole days from the start of today', () => {
+  const today = warrantyAlerts.startOfDay(new Date(2026, 0, 10, 15, 30));
+
+  assert.strictEqual(warrantyAlerts.daysUntil(new Date(2026, 0, 10, 23, 0), today), 0);
+  assert.strictEqual(warrantyAlerts.daysUntil(new Date(2026, 0, 17), today), 7);
+  assert.strictEqual(warrantyAlerts.daysUntil(new Date(2026, 0, 9), today), -1);
+});
+
+test('pickWindow picks the smallest window that still covers the remaining days', () => {
+  const windows = [0, 7, 30];
+
+  assert.strictEqual(warrantyAlerts.pickWindow(0, windows), 0);
+  assert.strictEqual(warrantyAlerts.pickWindow(5, windows), 7);
+  assert.strictEqual(warrantyAlerts.pickWindow(8, windows), 30);
+  assert.strictEqual(warrantyAlerts.pickWindow(31, windows), undefined);
+});
+
+test('a failed message frees its window and the run carries on with the next item', async () => {
+  const soon = new Date(Date.now() + 3 * DAY_MS);
+  const items = [
+    { _id: new mongoose.Types.ObjectId(), warrantyExpiry: soon, assignedTo: 'ana', brand: 'Dell' },
+    { _id: new mongoose.Types.ObjectId(), warrantyExpiry: soon, assignedTo: 'ben', brand: 'HP' }
+  ];
+  MultiClusterEquipment.streamSorted = async function* stream() {
+    yield* items;
+  };
+
+  const deleted = [];
+  WarrantyAlert.create = async (row) => ({ ...row, _id: `alert-${row.equipmentId}`, save: async () => {} });
+  WarrantyAlert.deleteOne = async (filter) => {
+    deleted.push(filter._id);
+    return { deletedCount: 1 };
+  };
+  Message.create = async (message) => {
+    if (message.recipients.includes('ana')) {
+      throw new Error('message cluster unavailable');
+    }
+    return { _id: 'message-1' };
+  };
+
+  const result = await warrantyAlerts.runWarrantyAlerts('tester');
+
+  assert.deepStrictEqual(
+    { checked: result.checked, alerted: result.alerted, skipped: result.skipped, failed: result.failed },
+    { checked: 2, alerted: 1, skipped: 0, failed: 1 }
+  );
+  assert.deepStrictEqual(deleted, [`alert-${items[0]._id}`]);
+});
+
+test('windows already alerted are skipped', async () => {
+  MultiClusterEquipment.streamSorted = async function* stream() {
+    yield { _id: new mongoose.Types.ObjectId(), warrantyExpiry: new Date(Date.now() + DAY_MS), assignedTo: 'ana' };
+  };
+  WarrantyAlert.create = async () => {
+    const error = new Error('duplicate key');
+    error.code = 11000;
+    throw error;
+  };
+  Message.create = async () => assert.fail('no message for an alerted window');
+
+  const result = await warrantyAlerts.runWarrantyAlerts();
+
+  assert.strictEqual(result.skipped, 1);
+  assert.strictEqual(result.alerted, 0);
+});